@@ -1,4 +1,5 @@
 import pkg from "pg"
+import { v4 as uuidv4 } from "uuid"
 const { Pool } = pkg
 
 class DatabaseManager {
@@ -80,15 +81,176 @@ class DatabaseManager {
           categories TEXT[],
           processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
           chunk_count INTEGER DEFAULT 0,
+          content_hash TEXT,
+          point_ids TEXT[] DEFAULT '{}',
+          revision INTEGER DEFAULT 1,
+          archived_at TIMESTAMP WITH TIME ZONE,
           metadata JSONB DEFAULT '{}'::jsonb
         );
       `)
 
+      // Columns added after the initial schema
+      await this.pool.query(`
+        ALTER TABLE news_articles ADD COLUMN IF NOT EXISTS content_hash TEXT;
+        ALTER TABLE news_articles ADD COLUMN IF NOT EXISTS point_ids TEXT[] DEFAULT '{}';
+        ALTER TABLE news_articles ADD COLUMN IF NOT EXISTS revision INTEGER DEFAULT 1;
+        ALTER TABLE news_articles ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+      `)
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS article_revisions (
+          id UUID PRIMARY KEY,
+          article_id UUID REFERENCES news_articles(id) ON DELETE CASCADE ON UPDATE CASCADE,
+          revision INTEGER NOT NULL,
+          content_hash TEXT,
+          previous_hash TEXT,
+          title TEXT,
+          chunk_count INTEGER DEFAULT 0,
+          point_ids TEXT[] DEFAULT '{}',
+          changes JSONB DEFAULT '{}'::jsonb,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          UNIQUE (article_id, revision)
+        );
+      `)
+
+      // Keys created before article ids could change did not cascade updates
+      await this.pool.query(`
+        DO $$
+        BEGIN
+          IF EXISTS (
+            SELECT 1 FROM pg_constraint
+            WHERE conrelid = 'article_revisions'::regclass
+              AND conname = 'article_revisions_article_id_fkey'
+              AND confupdtype <> 'c'
+          ) THEN
+            ALTER TABLE article_revisions DROP CONSTRAINT article_revisions_article_id_fkey;
+            ALTER TABLE article_revisions ADD CONSTRAINT article_revisions_article_id_fkey
+              FOREIGN KEY (article_id) REFERENCES news_articles(id) ON DELETE CASCADE ON UPDATE CASCADE;
+          END IF;
+        END $$;
+      `)
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS feed_sources (
+          id UUID PRIMARY KEY,
+          url TEXT UNIQUE NOT NULL,
+          name VARCHAR(100),
+          category_hints TEXT[] DEFAULT '{}',
+          max_items INTEGER,
+          enabled BOOLEAN DEFAULT TRUE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          consecutive_failures INTEGER DEFAULT 0,
+          last_run_at TIMESTAMP WITH TIME ZONE,
+          last_success_at TIMESTAMP WITH TIME ZONE,
+          last_error TEXT,
+          disabled_reason TEXT,
+          chunk_strategy VARCHAR(30),
+          retention_days INTEGER,
+          type VARCHAR(20) DEFAULT 'feed',
+          metadata JSONB DEFAULT '{}'::jsonb
+        );
+      `)
+
+      await this.pool.query(`
+        ALTER TABLE feed_sources ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER DEFAULT 0;
+        ALTER TABLE feed_sources ADD COLUMN IF NOT EXISTS last_run_at TIMESTAMP WITH TIME ZONE;
+        ALTER TABLE feed_sources ADD COLUMN IF NOT EXISTS last_success_at TIMESTAMP WITH TIME ZONE;
+        ALTER TABLE feed_sources ADD COLUMN IF NOT EXISTS last_error TEXT;
+        ALTER TABLE feed_sources ADD COLUMN IF NOT EXISTS disabled_reason TEXT;
+        ALTER TABLE feed_sources ADD COLUMN IF NOT EXISTS chunk_strategy VARCHAR(30);
+        ALTER TABLE feed_sources ADD COLUMN IF NOT EXISTS retention_days INTEGER;
+        ALTER TABLE feed_sources ADD COLUMN IF NOT EXISTS type VARCHAR(20) DEFAULT 'feed';
+      `)
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS ingestion_runs (
+          id UUID PRIMARY KEY,
+          trigger VARCHAR(20),
+          status VARCHAR(30),
+          started_at TIMESTAMP WITH TIME ZONE,
+          finished_at TIMESTAMP WITH TIME ZONE,
+          duration_ms INTEGER,
+          sources_count INTEGER DEFAULT 0,
+          articles_new INTEGER DEFAULT 0,
+          articles_skipped INTEGER DEFAULT 0,
+          articles_failed INTEGER DEFAULT 0,
+          errors JSONB DEFAULT '[]'::jsonb
+        );
+      `)
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS ingestion_run_sources (
+          id UUID PRIMARY KEY,
+          run_id UUID REFERENCES ingestion_runs(id) ON DELETE CASCADE,
+          source_id UUID REFERENCES feed_sources(id) ON DELETE SET NULL,
+          source_url TEXT,
+          status VARCHAR(20),
+          fetched INTEGER DEFAULT 0,
+          new_articles INTEGER DEFAULT 0,
+          skipped INTEGER DEFAULT 0,
+          failed INTEGER DEFAULT 0,
+          errors JSONB DEFAULT '[]'::jsonb,
+          started_at TIMESTAMP WITH TIME ZONE,
+          finished_at TIMESTAMP WITH TIME ZONE,
+          duration_ms INTEGER
+        );
+      `)
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS websub_subscriptions (
+          id UUID PRIMARY KEY,
+          source_id UUID UNIQUE REFERENCES feed_sources(id) ON DELETE CASCADE,
+          hub_url TEXT NOT NULL,
+          topic_url TEXT NOT NULL,
+          secret VARCHAR(64) NOT NULL,
+          status VARCHAR(20) DEFAULT 'discovered',
+          lease_seconds INTEGER,
+          requested_at TIMESTAMP WITH TIME ZONE,
+          verified_at TIMESTAMP WITH TIME ZONE,
+          expires_at TIMESTAMP WITH TIME ZONE,
+          last_notified_at TIMESTAMP WITH TIME ZONE,
+          last_error TEXT,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `)
+
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS vector_reindexes (
+          id UUID PRIMARY KEY,
+          collection VARCHAR(100) NOT NULL,
+          previous_collection VARCHAR(100),
+          status VARCHAR(20) DEFAULT 'running',
+          chunk_strategy VARCHAR(30),
+          embedding_provider VARCHAR(50),
+          embedding_model VARCHAR(200),
+          embedding_dimensions INTEGER,
+          total_articles INTEGER DEFAULT 0,
+          processed_articles INTEGER DEFAULT 0,
+          failed_articles INTEGER DEFAULT 0,
+          last_article_id UUID,
+          errors JSONB DEFAULT '[]'::jsonb,
+          last_error TEXT,
+          started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          switched_at TIMESTAMP WITH TIME ZONE,
+          finished_at TIMESTAMP WITH TIME ZONE
+        );
+      `)
+
       await this.pool.query(`
         CREATE INDEX IF NOT EXISTS idx_chat_messages_session_id ON chat_messages(session_id);
         CREATE INDEX IF NOT EXISTS idx_chat_messages_created_at ON chat_messages(created_at);
         CREATE INDEX IF NOT EXISTS idx_news_articles_source ON news_articles(source);
         CREATE INDEX IF NOT EXISTS idx_news_articles_pub_date ON news_articles(pub_date);
+        CREATE INDEX IF NOT EXISTS idx_news_articles_content_hash ON news_articles(content_hash);
+        CREATE INDEX IF NOT EXISTS idx_news_articles_archived_at ON news_articles(archived_at);
+        CREATE INDEX IF NOT EXISTS idx_feed_sources_enabled ON feed_sources(enabled);
+        CREATE INDEX IF NOT EXISTS idx_ingestion_runs_started_at ON ingestion_runs(started_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_ingestion_run_sources_source ON ingestion_run_sources(source_id, started_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_websub_subscriptions_status ON websub_subscriptions(status, expires_at);
+        CREATE INDEX IF NOT EXISTS idx_vector_reindexes_started_at ON vector_reindexes(started_at DESC);
       `)
 
       console.log("Database tables created/verified successfully")
@@ -194,49 +356,170 @@ class DatabaseManager {
     }
   }
 
-  async saveArticle(article) {
+  async saveArticle(article, revision = null) {
     if (!this.pool) return null
 
+    const query = `
+      INSERT INTO news_articles (id, title, url, content, description, source, author, pub_date, categories, chunk_count, content_hash, point_ids, revision, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      ON CONFLICT (id) DO UPDATE SET
+        title = EXCLUDED.title,
+        url = EXCLUDED.url,
+        content = EXCLUDED.content,
+        description = EXCLUDED.description,
+        source = EXCLUDED.source,
+        author = EXCLUDED.author,
+        pub_date = EXCLUDED.pub_date,
+        categories = EXCLUDED.categories,
+        chunk_count = EXCLUDED.chunk_count,
+        content_hash = EXCLUDED.content_hash,
+        point_ids = EXCLUDED.point_ids,
+        revision = EXCLUDED.revision,
+        metadata = EXCLUDED.metadata,
+        archived_at = NULL,
+        processed_at = NOW()
+      RETURNING *;
+    `
+
+    const values = [
+      article.id,
+      article.title,
+      article.canonicalUrl || article.link,
+      article.content,
+      article.description,
+      article.source,
+      article.author,
+      article.pubDate,
+      article.categories,
+      article.chunks || 0,
+      article.contentHash || null,
+      article.pointIds || [],
+      article.revision || 1,
+      JSON.stringify(article.metadata || {}),
+    ]
+
+    if (!revision) {
+      try {
+        const result = await this.query(query, values)
+        return result.rows[0]
+      } catch (error) {
+        console.error("Failed to save article:", error.message)
+        return null
+      }
+    }
+
+    // Article row and its revision entry are written together
+    const client = await this.getClient()
     try {
-      const query = `
-        INSERT INTO news_articles (id, title, url, content, description, source, author, pub_date, categories, chunk_count, metadata)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-        ON CONFLICT (url) DO UPDATE SET
+      await client.query("BEGIN")
+      const result = await client.query(query, values)
+      await client.query(
+        `
+        INSERT INTO article_revisions (id, article_id, revision, content_hash, previous_hash, title, chunk_count, point_ids, changes)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (article_id, revision) DO UPDATE SET
+          content_hash = EXCLUDED.content_hash,
+          previous_hash = EXCLUDED.previous_hash,
           title = EXCLUDED.title,
-          content = EXCLUDED.content,
-          description = EXCLUDED.description,
-          source = EXCLUDED.source,
-          author = EXCLUDED.author,
-          pub_date = EXCLUDED.pub_date,
-          categories = EXCLUDED.categories,
           chunk_count = EXCLUDED.chunk_count,
-          metadata = EXCLUDED.metadata,
-          processed_at = NOW()
-        RETURNING *;
-      `
-
-      const values = [
-        article.id,
-        article.title,
-        article.link,
-        article.content,
-        article.description,
-        article.source,
-        article.author,
-        article.pubDate,
-        article.categories,
-        article.chunks || 0,
-        JSON.stringify(article.metadata || {}),
-      ]
-
-      const result = await this.query(query, values)
+          point_ids = EXCLUDED.point_ids,
+          changes = EXCLUDED.changes;
+      `,
+        [
+          uuidv4(),
+          result.rows[0].id,
+          article.revision || 1,
+          article.contentHash || null,
+          revision.previousHash || null,
+          article.title,
+          article.chunks || 0,
+          article.pointIds || [],
+          JSON.stringify(revision.changes || {}),
+        ],
+      )
+      await client.query("COMMIT")
       return result.rows[0]
     } catch (error) {
-      console.error("Failed to save article:", error.message)
+      await client.query("ROLLBACK")
+      console.error("Failed to save article revision:", error.message)
       return null
+    } finally {
+      client.release()
     }
   }
 
+  async getArticle(id) {
+    if (!this.pool) return null
+
+    const result = await this.query("SELECT * FROM news_articles WHERE id = $1", [id])
+    return result.rows[0] || null
+  }
+
+  /**
+   * Plan moving articles stored under an id other than `idFor(url)`, such as
+   * random ids from before ids were derived from the canonical URL. Where
+   * several rows map to one id, the most recently processed is kept there and
+   * the others are dropped. Resolves to { moved: [[from, to]], dropped: [id] }.
+   */
+  async planArticleIdMigration(idFor) {
+    const plan = { moved: [], dropped: [] }
+    if (!this.pool) return plan
+
+    // Uploaded documents have no web URL; their ids derive from their content
+    const result = await this.query("SELECT id, url, processed_at FROM news_articles WHERE url ~* '^https?://'")
+
+    const byTarget = new Map()
+    for (const row of result.rows) {
+      const target = idFor(row.url)
+      if (!byTarget.has(target)) byTarget.set(target, [])
+      byTarget.get(target).push(row)
+    }
+
+    for (const [target, rows] of byTarget) {
+      if (rows.length === 1 && rows[0].id === target) continue
+
+      rows.sort((a, b) => new Date(b.processed_at || 0) - new Date(a.processed_at || 0))
+      const [kept, ...others] = rows
+      plan.dropped.push(...others.map((row) => row.id))
+      if (kept.id !== target) plan.moved.push([kept.id, target])
+    }
+
+    return plan
+  }
+
+  // Apply a planned id migration to articles and their revisions in one transaction
+  async applyArticleIdMigration({ moved, dropped }) {
+    const client = await this.getClient()
+    try {
+      await client.query("BEGIN")
+      // Revisions follow through the foreign key: deleted and re-pointed by cascade
+      await client.query("DELETE FROM news_articles WHERE id = ANY($1)", [dropped])
+      for (const [from, to] of moved) {
+        await client.query("UPDATE news_articles SET id = $2 WHERE id = $1", [from, to])
+      }
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  async getArticleRevisions(articleId) {
+    if (!this.pool) return []
+
+    const result = await this.query(
+      `
+      SELECT * FROM article_revisions
+      WHERE article_id = $1
+      ORDER BY revision DESC
+    `,
+      [articleId],
+    )
+    return result.rows
+  }
+
   async getStats() {
     if (!this.pool) return null
 
@@ -18,6 +18,20 @@ const config = {
   GEMINI_API_KEY: process.env.GEMINI_API_KEY,
   JINA_API_KEY: process.env.JINA_API_KEY,
 
+  // Embeddings
+  EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER || "jina", // jina, openai, local, hashing
+  EMBEDDING_MODEL: process.env.EMBEDDING_MODEL, // Defaults per provider
+  EMBEDDING_DIMENSIONS: Number.parseInt(process.env.EMBEDDING_DIMENSIONS) || null,
+  EMBEDDING_API_URL: process.env.EMBEDDING_API_URL || "https://api.openai.com/v1", // OpenAI-compatible base URL
+  EMBEDDING_API_KEY: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+  EMBEDDING_MODEL_PATH: process.env.EMBEDDING_MODEL_PATH, // Local models directory; disables downloads
+  EMBEDDING_BATCH_TOKENS: Number.parseInt(process.env.EMBEDDING_BATCH_TOKENS) || 16000, // Estimated tokens per request
+  EMBEDDING_BATCH_SIZE: Number.parseInt(process.env.EMBEDDING_BATCH_SIZE) || 64, // Texts per request
+  EMBEDDING_MISMATCH: process.env.EMBEDDING_MISMATCH || "refuse", // refuse, recreate (the Qdrant collection)
+  EMBEDDING_CACHE_TTL: process.env.EMBEDDING_CACHE_TTL
+    ? Number.parseInt(process.env.EMBEDDING_CACHE_TTL)
+    : 30 * 24 * 60 * 60, // 30 days, 0 disables the cache
+
   // Vector Database
   QDRANT_URL: process.env.QDRANT_URL || "http://localhost:6333",
   QDRANT_API_KEY: process.env.QDRANT_API_KEY,
@@ -48,6 +62,34 @@ const config = {
   MAX_ARTICLES_PER_SOURCE: Number.parseInt(process.env.MAX_ARTICLES_PER_SOURCE) || 10,
   MAX_CHUNK_SIZE: Number.parseInt(process.env.MAX_CHUNK_SIZE) || 500,
   CHUNK_OVERLAP: Number.parseInt(process.env.CHUNK_OVERLAP) || 50,
+  CHUNK_STRATEGY: process.env.CHUNK_STRATEGY || "sentence", // sentence, paragraph, recursive-character, token-budget
+  CHUNK_TOKEN_BUDGET: Number.parseInt(process.env.CHUNK_TOKEN_BUDGET) || 128,
+  CHUNK_TOKEN_OVERLAP: Number.parseInt(process.env.CHUNK_TOKEN_OVERLAP) || 12,
+  INGESTION_WORKER_CONCURRENCY: Number.parseInt(process.env.INGESTION_WORKER_CONCURRENCY) || 2,
+  SOURCE_FAILURE_THRESHOLD: Number.parseInt(process.env.SOURCE_FAILURE_THRESHOLD) || 5,
+  MAX_DOCUMENT_SIZE_MB: Number.parseInt(process.env.MAX_DOCUMENT_SIZE_MB) || 10,
+
+  // Retention (0 days keeps articles forever)
+  // Opt-in: purging deletes data, so nothing expires until a window is set
+  RETENTION_DAYS: Number.parseInt(process.env.RETENTION_DAYS) || 0,
+  RETENTION_MODE: process.env.RETENTION_MODE || "archive", // archive, delete
+  RETENTION_SCHEDULE: process.env.RETENTION_SCHEDULE || "30 3 * * *", // Daily at 03:30
+
+  // WebSub push subscriptions (disabled unless a public callback URL is set)
+  WEBSUB_CALLBACK_URL: process.env.WEBSUB_CALLBACK_URL, // e.g. https://news.example.com/api/websub/callback
+  WEBSUB_LEASE_SECONDS: Number.parseInt(process.env.WEBSUB_LEASE_SECONDS) || 10 * 24 * 60 * 60, // 10 days
+  WEBSUB_RENEW_SCHEDULE: process.env.WEBSUB_RENEW_SCHEDULE || "15 * * * *", // Hourly
+
+  // Fetcher (robots.txt, per-domain throttling)
+  FETCH_USER_AGENT: process.env.FETCH_USER_AGENT || "NewsBot/1.0 (RAG news chatbot)",
+  FETCH_DOMAIN_CONCURRENCY: Number.parseInt(process.env.FETCH_DOMAIN_CONCURRENCY) || 1,
+  FETCH_DOMAIN_DELAY_MS: Number.parseInt(process.env.FETCH_DOMAIN_DELAY_MS) || 1000,
+  ROBOTS_CACHE_TTL: Number.parseInt(process.env.ROBOTS_CACHE_TTL) || 24 * 60 * 60, // 24 hours
+  // Only for development against local feeds: callers can otherwise make the server fetch internal hosts
+  FETCH_ALLOW_PRIVATE_NETWORKS: process.env.FETCH_ALLOW_PRIVATE_NETWORKS === "true",
+
+  // Reindexing (rebuilding Qdrant from the articles in PostgreSQL)
+  REINDEX_BATCH_SIZE: Number.parseInt(process.env.REINDEX_BATCH_SIZE) || 50, // Articles per batch
 
   // Vector Search
   VECTOR_SEARCH_LIMIT: Number.parseInt(process.env.VECTOR_SEARCH_LIMIT) || 5,
@@ -55,7 +97,7 @@ const config = {
 }
 
 // Validation
-const requiredEnvVars = ["GEMINI_API_KEY", "JINA_API_KEY"]
+const requiredEnvVars = ["GEMINI_API_KEY", ...(config.EMBEDDING_PROVIDER === "jina" ? ["JINA_API_KEY"] : [])]
 
 const missingVars = requiredEnvVars.filter((varName) => !config[varName])
 
@@ -82,6 +124,7 @@ if (config.NODE_ENV === "development") {
   console.log(`- Database: ${config.DATABASE_URL ? "Configured" : "Not configured"}`)
   console.log(`- Redis: ${config.REDIS_URL}`)
   console.log(`- Qdrant: ${config.QDRANT_URL}`)
+  console.log(`- Embeddings: ${config.EMBEDDING_PROVIDER} (${config.EMBEDDING_MODEL || "default model"})`)
   console.log(`- RSS Sources: ${config.RSS_FEEDS.length} configured`)
 }
 
@@ -157,6 +157,68 @@ class RedisManager {
     }
   }
 
+  // Incremental alternative to KEYS that does not block the server
+  async scanKeys(pattern, count = 500) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      const keys = []
+      for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: count })) {
+        keys.push(key)
+      }
+      return keys
+    } catch (error) {
+      console.error(`Redis SCAN error for pattern ${pattern}:`, error.message)
+      throw error
+    }
+  }
+
+  async mget(keys) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.mGet(keys)
+    } catch (error) {
+      console.error(`Redis MGET error for ${keys.length} keys:`, error.message)
+      throw error
+    }
+  }
+
+  // SETEX for several keys in one round trip; entries are [key, value] pairs
+  async msetex(entries, seconds) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      const pipeline = this.client.multi()
+      for (const [key, value] of entries) {
+        pipeline.setEx(key, seconds, value)
+      }
+      return await pipeline.exec()
+    } catch (error) {
+      console.error(`Redis SETEX error for ${entries.length} keys:`, error.message)
+      throw error
+    }
+  }
+
+  async delMany(keys) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return keys.length > 0 ? await this.client.del(keys) : 0
+    } catch (error) {
+      console.error(`Redis DEL error for ${keys.length} keys:`, error.message)
+      throw error
+    }
+  }
+
   async lpush(key, ...values) {
     if (!this.client || !this.isConnected) {
       throw new Error("Redis not connected")
@@ -196,6 +258,189 @@ class RedisManager {
     }
   }
 
+  async hget(key, field) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.hGet(key, field)
+    } catch (error) {
+      console.error(`Redis HGET error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
+  async hset(key, field, value) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      // Accepts either a single field/value pair or an object of fields
+      return value === undefined ? await this.client.hSet(key, field) : await this.client.hSet(key, field, value)
+    } catch (error) {
+      console.error(`Redis HSET error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
+  async sadd(key, ...members) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.sAdd(key, members)
+    } catch (error) {
+      console.error(`Redis SADD error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
+  async sismember(key, member) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.sIsMember(key, member)
+    } catch (error) {
+      console.error(`Redis SISMEMBER error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
+  async scard(key) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.sCard(key)
+    } catch (error) {
+      console.error(`Redis SCARD error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
+  async llen(key) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.lLen(key)
+    } catch (error) {
+      console.error(`Redis LLEN error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
+  async lrem(key, count, element) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.lRem(key, count, element)
+    } catch (error) {
+      console.error(`Redis LREM error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
+  async lmove(source, destination, whereFrom = "RIGHT", whereTo = "LEFT") {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.lMove(source, destination, whereFrom, whereTo)
+    } catch (error) {
+      console.error(`Redis LMOVE error for key ${source}:`, error.message)
+      throw error
+    }
+  }
+
+  async zadd(key, score, member) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.zAdd(key, { score, value: member })
+    } catch (error) {
+      console.error(`Redis ZADD error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
+  async zrangebyscore(key, min, max) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.zRangeByScore(key, min, max)
+    } catch (error) {
+      console.error(`Redis ZRANGEBYSCORE error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
+  async zrem(key, member) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.zRem(key, member)
+    } catch (error) {
+      console.error(`Redis ZREM error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
+  async zcard(key) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.zCard(key)
+    } catch (error) {
+      console.error(`Redis ZCARD error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
+  async hgetall(key) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.hGetAll(key)
+    } catch (error) {
+      console.error(`Redis HGETALL error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
+  async hincrby(key, field, increment = 1) {
+    if (!this.client || !this.isConnected) {
+      throw new Error("Redis not connected")
+    }
+
+    try {
+      return await this.client.hIncrBy(key, field, increment)
+    } catch (error) {
+      console.error(`Redis HINCRBY error for key ${key}:`, error.message)
+      throw error
+    }
+  }
+
   async expire(key, seconds) {
     if (!this.client || !this.isConnected) {
       throw new Error("Redis not connected")
@@ -1,10 +1,12 @@
 import cron from "node-cron"
 import newsIngestionService from "../services/newsIngestion.js"
+import ingestionQueue, { startIngestionQueue, createIngestionJob, getIngestionJob } from "../services/ingestionQueue.js"
 
 class NewsIngestionJob {
   constructor() {
     this.isRunning = false
     this.lastRun = null
+    this.currentJobId = null
     this.stats = {
       totalRuns: 0,
       successfulRuns: 0,
@@ -14,6 +16,8 @@ class NewsIngestionJob {
   }
 
   start() {
+    startIngestionQueue()
+
     // Run every 2 hours
     cron.schedule("0 */2 * * *", async () => {
       await this.runIngestion()
@@ -27,41 +31,85 @@ class NewsIngestionJob {
     console.log("News ingestion job scheduled to run every 2 hours")
   }
 
-  async runIngestion() {
-    if (this.isRunning) {
+  // Queue a job for the workers; without Redis, fall back to an inline run
+  async runIngestion(trigger = "scheduled") {
+    if (await this.hasActiveJob()) {
       console.log("News ingestion already running, skipping...")
-      return
+      return null
     }
 
-    this.isRunning = true
+    return this.startRun(trigger).catch(() => null)
+  }
+
+  /**
+   * Resolves to { job } once queued, or to { articles } after an inline run
+   * without Redis; rejects when either fails
+   */
+  async startRun(trigger) {
     this.stats.totalRuns++
 
+    if (ingestionQueue.isAvailable()) {
+      try {
+        const job = await createIngestionJob({ type: trigger })
+        this.currentJobId = job.id
+        this.lastRun = new Date().toISOString()
+        this.stats.successfulRuns++
+
+        console.log(`News ingestion job ${job.id} queued for ${job.sources} sources`)
+        return { job }
+      } catch (error) {
+        this.stats.failedRuns++
+        console.error("Failed to queue news ingestion:", error.message)
+        throw error
+      }
+    }
+
+    this.isRunning = true
+
     try {
-      console.log("Starting scheduled news ingestion...")
-      const articles = await newsIngestionService.ingestAllSources()
+      console.log(`Starting ${trigger} news ingestion...`)
+      const articles = await newsIngestionService.ingestAllSources({ trigger })
 
       this.stats.successfulRuns++
       this.stats.totalArticlesProcessed += articles.length
       this.lastRun = new Date().toISOString()
 
       console.log(`News ingestion completed successfully. Processed ${articles.length} articles.`)
+      return { articles }
     } catch (error) {
       this.stats.failedRuns++
       console.error("News ingestion failed:", error.message)
+      throw error
     } finally {
       this.isRunning = false
     }
   }
 
+  async hasActiveJob() {
+    if (this.isRunning) return true
+    if (!this.currentJobId || !ingestionQueue.isAvailable()) return false
+
+    try {
+      const job = await getIngestionJob(this.currentJobId)
+      return Boolean(job && ["queued", "running"].includes(job.status))
+    } catch {
+      return false
+    }
+  }
+
+  // Like a scheduled run, but failures reach the caller; null while another run is active
   async runManual() {
+    if (await this.hasActiveJob()) return null
+
     console.log("Running manual news ingestion...")
-    return this.runIngestion()
+    return this.startRun("manual")
   }
 
   getStats() {
     return {
       ...this.stats,
       isRunning: this.isRunning,
+      currentJobId: this.currentJobId,
       lastRun: this.lastRun,
     }
   }
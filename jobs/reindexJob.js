@@ -0,0 +1,65 @@
+import { reindexArticles } from "../services/reindex.js"
+
+// Runs on demand only (API or `npm run reindex`), never on a schedule
+class ReindexJob {
+  constructor() {
+    this.isRunning = false
+    this.current = null
+    this.lastRun = null
+    this.lastResult = null
+    this.lastError = null
+    this.stats = {
+      totalRuns: 0,
+      successfulRuns: 0,
+      failedRuns: 0,
+    }
+  }
+
+  // Returns null when a reindex is already in progress in this process
+  async runReindex(options = {}) {
+    if (this.isRunning) {
+      console.log("Reindex already running, skipping...")
+      return null
+    }
+
+    this.isRunning = true
+    this.stats.totalRuns++
+
+    try {
+      const result = await reindexArticles({
+        ...options,
+        onProgress: (run) => {
+          this.current = run
+          options.onProgress?.(run)
+        },
+      })
+
+      this.stats.successfulRuns++
+      this.lastRun = result.finishedAt
+      this.lastResult = result
+      this.lastError = null
+      return result
+    } catch (error) {
+      this.stats.failedRuns++
+      this.lastError = error.message
+      console.error("Reindex failed:", error.message)
+      throw error
+    } finally {
+      this.isRunning = false
+      this.current = null
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      current: this.current,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult,
+      lastError: this.lastError,
+    }
+  }
+}
+
+export default new ReindexJob()
@@ -0,0 +1,81 @@
+import cron from "node-cron"
+import config from "../config/environment.js"
+import {
+  purgeExpiredArticles,
+  hasRetentionWindows,
+  getRetentionPolicy,
+  validateRetentionOptions,
+} from "../services/retention.js"
+
+class RetentionJob {
+  constructor() {
+    this.isRunning = false
+    this.lastRun = null
+    this.lastResult = null
+    this.stats = {
+      totalRuns: 0,
+      successfulRuns: 0,
+      failedRuns: 0,
+      totalArticlesPurged: 0,
+    }
+  }
+
+  // Always scheduled: feeds can get their own window at any time, even with RETENTION_DAYS=0
+  start() {
+    cron.schedule(config.RETENTION_SCHEDULE, async () => {
+      await this.runPurge().catch(() => {})
+    })
+
+    const window =
+      config.RETENTION_DAYS > 0 ? `window ${config.RETENTION_DAYS} days` : "only for feeds with their own window"
+    console.log(`Retention purge scheduled (${config.RETENTION_SCHEDULE}), ${window}`)
+  }
+
+  // Returns null when a purge is already in progress
+  async runPurge(options = {}) {
+    // Also when nothing can expire, so a bad mode is never reported as a successful purge
+    validateRetentionOptions(options)
+
+    if (this.isRunning) {
+      console.log("Retention purge already running, skipping...")
+      return null
+    }
+
+    this.isRunning = true
+
+    try {
+      // Neither a global nor a per-feed window: nothing can expire
+      if (!(await hasRetentionWindows())) {
+        return { ...getRetentionPolicy(), mode: options.mode || config.RETENTION_MODE, articles: 0, points: 0 }
+      }
+
+      this.stats.totalRuns++
+      const result = await purgeExpiredArticles(options)
+
+      this.stats.successfulRuns++
+      this.stats.totalArticlesPurged += result.articles || 0
+      this.lastRun = result.finishedAt
+      this.lastResult = result
+
+      console.log(`Retention purge completed: ${result.articles ?? "unknown"} articles, ${result.points} points (${result.mode})`)
+      return result
+    } catch (error) {
+      this.stats.failedRuns++
+      console.error("Retention purge failed:", error.message)
+      throw error
+    } finally {
+      this.isRunning = false
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult,
+    }
+  }
+}
+
+export default new RetentionJob()
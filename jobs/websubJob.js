@@ -0,0 +1,73 @@
+import cron from "node-cron"
+import config from "../config/environment.js"
+import { renewSubscriptions } from "../services/websub.js"
+
+class WebSubJob {
+  constructor() {
+    this.isRunning = false
+    this.lastRun = null
+    this.lastResult = null
+    this.stats = {
+      totalRuns: 0,
+      successfulRuns: 0,
+      failedRuns: 0,
+    }
+  }
+
+  start() {
+    if (!config.WEBSUB_CALLBACK_URL) {
+      console.log("WebSub disabled (WEBSUB_CALLBACK_URL not set), feeds are polled only")
+      return
+    }
+
+    cron.schedule(config.WEBSUB_RENEW_SCHEDULE, async () => {
+      await this.runRenewal()
+    })
+
+    console.log(`WebSub subscription renewal scheduled (${config.WEBSUB_RENEW_SCHEDULE})`)
+  }
+
+  // Returns null when a renewal is already in progress
+  async runRenewal() {
+    if (this.isRunning) {
+      console.log("WebSub renewal already running, skipping...")
+      return null
+    }
+
+    this.isRunning = true
+    this.stats.totalRuns++
+
+    try {
+      const result = await renewSubscriptions()
+
+      this.stats.successfulRuns++
+      this.lastRun = new Date().toISOString()
+      this.lastResult = result
+
+      if (result.subscribed || result.renewed || result.unsubscribed || result.failed) {
+        console.log(
+          `WebSub renewal: ${result.subscribed} subscribed, ${result.renewed} renewed, ` +
+            `${result.unsubscribed} unsubscribed, ${result.failed} failed`,
+        )
+      }
+      return result
+    } catch (error) {
+      this.stats.failedRuns++
+      console.error("WebSub renewal failed:", error.message)
+      throw error
+    } finally {
+      this.isRunning = false
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult,
+    }
+  }
+}
+
+export default new WebSubJob()
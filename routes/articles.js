@@ -0,0 +1,104 @@
+import express from "express"
+import { validate as uuidValidate } from "uuid"
+import { getDatabase } from "../config/database.js"
+
+const router = express.Router()
+
+const formatRevision = (row) => ({
+  revision: row.revision,
+  contentHash: row.content_hash,
+  previousHash: row.previous_hash,
+  title: row.title,
+  chunkCount: row.chunk_count,
+  pointIds: row.point_ids || [],
+  changes: row.changes || {},
+  createdAt: row.created_at,
+})
+
+// Get an ingested article's current metadata
+router.get("/:id", async (req, res) => {
+  try {
+    const db = getDatabase()
+
+    if (!db.isConnected) {
+      return res.status(503).json({
+        success: false,
+        error: "Database not available",
+      })
+    }
+
+    const article = uuidValidate(req.params.id) ? await db.getArticle(req.params.id) : null
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: "Article not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      article: {
+        id: article.id,
+        title: article.title,
+        url: article.url,
+        description: article.description,
+        source: article.source,
+        author: article.author,
+        pubDate: article.pub_date,
+        categories: article.categories || [],
+        chunkCount: article.chunk_count,
+        revision: article.revision,
+        contentHash: article.content_hash,
+        processedAt: article.processed_at,
+        archivedAt: article.archived_at || null,
+        metadata: article.metadata || {},
+      },
+    })
+  } catch (error) {
+    console.error("Get article error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to get article",
+    })
+  }
+})
+
+// Get the revision history of an article, newest first
+router.get("/:id/revisions", async (req, res) => {
+  try {
+    const db = getDatabase()
+
+    if (!db.isConnected) {
+      return res.status(503).json({
+        success: false,
+        error: "Database not available",
+      })
+    }
+
+    const article = uuidValidate(req.params.id) ? await db.getArticle(req.params.id) : null
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: "Article not found",
+      })
+    }
+
+    const revisions = await db.getArticleRevisions(article.id)
+
+    res.json({
+      success: true,
+      articleId: article.id,
+      currentRevision: article.revision,
+      revisions: revisions.map(formatRevision),
+      count: revisions.length,
+    })
+  } catch (error) {
+    console.error("Get article revisions error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to get article revisions",
+    })
+  }
+})
+
+export default router
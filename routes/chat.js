@@ -9,10 +9,26 @@ import { searchArticles } from "../services/articleSearch.js"
 
 const router = express.Router()
 
+// Retrieval filters accepted by the chat and search endpoints
+const SEARCH_FILTERS = ["source", "sourceType", "language", "entity", "dateFrom", "dateTo"]
+
+const pickFilters = (input) => {
+  const filters = {}
+  for (const key of SEARCH_FILTERS) {
+    if (typeof input?.[key] === "string" && input[key].trim()) {
+      filters[key] = input[key].trim()
+    }
+  }
+  // Languages are stored as lowercase ISO 639-1 codes
+  if (filters.language) filters.language = filters.language.toLowerCase()
+  return filters
+}
+
 // Send a chat message
 router.post("/message", async (req, res) => {
   try {
     const { message, sessionId, streaming = false } = req.body
+    const filters = pickFilters(req.body.filters)
 
     if (!message || !sessionId) {
       return res.status(400).json({
@@ -47,9 +63,9 @@ router.post("/message", async (req, res) => {
 
     // Process RAG pipeline with streaming support
     if (streaming) {
-      processStreamingRAGResponse(message, sessionId, messageId)
+      processStreamingRAGResponse(message, sessionId, messageId, filters)
     } else {
-      processRAGResponse(message, sessionId, messageId)
+      processRAGResponse(message, sessionId, messageId, filters)
     }
   } catch (error) {
     console.error("Chat message error:", error)
@@ -60,13 +76,13 @@ router.post("/message", async (req, res) => {
   }
 })
 
-async function processRAGResponse(query, sessionId, userMessageId) {
+async function processRAGResponse(query, sessionId, userMessageId, filters = {}) {
   try {
     // Emit typing indicator
     io.to(sessionId).emit("bot-typing", { typing: true })
 
     // Process query through RAG pipeline
-    const ragResult = await processRAGQuery(query, sessionId)
+    const ragResult = await processRAGQuery(query, sessionId, { filters })
 
     // Create bot message with RAG response
     const botMessage = {
@@ -101,13 +117,13 @@ async function processRAGResponse(query, sessionId, userMessageId) {
   }
 }
 
-async function processStreamingRAGResponse(query, sessionId, userMessageId) {
+async function processStreamingRAGResponse(query, sessionId, userMessageId, filters = {}) {
   try {
     // Emit typing indicator
     io.to(sessionId).emit("bot-typing", { typing: true })
 
     // Get context from RAG pipeline
-    const ragResult = await processRAGQuery(query, sessionId, { streaming: true })
+    const ragResult = await processRAGQuery(query, sessionId, { streaming: true, filters })
 
     // Start streaming response
     const streamingService = await import("../services/streamingService.js")
@@ -189,7 +205,7 @@ router.post("/stream", async (req, res) => {
     })
 
     // Process and stream response
-    await streamRAGResponse(message, sessionId, res)
+    await streamRAGResponse(message, sessionId, res, pickFilters(req.body.filters))
   } catch (error) {
     console.error("Stream error:", error)
     res.write(`data: ${JSON.stringify({ error: "Stream failed" })}\n\n`)
@@ -197,13 +213,13 @@ router.post("/stream", async (req, res) => {
   }
 })
 
-async function streamRAGResponse(query, sessionId, res) {
+async function streamRAGResponse(query, sessionId, res, filters = {}) {
   try {
     // Send processing status
     res.write(`data: ${JSON.stringify({ status: "processing", message: "Searching for relevant information..." })}\n\n`)
 
     // Process through RAG pipeline
-    const ragResult = await processRAGQuery(query, sessionId)
+    const ragResult = await processRAGQuery(query, sessionId, { filters })
 
     res.write(`data: ${JSON.stringify({ status: "generating", message: "Generating response..." })}\n\n`)
 
@@ -270,7 +286,7 @@ router.get("/trends", async (req, res) => {
 
 router.get("/search", async (req, res) => {
   try {
-    const { q, source, dateFrom, dateTo } = req.query
+    const { q } = req.query
 
     if (!q) {
       return res.status(400).json({
@@ -279,10 +295,7 @@ router.get("/search", async (req, res) => {
       })
     }
 
-    const filters = {}
-    if (source) filters.source = source
-    if (dateFrom) filters.dateFrom = dateFrom
-    if (dateTo) filters.dateTo = dateTo
+    const filters = pickFilters(req.query)
 
     const articles = await searchArticles(q, filters)
 
@@ -0,0 +1,78 @@
+import express from "express"
+import { getDatabase } from "../config/database.js"
+import { entityKey, describeEntity, ENTITY_TYPES } from "../services/entityExtractor.js"
+import { validatePagination } from "../utils/validation.js"
+
+const router = express.Router()
+
+// List the articles mentioning a person, organization or place, newest first
+router.get("/:name", async (req, res) => {
+  try {
+    const db = getDatabase()
+
+    if (!db.isConnected) {
+      return res.status(503).json({
+        success: false,
+        error: "Database not available",
+      })
+    }
+
+    const key = entityKey(req.params.name)
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        error: "Entity name is required",
+      })
+    }
+
+    const { limit, offset } = validatePagination(req.query.limit, req.query.offset)
+    const total = await db.query("SELECT COUNT(*) FROM news_articles WHERE metadata->'entityKeys' ? $1", [key])
+    const result = await db.query(
+      `
+      SELECT id, title, url, source, pub_date, archived_at, metadata->'entities' AS entities
+      FROM news_articles
+      WHERE metadata->'entityKeys' ? $1
+      ORDER BY pub_date DESC NULLS LAST
+      LIMIT $2 OFFSET $3
+    `,
+      [key, limit, offset],
+    )
+
+    // Names outside the gazetteer take their spelling and type from the articles
+    let entity = describeEntity(req.params.name)
+    for (const row of result.rows) {
+      const type = Object.keys(ENTITY_TYPES).find((candidate) =>
+        (row.entities?.[ENTITY_TYPES[candidate]] || []).some((name) => name.toLowerCase() === key),
+      )
+      if (type) {
+        const names = row.entities[ENTITY_TYPES[type]]
+        entity = { name: names.find((name) => name.toLowerCase() === key), type }
+        break
+      }
+    }
+
+    res.json({
+      success: true,
+      entity: { ...entity, key },
+      articles: result.rows.map((row) => ({
+        id: row.id,
+        title: row.title,
+        url: row.url,
+        source: row.source,
+        pubDate: row.pub_date,
+        archivedAt: row.archived_at || null,
+        entities: row.entities || {},
+      })),
+      count: result.rows.length,
+      total: Number.parseInt(total.rows[0].count),
+    })
+  } catch (error) {
+    console.error("Get entity articles error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to get articles for entity",
+    })
+  }
+})
+
+export default router
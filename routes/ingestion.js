@@ -1,14 +1,80 @@
 import express from "express"
+import multer from "multer"
+import { validate as uuidValidate } from "uuid"
 import newsIngestionService from "../services/newsIngestion.js"
 import newsIngestionJob from "../jobs/newsIngestionJob.js"
+import retentionJob from "../jobs/retentionJob.js"
+import websubJob from "../jobs/websubJob.js"
+import reindexJob from "../jobs/reindexJob.js"
 import { getVectorStoreInfo } from "../services/vectorStore.js"
+import { warmEmbeddingCache, evictEmbeddingCache, getEmbeddingCacheStats } from "../services/embeddings.js"
+import {
+  listSources,
+  getSource,
+  addSource,
+  updateSource,
+  disableSource,
+  enableSource,
+  deleteSource,
+} from "../services/feedSources.js"
+import { listIngestionRuns, getIngestionRun, getSourceHealth } from "../services/ingestionRuns.js"
+import { previewRetention } from "../services/retention.js"
+import { getReindexStatus, validateReindexOptions } from "../services/reindex.js"
+import {
+  listSubscriptions,
+  getSubscription,
+  subscribeSource,
+  unsubscribeSource,
+  getWebSubStats,
+} from "../services/websub.js"
+import { getDatabase } from "../config/database.js"
+import { getFetcherStats } from "../services/fetcher.js"
+import ingestionQueue, {
+  getIngestionJob,
+  getDeadLetters,
+  replayDeadLetters,
+  getQueueStats,
+} from "../services/ingestionQueue.js"
+import { validatePagination } from "../utils/validation.js"
+import config from "../config/environment.js"
+import { authenticateAPI } from "../middleware/auth.js"
 
 const router = express.Router()
 
-// Manual ingestion trigger
+const requireDatabase = (req, res, next) => {
+  if (!getDatabase().isConnected) {
+    return res.status(503).json({
+      success: false,
+      error: "Database not available",
+    })
+  }
+  next()
+}
+
+// Manual ingestion trigger: queues a job and returns its id immediately
 router.post("/trigger", async (req, res) => {
   try {
-    const articles = await newsIngestionService.ingestAllSources()
+    // Without Redis there is no queue and the job ingests inline as before
+    const run = await newsIngestionJob.runManual()
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        error: "An ingestion run is already in progress",
+        // An inline run without Redis has no job to follow
+        jobId: newsIngestionJob.isRunning ? null : newsIngestionJob.currentJobId,
+      })
+    }
+
+    if (run.job) {
+      return res.status(202).json({
+        success: true,
+        message: `Ingestion job queued for ${run.job.sources} sources`,
+        jobId: run.job.id,
+        status: run.job.status,
+      })
+    }
+
+    const { articles } = run
     res.json({
       success: true,
       message: `Successfully ingested ${articles.length} articles`,
@@ -24,18 +90,411 @@ router.post("/trigger", async (req, res) => {
   }
 })
 
+// Ingest specific article URLs now, outside of any feed
+router.post("/url", authenticateAPI, async (req, res) => {
+  try {
+    const { url, urls, source, categories, chunkStrategy } = req.body || {}
+    const batch = urls !== undefined
+    if (batch && !Array.isArray(urls)) {
+      return res.status(400).json({
+        success: false,
+        error: "urls must be an array",
+      })
+    }
+
+    const results = await newsIngestionService.ingestUrls(batch ? urls : url ? [url] : [], {
+      source,
+      categories,
+      chunkStrategy,
+    })
+
+    if (!batch) {
+      const [result] = results
+      const status = { ingested: 201, duplicate: 200, failed: 422 }[result.status]
+      return res.status(status).json({
+        success: result.status !== "failed",
+        ...result,
+      })
+    }
+
+    res.json({
+      success: true,
+      results,
+      ingested: results.filter((result) => result.status === "ingested").length,
+      duplicates: results.filter((result) => result.status === "duplicate").length,
+      failed: results.filter((result) => result.status === "failed").length,
+    })
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      })
+    }
+
+    console.error("URL ingestion failed:", error)
+    res.status(500).json({
+      success: false,
+      error: "URL ingestion failed",
+    })
+  }
+})
+
+// Uploaded documents are kept in memory only while their text is extracted
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.MAX_DOCUMENT_SIZE_MB * 1024 * 1024, files: 10 },
+}).fields([
+  { name: "file", maxCount: 1 },
+  { name: "files", maxCount: 10 },
+])
+
+const handleUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next()
+
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+        success: false,
+        error: error.code === "LIMIT_FILE_SIZE" ? `Documents are limited to ${config.MAX_DOCUMENT_SIZE_MB}MB` : error.message,
+      })
+    }
+    next(error)
+  })
+}
+
+// Ingest uploaded PDF, HTML, Markdown or plain text documents
+router.post("/documents", authenticateAPI, handleUpload, async (req, res) => {
+  const files = [...(req.files?.file || []), ...(req.files?.files || [])]
+  if (files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "Upload at least one document in the 'file' or 'files' field",
+    })
+  }
+
+  // Multipart fields are strings: categories may be repeated or comma-separated
+  const { title, source, chunkStrategy } = req.body
+  const categories = [req.body.categories || []].flat().flatMap((value) => String(value).split(","))
+
+  const results = []
+  for (const file of files) {
+    try {
+      results.push(
+        await newsIngestionService.ingestDocument(file, {
+          title: files.length === 1 ? title : null,
+          source,
+          categories,
+          chunkStrategy,
+        }),
+      )
+    } catch (error) {
+      if (error.name !== "ValidationError") {
+        console.error(`Document ingestion failed for ${file.originalname}:`, error)
+      }
+      results.push({ filename: file.originalname, status: "failed", error: error.message })
+    }
+  }
+
+  const ingested = results.filter((result) => result.status === "ingested").length
+  const failed = results.filter((result) => result.status === "failed").length
+
+  res.status(ingested > 0 ? 201 : failed === results.length ? 422 : 200).json({
+    success: failed < results.length,
+    results,
+    ingested,
+    duplicates: results.filter((result) => result.status === "duplicate").length,
+    failed,
+  })
+})
+
+// Dry run: show the extracted, cleaned and chunked text for a feed or article URL without storing anything
+router.post("/preview", authenticateAPI, async (req, res) => {
+  try {
+    const { url, chunkStrategy, maxItems } = req.body || {}
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: "url is required",
+      })
+    }
+
+    const preview = await newsIngestionService.preview(url, { chunkStrategy, maxItems })
+    res.json({
+      success: true,
+      ...preview,
+    })
+  } catch (error) {
+    if (error.name === "ValidationError" || error.code === "PRIVATE_ADDRESS") {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      })
+    }
+
+    // The URL itself could not be fetched (HTTP error, timeout, robots.txt)
+    console.error("Ingestion preview failed:", error.message)
+    res.status(502).json({
+      success: false,
+      error: `Failed to fetch ${req.body?.url}: ${error.message}`,
+    })
+  }
+})
+
+// Get ingestion job progress
+router.get("/jobs/:id", async (req, res) => {
+  try {
+    if (!ingestionQueue.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: "Job queue not available",
+      })
+    }
+
+    const job = await getIngestionJob(req.params.id)
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      job,
+    })
+  } catch (error) {
+    console.error("Failed to get job:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to get job",
+    })
+  }
+})
+
+// Inspect tasks that exhausted their retries
+router.get("/dead-letter", async (req, res) => {
+  try {
+    const { limit, offset } = validatePagination(req.query.limit, req.query.offset)
+    const tasks = await getDeadLetters(limit, offset)
+
+    res.json({
+      success: true,
+      tasks,
+      count: tasks.length,
+    })
+  } catch (error) {
+    console.error("Failed to get dead-letter tasks:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to get dead-letter tasks",
+    })
+  }
+})
+
+// Replay every dead-lettered task
+router.post("/dead-letter/replay", authenticateAPI, async (req, res) => {
+  try {
+    const replayed = await replayDeadLetters()
+    res.json({
+      success: true,
+      replayed,
+    })
+  } catch (error) {
+    console.error("Failed to replay dead-letter tasks:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to replay dead-letter tasks",
+    })
+  }
+})
+
+// Replay one dead-lettered task
+router.post("/dead-letter/:taskId/replay", authenticateAPI, async (req, res) => {
+  try {
+    const replayed = await replayDeadLetters(req.params.taskId)
+    if (replayed === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Dead-letter task not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      replayed,
+    })
+  } catch (error) {
+    console.error("Failed to replay dead-letter task:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to replay dead-letter task",
+    })
+  }
+})
+
+// Persisted run history, newest first
+router.get("/runs", requireDatabase, async (req, res) => {
+  try {
+    const { limit, offset } = validatePagination(req.query.limit, req.query.offset)
+    const runs = await listIngestionRuns(limit, offset)
+
+    res.json({
+      success: true,
+      runs,
+      count: runs.length,
+    })
+  } catch (error) {
+    console.error("Failed to list ingestion runs:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to list ingestion runs",
+    })
+  }
+})
+
+// One run with its per-source results
+router.get("/runs/:id", requireDatabase, async (req, res) => {
+  try {
+    const run = uuidValidate(req.params.id) ? await getIngestionRun(req.params.id) : null
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: "Ingestion run not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      run,
+    })
+  } catch (error) {
+    console.error("Failed to get ingestion run:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to get ingestion run",
+    })
+  }
+})
+
+// Preview what the retention purge would remove right now
+router.get("/retention/preview", authenticateAPI, async (req, res) => {
+  try {
+    const preview = await previewRetention()
+    res.json({
+      success: true,
+      preview,
+    })
+  } catch (error) {
+    console.error("Failed to preview retention purge:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to preview retention purge",
+    })
+  }
+})
+
+// Run the retention purge now; body { mode: "archive" | "delete" } overrides RETENTION_MODE
+router.post("/retention/purge", authenticateAPI, async (req, res) => {
+  try {
+    const result = await retentionJob.runPurge({ mode: req.body?.mode })
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: "A retention purge is already running",
+      })
+    }
+
+    res.json({
+      success: true,
+      result,
+    })
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      })
+    }
+    console.error("Retention purge failed:", error)
+    res.status(500).json({
+      success: false,
+      error: "Retention purge failed",
+    })
+  }
+})
+
+// Reindex runs and the versioned collections behind the search alias
+router.get("/reindex", authenticateAPI, requireDatabase, async (req, res) => {
+  try {
+    const status = await getReindexStatus()
+    res.json({
+      success: true,
+      job: reindexJob.getStats(),
+      ...status,
+    })
+  } catch (error) {
+    console.error("Failed to get reindex status:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to get reindex status",
+    })
+  }
+})
+
+// Rebuild the vector index from Postgres in the background; body { chunkStrategy, resume, dropPrevious }
+router.post("/reindex", authenticateAPI, requireDatabase, (req, res) => {
+  const options = {
+    chunkStrategy: req.body?.chunkStrategy || null,
+    resume: req.body?.resume !== false,
+    dropPrevious: req.body?.dropPrevious === true,
+  }
+
+  try {
+    validateReindexOptions(options)
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    })
+  }
+
+  if (reindexJob.isRunning) {
+    return res.status(409).json({
+      success: false,
+      error: "A reindex is already running",
+    })
+  }
+
+  // Failures are kept on the run and in the job stats, and the run can be resumed
+  reindexJob.runReindex(options).catch(() => {})
+
+  res.status(202).json({
+    success: true,
+    message: "Reindex started; follow its progress at GET /api/ingestion/reindex",
+  })
+})
+
 // Get ingestion statistics
 router.get("/stats", async (req, res) => {
   try {
     const ingestionStats = await newsIngestionService.getIngestionStats()
     const jobStats = newsIngestionJob.getStats()
     const vectorStoreInfo = await getVectorStoreInfo()
+    const queueStats = await getQueueStats()
+    const websubStats = await getWebSubStats()
 
     res.json({
       success: true,
       ingestion: ingestionStats,
       job: jobStats,
+      queue: queueStats,
+      retention: retentionJob.getStats(),
+      websub: { ...websubStats, job: websubJob.getStats() },
+      reindex: reindexJob.getStats(),
+      embeddingCache: getEmbeddingCacheStats(),
       vectorStore: vectorStoreInfo,
+      fetcher: getFetcherStats(),
     })
   } catch (error) {
     console.error("Failed to get stats:", error)
@@ -47,6 +506,66 @@ router.get("/stats", async (req, res) => {
   }
 })
 
+// Embedding cache: hit/miss counters, bulk warm-up and eviction
+router.get("/embeddings/cache", authenticateAPI, (req, res) => {
+  res.json({
+    success: true,
+    cache: getEmbeddingCacheStats(),
+  })
+})
+
+// Body { texts: [...], type: "passage" | "query" }; queries get the same prefix as chat questions
+router.post("/embeddings/cache/warm", authenticateAPI, async (req, res) => {
+  try {
+    const result = await warmEmbeddingCache(req.body?.texts, { type: req.body?.type || "passage" })
+    res.json({
+      success: true,
+      ...result,
+    })
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      })
+    }
+
+    console.error("Failed to warm embedding cache:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to warm embedding cache",
+    })
+  }
+})
+
+// Body { texts, type } evicts those texts; without texts every entry of `model` (default: the active one)
+router.post("/embeddings/cache/evict", authenticateAPI, async (req, res) => {
+  try {
+    const result = await evictEmbeddingCache({
+      texts: req.body?.texts ?? null,
+      type: req.body?.type || "passage",
+      model: req.body?.model || null,
+    })
+    res.json({
+      success: true,
+      ...result,
+    })
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      })
+    }
+
+    console.error("Failed to evict embedding cache:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to evict embedding cache",
+    })
+  }
+})
+
 // Get processed articles count
 router.get("/count", async (req, res) => {
   try {
@@ -66,4 +585,254 @@ router.get("/count", async (req, res) => {
   }
 })
 
+// Feed source registry
+const requireSourceId = (req, res, next) => {
+  if (!uuidValidate(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: "Feed source not found",
+    })
+  }
+  next()
+}
+
+const handleSourceError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    })
+  }
+
+  // Unique violation on feed_sources.url
+  if (error.code === "23505") {
+    return res.status(409).json({
+      success: false,
+      error: "A feed source with this url already exists",
+    })
+  }
+
+  console.error(`${message}:`, error)
+  res.status(500).json({
+    success: false,
+    error: message,
+  })
+}
+
+router.get("/sources", async (req, res) => {
+  try {
+    const sources = await listSources({ enabledOnly: req.query.enabled === "true" })
+    res.json({
+      success: true,
+      sources,
+      count: sources.length,
+    })
+  } catch (error) {
+    handleSourceError(res, error, "Failed to list feed sources")
+  }
+})
+
+router.post("/sources", authenticateAPI, requireDatabase, async (req, res) => {
+  try {
+    const source = await addSource(req.body)
+    res.status(201).json({
+      success: true,
+      source,
+    })
+  } catch (error) {
+    handleSourceError(res, error, "Failed to add feed source")
+  }
+})
+
+router.get("/sources/:id", requireDatabase, requireSourceId, async (req, res) => {
+  try {
+    const source = await getSource(req.params.id)
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: "Feed source not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      source,
+    })
+  } catch (error) {
+    handleSourceError(res, error, "Failed to get feed source")
+  }
+})
+
+router.patch("/sources/:id", authenticateAPI, requireDatabase, requireSourceId, async (req, res) => {
+  try {
+    const source = await updateSource(req.params.id, req.body)
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: "Feed source not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      source,
+    })
+  } catch (error) {
+    handleSourceError(res, error, "Failed to update feed source")
+  }
+})
+
+router.post("/sources/:id/disable", authenticateAPI, requireDatabase, requireSourceId, async (req, res) => {
+  try {
+    const source = await disableSource(req.params.id)
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: "Feed source not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      source,
+    })
+  } catch (error) {
+    handleSourceError(res, error, "Failed to disable feed source")
+  }
+})
+
+router.post("/sources/:id/enable", authenticateAPI, requireDatabase, requireSourceId, async (req, res) => {
+  try {
+    const source = await enableSource(req.params.id)
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: "Feed source not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      source,
+    })
+  } catch (error) {
+    handleSourceError(res, error, "Failed to enable feed source")
+  }
+})
+
+// Recent runs of one source, its failure streak and success rate
+router.get("/sources/:id/health", requireDatabase, requireSourceId, async (req, res) => {
+  try {
+    const source = await getSource(req.params.id)
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: "Feed source not found",
+      })
+    }
+
+    const { limit } = validatePagination(req.query.limit, 0)
+    const health = await getSourceHealth(source.id, limit)
+
+    res.json({
+      success: true,
+      source,
+      health,
+    })
+  } catch (error) {
+    handleSourceError(res, error, "Failed to get feed source health")
+  }
+})
+
+// WebSub push subscriptions of feed sources
+router.get("/websub", authenticateAPI, requireDatabase, async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions()
+    res.json({
+      success: true,
+      subscriptions,
+      count: subscriptions.length,
+    })
+  } catch (error) {
+    handleSourceError(res, error, "Failed to list WebSub subscriptions")
+  }
+})
+
+router.get("/sources/:id/websub", authenticateAPI, requireDatabase, requireSourceId, async (req, res) => {
+  try {
+    const subscription = await getSubscription(req.params.id)
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: "No WebSub hub known for this feed source",
+      })
+    }
+
+    res.json({
+      success: true,
+      subscription,
+    })
+  } catch (error) {
+    handleSourceError(res, error, "Failed to get WebSub subscription")
+  }
+})
+
+// Subscribe now instead of waiting for the renewal job; the hub verifies asynchronously
+router.post("/sources/:id/websub/subscribe", authenticateAPI, requireDatabase, requireSourceId, async (req, res) => {
+  try {
+    const subscription = await subscribeSource(req.params.id)
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: "Feed source not found",
+      })
+    }
+
+    res.status(202).json({
+      success: !subscription.lastError,
+      subscription,
+    })
+  } catch (error) {
+    handleSourceError(res, error, "Failed to subscribe feed source")
+  }
+})
+
+router.post("/sources/:id/websub/unsubscribe", authenticateAPI, requireDatabase, requireSourceId, async (req, res) => {
+  try {
+    const subscription = await unsubscribeSource(req.params.id)
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: "No WebSub hub known for this feed source",
+      })
+    }
+
+    res.status(202).json({
+      success: !subscription.lastError,
+      subscription,
+    })
+  } catch (error) {
+    handleSourceError(res, error, "Failed to unsubscribe feed source")
+  }
+})
+
+router.delete("/sources/:id", authenticateAPI, requireDatabase, requireSourceId, async (req, res) => {
+  try {
+    const deleted = await deleteSource(req.params.id)
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: "Feed source not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Feed source deleted successfully",
+    })
+  } catch (error) {
+    handleSourceError(res, error, "Failed to delete feed source")
+  }
+})
+
 export default router
@@ -0,0 +1,57 @@
+import express from "express"
+import { validate as uuidValidate } from "uuid"
+import newsIngestionService from "../services/newsIngestion.js"
+import { verifyIntent, acceptNotification } from "../services/websub.js"
+
+const router = express.Router()
+
+// Notifications are signed over the exact bytes sent, so the body stays raw.
+// This router is mounted before the global JSON parser for the same reason.
+const rawBody = express.raw({ type: () => true, limit: "5mb" })
+
+const requireSubscriptionId = (req, res, next) => {
+  if (!uuidValidate(req.params.id)) {
+    return res.status(404).send("Unknown subscription")
+  }
+  next()
+}
+
+// Hub verification of a subscribe/unsubscribe request (or a denial)
+router.get("/callback/:id", requireSubscriptionId, async (req, res) => {
+  try {
+    const challenge = await verifyIntent(req.params.id, req.query)
+    if (challenge === null) {
+      return res.status(404).send("Unknown subscription")
+    }
+
+    res.status(200).type("text/plain").send(challenge)
+  } catch (error) {
+    console.error("WebSub verification error:", error)
+    res.status(500).send("Verification failed")
+  }
+})
+
+// Content notification: acknowledged at once, the feed is ingested afterwards
+router.post("/callback/:id", requireSubscriptionId, rawBody, async (req, res) => {
+  try {
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)
+    const notification = await acceptNotification(req.params.id, body, req.get("X-Hub-Signature"))
+    if (!notification) {
+      return res.status(410).send("Subscription is not active")
+    }
+
+    // The spec asks for a 2xx even when the signature does not match
+    res.status(202).end()
+
+    if (notification.verified) {
+      newsIngestionService.ingestNotification(notification.source, body.toString("utf8")).catch((error) => {
+        console.error(`Failed to ingest WebSub notification for ${notification.source.url}:`, error)
+      })
+    }
+  } catch (error) {
+    console.error("WebSub notification error:", error)
+    res.status(500).send("Notification failed")
+  }
+})
+
+export default router
@@ -44,9 +44,121 @@ CREATE TABLE IF NOT EXISTS news_articles (
     categories TEXT[],
     processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     chunk_count INTEGER DEFAULT 0,
+    content_hash TEXT,
+    point_ids TEXT[] DEFAULT '{}',
+    revision INTEGER DEFAULT 1,
+    archived_at TIMESTAMP WITH TIME ZONE,
     metadata JSONB DEFAULT '{}'::jsonb
 );
 
+-- Article Revisions Table
+CREATE TABLE IF NOT EXISTS article_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    article_id UUID REFERENCES news_articles(id) ON DELETE CASCADE ON UPDATE CASCADE,
+    revision INTEGER NOT NULL,
+    content_hash TEXT,
+    previous_hash TEXT,
+    title TEXT,
+    chunk_count INTEGER DEFAULT 0,
+    point_ids TEXT[] DEFAULT '{}',
+    changes JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (article_id, revision)
+);
+
+-- Feed Sources Table (ingestion registry)
+CREATE TABLE IF NOT EXISTS feed_sources (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    url TEXT UNIQUE NOT NULL,
+    name VARCHAR(100),
+    category_hints TEXT[] DEFAULT '{}',
+    max_items INTEGER,
+    enabled BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    consecutive_failures INTEGER DEFAULT 0,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_success_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    disabled_reason TEXT,
+    chunk_strategy VARCHAR(30),
+    retention_days INTEGER,
+    type VARCHAR(20) DEFAULT 'feed',
+    metadata JSONB DEFAULT '{}'::jsonb
+);
+
+-- Ingestion Runs Table
+CREATE TABLE IF NOT EXISTS ingestion_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    trigger VARCHAR(20),
+    status VARCHAR(30),
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    duration_ms INTEGER,
+    sources_count INTEGER DEFAULT 0,
+    articles_new INTEGER DEFAULT 0,
+    articles_skipped INTEGER DEFAULT 0,
+    articles_failed INTEGER DEFAULT 0,
+    errors JSONB DEFAULT '[]'::jsonb
+);
+
+-- Per-source results of each ingestion run
+CREATE TABLE IF NOT EXISTS ingestion_run_sources (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_id UUID REFERENCES ingestion_runs(id) ON DELETE CASCADE,
+    source_id UUID REFERENCES feed_sources(id) ON DELETE SET NULL,
+    source_url TEXT,
+    status VARCHAR(20),
+    fetched INTEGER DEFAULT 0,
+    new_articles INTEGER DEFAULT 0,
+    skipped INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0,
+    errors JSONB DEFAULT '[]'::jsonb,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    duration_ms INTEGER
+);
+
+-- WebSub (PubSubHubbub) subscriptions, one per feed source
+CREATE TABLE IF NOT EXISTS websub_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source_id UUID UNIQUE REFERENCES feed_sources(id) ON DELETE CASCADE,
+    hub_url TEXT NOT NULL,
+    topic_url TEXT NOT NULL,
+    secret VARCHAR(64) NOT NULL,
+    status VARCHAR(20) DEFAULT 'discovered',
+    lease_seconds INTEGER,
+    requested_at TIMESTAMP WITH TIME ZONE,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    last_notified_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Rebuilds of the vector index into versioned Qdrant collections
+CREATE TABLE IF NOT EXISTS vector_reindexes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    collection VARCHAR(100) NOT NULL,
+    previous_collection VARCHAR(100),
+    status VARCHAR(20) DEFAULT 'running',
+    chunk_strategy VARCHAR(30),
+    embedding_provider VARCHAR(50),
+    embedding_model VARCHAR(200),
+    embedding_dimensions INTEGER,
+    total_articles INTEGER DEFAULT 0,
+    processed_articles INTEGER DEFAULT 0,
+    failed_articles INTEGER DEFAULT 0,
+    last_article_id UUID,
+    errors JSONB DEFAULT '[]'::jsonb,
+    last_error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    switched_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_chat_messages_session_id ON chat_messages(session_id);
 CREATE INDEX IF NOT EXISTS idx_chat_messages_created_at ON chat_messages(created_at DESC);
@@ -59,6 +171,14 @@ CREATE INDEX IF NOT EXISTS idx_news_articles_source ON news_articles(source);
 CREATE INDEX IF NOT EXISTS idx_news_articles_pub_date ON news_articles(pub_date DESC);
 CREATE INDEX IF NOT EXISTS idx_news_articles_processed_at ON news_articles(processed_at DESC);
 CREATE INDEX IF NOT EXISTS idx_news_articles_url ON news_articles(url);
+CREATE INDEX IF NOT EXISTS idx_news_articles_content_hash ON news_articles(content_hash);
+CREATE INDEX IF NOT EXISTS idx_news_articles_archived_at ON news_articles(archived_at);
+
+CREATE INDEX IF NOT EXISTS idx_feed_sources_enabled ON feed_sources(enabled);
+CREATE INDEX IF NOT EXISTS idx_ingestion_runs_started_at ON ingestion_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ingestion_run_sources_source ON ingestion_run_sources(source_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_websub_subscriptions_status ON websub_subscriptions(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_vector_reindexes_started_at ON vector_reindexes(started_at DESC);
 
 -- Create GIN indexes for JSONB columns
 CREATE INDEX IF NOT EXISTS idx_chat_sessions_metadata ON chat_sessions USING GIN (metadata);
@@ -127,11 +247,28 @@ $$ LANGUAGE plpgsql;
 COMMENT ON TABLE chat_sessions IS 'Stores chat session metadata';
 COMMENT ON TABLE chat_messages IS 'Stores individual chat messages';
 COMMENT ON TABLE news_articles IS 'Stores processed news articles for RAG';
+COMMENT ON TABLE article_revisions IS 'Content revisions of ingested articles';
+COMMENT ON TABLE feed_sources IS 'Registry of feeds polled by the ingestion job';
 
 COMMENT ON COLUMN chat_messages.role IS 'Either "user" or "assistant"';
 COMMENT ON COLUMN chat_messages.sources IS 'JSON array of source articles used for response';
 COMMENT ON COLUMN news_articles.categories IS 'Array of article categories/tags';
 COMMENT ON COLUMN news_articles.chunk_count IS 'Number of text chunks created from this article';
+COMMENT ON COLUMN news_articles.point_ids IS 'Qdrant point ids holding this article''s chunks';
+COMMENT ON COLUMN feed_sources.category_hints IS 'Categories added to every article from this feed';
+COMMENT ON TABLE ingestion_runs IS 'History of ingestion runs';
+COMMENT ON TABLE ingestion_run_sources IS 'Per-source counts, errors and durations of each ingestion run';
+COMMENT ON COLUMN feed_sources.consecutive_failures IS 'Runs in a row whose feed fetch failed; the source is disabled at SOURCE_FAILURE_THRESHOLD';
+COMMENT ON COLUMN feed_sources.max_items IS 'Max items processed per run (NULL = MAX_ARTICLES_PER_SOURCE)';
+COMMENT ON COLUMN feed_sources.type IS 'feed (RSS, Atom, RDF, JSON Feed) or sitemap (sitemap index or Google News sitemap)';
+COMMENT ON COLUMN feed_sources.retention_days IS 'Days articles from this feed stay searchable (NULL = RETENTION_DAYS, 0 = forever)';
+COMMENT ON COLUMN news_articles.archived_at IS 'Set when retention removed the article''s vectors but kept the row';
+COMMENT ON TABLE websub_subscriptions IS 'WebSub hub subscriptions that push feed updates to the callback route';
+COMMENT ON COLUMN websub_subscriptions.status IS 'discovered, pending, active, unsubscribing, unsubscribed, denied or failed';
+COMMENT ON COLUMN websub_subscriptions.secret IS 'HMAC secret the hub signs notifications with (X-Hub-Signature)';
+COMMENT ON TABLE vector_reindexes IS 'Rebuilds of the Qdrant index from news_articles into a new versioned collection';
+COMMENT ON COLUMN vector_reindexes.status IS 'running, failed (resumable), completed (the alias points to the collection) or abandoned';
+COMMENT ON COLUMN vector_reindexes.last_article_id IS 'Resume point: articles are reindexed in id order';
 
 -- Show table information
 \dt
@@ -0,0 +1,41 @@
+// Rebuild the Qdrant index from the articles in PostgreSQL into a new
+// versioned collection, then switch the news_articles alias to it. Run it
+// with the embedding settings the server should use next: a running server
+// keeps answering from the current collection until the switch.
+//
+//   npm run reindex -- [--chunk-strategy=<strategy>] [--restart] [--drop-previous]
+//
+// A failed or interrupted run resumes where it stopped when started again
+// with the same settings; --restart discards it and begins from scratch.
+import { initializeDatabase } from "../config/database.js"
+import reindexJob from "../jobs/reindexJob.js"
+
+const args = process.argv.slice(2)
+const option = (name) => args.find((arg) => arg.startsWith(`--${name}=`))?.split("=")[1] || null
+const flag = (name) => args.includes(`--${name}`)
+
+async function main() {
+  // Redis is not needed: each text is embedded once, with the in-memory cache covering repeats
+  await initializeDatabase()
+
+  const run = await reindexJob.runReindex({
+    chunkStrategy: option("chunk-strategy"),
+    resume: !flag("restart"),
+    dropPrevious: flag("drop-previous"),
+    onProgress: (progress) =>
+      console.log(
+        `${progress.collection}: ${progress.processedArticles}/${progress.totalArticles} articles, ` +
+          `${progress.failedArticles} failed (${progress.status})`,
+      ),
+  })
+
+  console.log(`Alias now points to ${run.collection}`)
+  if (run.previousCollection && !flag("drop-previous")) {
+    console.log(`Previous collection ${run.previousCollection} was kept; delete it once the new index looks right`)
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  // Failures are logged where they happen
+  .catch(() => process.exit(1))
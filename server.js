@@ -8,10 +8,17 @@ import sessionRoutes from "./routes/session.js"
 import ingestionRoutes from "./routes/ingestion.js"
 import analyticsRoutes from "./routes/analytics.js"
 import healthRoutes from "./routes/health.js"
+import articleRoutes from "./routes/articles.js"
+import entityRoutes from "./routes/entities.js"
+import websubRoutes from "./routes/websub.js"
 import { initializeDatabase } from "./config/database.js"
 import { initializeRedis } from "./config/redis.js"
-import { initializeVectorStore } from "./services/vectorStore.js"
+import { startVectorStore } from "./services/vectorStore.js"
+import { getEmbeddingModelInfo, getRequestedEmbeddingModelInfo } from "./services/embeddings.js"
+import { migrateArticleIds, validateIngestionConfig } from "./services/newsIngestion.js"
 import newsIngestionJob from "./jobs/newsIngestionJob.js"
+import retentionJob from "./jobs/retentionJob.js"
+import websubJob from "./jobs/websubJob.js"
 
 dotenv.config()
 
@@ -26,6 +33,8 @@ const io = new Server(server, {
 
 // Middleware
 app.use(cors())
+// WebSub callbacks verify signatures over the raw request body
+app.use("/api/websub", websubRoutes)
 app.use(express.json())
 
 // Routes
@@ -34,6 +43,8 @@ app.use("/api/session", sessionRoutes)
 app.use("/api/ingestion", ingestionRoutes)
 app.use("/api/analytics", analyticsRoutes)
 app.use("/api/health", healthRoutes)
+app.use("/api/articles", articleRoutes)
+app.use("/api/entities", entityRoutes)
 
 // Socket.IO connection handling
 io.on("connection", (socket) => {
@@ -80,10 +91,16 @@ io.on("connection", (socket) => {
 // Initialize databases
 async function startServer() {
   try {
+    validateIngestionConfig()
     await initializeDatabase()
     await initializeRedis()
-    await initializeVectorStore()
+    // Refuses to start when the collection does not fit the embedding model; an unreachable
+    // provider is checked again in the background
+    await startVectorStore(getEmbeddingModelInfo, getRequestedEmbeddingModelInfo())
+    await migrateArticleIds()
     newsIngestionJob.start()
+    retentionJob.start()
+    websubJob.start()
 
     const PORT = process.env.PORT || 3000
     server.listen(PORT, () => {
@@ -1,4 +1,5 @@
 import { searchVectors } from "./vectorStore.js"
+import { generateQueryEmbedding } from "./embeddings.js"
 import { getRedisClient } from "../config/redis.js"
 
 /**
@@ -6,20 +7,27 @@ import { getRedisClient } from "../config/redis.js"
  */
 export async function searchArticles(query, filters = {}) {
     try {
-        const { source, dateFrom, dateTo, category, limit = 20, offset = 0, sortBy = "relevance" } = filters
+        const { language, sourceType, entity, limit = 20, offset = 0, sortBy = "relevance" } = filters
 
         // Generate cache key
         const cacheKey = generateCacheKey(query, filters)
 
         const redis = getRedisClient()
-        // Check cache first
-        const cached = await redis.get(cacheKey)
+        // Check cache first; search still works without Redis
+        const cached = await redis.get(cacheKey).catch(() => null)
         if (cached) {
             return JSON.parse(cached)
         }
 
+        // Exact-match filters are applied by Qdrant, the rest below
+        const vectorFilters = {}
+        if (language) vectorFilters.language = language
+        if (sourceType) vectorFilters.sourceType = sourceType
+        if (entity) vectorFilters.entity = entity
+
         // Perform vector search
-        const vectorResults = await searchVectors(query, limit + offset)
+        const queryEmbedding = await generateQueryEmbedding(query)
+        const vectorResults = await searchVectors(queryEmbedding, limit + offset, vectorFilters)
 
         // Apply filters
         let filteredResults = applyFilters(vectorResults, filters)
@@ -34,7 +42,7 @@ export async function searchArticles(query, filters = {}) {
         const articles = paginatedResults.map((result) => formatArticle(result))
 
         // Cache results for 5 minutes
-        await redis.setex(cacheKey, 300, JSON.stringify(articles))
+        await redis.setex(cacheKey, 300, JSON.stringify(articles)).catch(() => null)
 
         return articles
     } catch (error) {
@@ -51,13 +59,13 @@ function applyFilters(results, filters) {
 
     // Filter by source
     if (filters.source) {
-        filtered = filtered.filter((result) => result.payload.source?.toLowerCase().includes(filters.source.toLowerCase()))
+        filtered = filtered.filter((result) => result.source?.toLowerCase().includes(filters.source.toLowerCase()))
     }
 
     // Filter by date range
     if (filters.dateFrom || filters.dateTo) {
         filtered = filtered.filter((result) => {
-            const articleDate = new Date(result.payload.publishedAt || result.payload.createdAt)
+            const articleDate = new Date(result.pubDate)
 
             if (filters.dateFrom) {
                 const fromDate = new Date(filters.dateFrom)
@@ -75,7 +83,9 @@ function applyFilters(results, filters) {
 
     // Filter by category
     if (filters.category) {
-        filtered = filtered.filter((result) => result.payload.category?.toLowerCase() === filters.category.toLowerCase())
+        filtered = filtered.filter((result) =>
+            (result.metadata?.categories || []).some((category) => category.toLowerCase() === filters.category.toLowerCase()),
+        )
     }
 
     return filtered
@@ -88,8 +98,8 @@ function sortResults(results, sortBy) {
     switch (sortBy) {
         case "date":
             return results.sort((a, b) => {
-                const dateA = new Date(a.payload.publishedAt || a.payload.createdAt)
-                const dateB = new Date(b.payload.publishedAt || b.payload.createdAt)
+                const dateA = new Date(a.pubDate)
+                const dateB = new Date(b.pubDate)
                 return dateB - dateA // Newest first
             })
 
@@ -103,22 +113,25 @@ function sortResults(results, sortBy) {
  * Format article for API response
  */
 function formatArticle(result) {
-    const payload = result.payload
+    const metadata = result.metadata || {}
 
     return {
-        id: payload.id,
-        title: payload.title,
-        content: payload.content,
-        summary: payload.summary || generateSummary(payload.content),
-        source: payload.source,
-        author: payload.author,
-        publishedAt: payload.publishedAt,
-        url: payload.url,
-        category: payload.category,
-        tags: payload.tags || [],
+        id: result.articleId,
+        title: result.articleTitle,
+        content: result.text,
+        summary: generateSummary(result.text),
+        source: result.source,
+        sourceType: result.sourceType,
+        language: result.language,
+        author: metadata.author,
+        publishedAt: result.pubDate,
+        url: result.articleUrl,
+        category: metadata.categories?.[0],
+        tags: metadata.categories || [],
+        entities: result.entities,
         relevanceScore: result.score,
-        imageUrl: payload.imageUrl,
-        readTime: estimateReadTime(payload.content),
+        imageUrl: metadata.imageUrl,
+        readTime: estimateReadTime(result.text),
     }
 }
 
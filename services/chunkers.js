@@ -0,0 +1,258 @@
+// Chunking strategies. Each chunker turns cleaned text (paragraphs separated
+// by blank lines) into chunk strings no larger than `maxChunkSize`, repeating
+// up to `overlap` of the previous chunk at the start of the next one.
+
+// Words whose trailing period never ends a sentence
+const ABBREVIATIONS = new Set(
+  (
+    "mr mrs ms mx dr prof sr jr st mt ft gen col lt maj sgt capt cmdr adm gov sen rep pres rev hon fr " +
+    "inc ltd co corp llc plc bros dept univ assn est approx vs etc al cf ed eds " +
+    "jan feb mar apr jun jul aug sep sept oct nov dec mon tue tues wed thu thurs fri sat sun " +
+    "ave blvd rd hwy mph km kg lb oz"
+  ).split(" "),
+)
+
+// Abbreviations that only precede numbers ("No. 10", "Vol. 2"), so "said no." still ends a sentence
+const NUMBER_ABBREVIATIONS = new Set(["no", "nos", "vol", "fig", "pp"])
+
+// Capitalized words that start a new sentence after a dotted acronym ("...the U.S. He moved")
+// rather than continue a name ("the U.S. Army")
+const SENTENCE_STARTERS = new Set(
+  (
+    "a an the he she it i we they you his her its our their this that these those there here " +
+    "but and so yet or if when while after before as in on at for from by with however meanwhile then now"
+  ).split(" "),
+)
+
+// A run of terminators, optional closing quotes/brackets, then whitespace or the end.
+// CJK full stops need no following space.
+const SENTENCE_BOUNDARY = /[.!?…]+["'”’»)\]]*(?=\s|$)|[。！？]+["'”’」』)\]]*/g
+
+/**
+ * Split text into sentences without breaking on decimals (3.5), common
+ * abbreviations (Mr., Inc., Jan.), initials (J. Smith) or dotted acronyms
+ * (U.S.) inside a sentence
+ */
+export function splitSentences(text) {
+  const sentences = []
+  let start = 0
+  let match
+
+  SENTENCE_BOUNDARY.lastIndex = 0
+  while ((match = SENTENCE_BOUNDARY.exec(text))) {
+    const end = match.index + match[0].length
+    if (match[0].startsWith(".") && !match[0].startsWith("..") && !isSentenceEnd(text, start, match.index, end)) {
+      continue
+    }
+
+    const sentence = text.slice(start, end).trim()
+    if (sentence) sentences.push(sentence)
+    start = end
+  }
+
+  const rest = text.slice(start).trim()
+  if (rest) sentences.push(rest)
+  return sentences
+}
+
+function isSentenceEnd(text, start, dotIndex, end) {
+  const word = text.slice(start, dotIndex).match(/(\S+)$/)?.[1] || ""
+  const bare = word.replace(/^["'“‘(\[]+/, "")
+  const next = text.slice(end).match(/^\s*(\S)/)?.[1]
+
+  if (ABBREVIATIONS.has(bare.toLowerCase())) return false
+  if (NUMBER_ABBREVIATIONS.has(bare.toLowerCase()) && /\d/.test(next || "")) return false
+  // Single initials ("J. Smith")
+  if (/^\p{L}$/u.test(bare)) return false
+  // Dotted acronyms ("U.S", "e.g"), unless the next word clearly starts a sentence
+  if (/^(\p{L}\.)+\p{L}$/u.test(bare)) {
+    const nextWord = text.slice(end).match(/^\s*["'“‘(\[]*(\p{Lu}\p{L}*)/u)?.[1]
+    return Boolean(nextWord) && SENTENCE_STARTERS.has(nextWord.toLowerCase())
+  }
+
+  // A following lowercase word means the sentence goes on
+  return !next || !/\p{Ll}/u.test(next)
+}
+
+export function splitParagraphs(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+}
+
+/**
+ * Rough token count for budgeting: CJK characters and punctuation count as
+ * one token each, words as one token per four characters
+ */
+export function estimateTokens(text) {
+  const pieces = text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{M}\p{N}]+|[^\s\p{L}\p{M}\p{N}]/gu) || []
+  return pieces.reduce((total, piece) => total + Math.max(1, Math.ceil(piece.length / 4)), 0)
+}
+
+const characters = (text) => text.length
+
+/**
+ * Greedily pack units into chunks of at most `max` (in `measure` units),
+ * starting each chunk after the first with trailing units of the previous
+ * one that fit in `overlap`. Units must already be no larger than `max`.
+ */
+function pack(units, { max, overlap, measure = characters, joiner = " " }) {
+  const chunks = []
+  let current = []
+  let size = 0
+
+  const sizeWith = (unit) => (current.length > 0 ? size + measure(joiner) : 0) + measure(unit)
+
+  for (const unit of units) {
+    if (current.length > 0 && sizeWith(unit) > max) {
+      chunks.push(current.join(joiner))
+
+      // Carry whole trailing units into the next chunk, as long as they fit
+      const carried = []
+      let carriedSize = 0
+      for (let i = current.length - 1; i >= 0; i--) {
+        const next = carriedSize + measure(current[i]) + (carried.length > 0 ? measure(joiner) : 0)
+        if (next > overlap || next + measure(joiner) + measure(unit) > max) break
+        carried.unshift(current[i])
+        carriedSize = next
+      }
+
+      // No whole unit fits: fall back to the trailing words of the last one
+      if (carried.length === 0 && overlap > 0) {
+        const tail = tailWords(current[current.length - 1], Math.min(overlap, max - measure(unit) - measure(joiner)), measure)
+        if (tail) {
+          carried.push(tail)
+          carriedSize = measure(tail)
+        }
+      }
+
+      current = carried
+      size = carriedSize
+    }
+
+    size = sizeWith(unit)
+    current.push(unit)
+  }
+
+  if (current.length > 0) chunks.push(current.join(joiner))
+  return chunks
+}
+
+function tailWords(text, budget, measure) {
+  if (budget <= 0) return ""
+
+  const words = text.split(" ")
+  let tail = ""
+  for (let i = words.length - 1; i >= 0; i--) {
+    const candidate = tail ? `${words[i]} ${tail}` : words[i]
+    if (measure(candidate) > budget) break
+    tail = candidate
+  }
+  return tail
+}
+
+// Hard split of a single unit that is larger than a chunk, on word boundaries where possible
+function splitOversized(text, max, measure = characters) {
+  if (measure(text) <= max) return [text]
+
+  const pieces = []
+  let current = ""
+  for (const word of text.split(" ")) {
+    const candidate = current ? `${current} ${word}` : word
+    if (measure(candidate) <= max) {
+      current = candidate
+      continue
+    }
+    if (current) pieces.push(current)
+
+    if (measure(word) <= max) {
+      current = word
+    } else {
+      // One enormous "word" (a URL, unspaced CJK text): cut it by characters
+      current = ""
+      for (const char of word) {
+        if (measure(current + char) > max) {
+          pieces.push(current)
+          current = ""
+        }
+        current += char
+      }
+    }
+  }
+  if (current) pieces.push(current)
+  return pieces
+}
+
+const sentenceUnits = (text, max, measure) =>
+  splitSentences(text.replace(/\s+/g, " ")).flatMap((sentence) => splitOversized(sentence, max, measure))
+
+const RECURSIVE_SEPARATORS = ["\n\n", "\n", ". ", "? ", "! ", "; ", ", ", " "]
+
+// Split on the coarsest separator present, recursing into pieces that are still too large
+function recursiveSplit(text, max, separators) {
+  if (text.length <= max) return [text]
+
+  const index = separators.findIndex((separator) => text.includes(separator))
+  if (index === -1) return splitOversized(text, max)
+
+  const separator = separators[index]
+  const parts = text.split(separator)
+  // Keep the separator with the preceding piece so sentences keep their punctuation
+  const pieces = parts.map((part, i) => (i < parts.length - 1 && separator.trim() ? part + separator.trim() : part))
+
+  return pieces
+    .map((piece) => piece.trim())
+    .filter(Boolean)
+    .flatMap((piece) => recursiveSplit(piece, max, separators.slice(index + 1)))
+}
+
+const CHUNKERS = {
+  // Whole sentences packed up to the size limit
+  sentence: {
+    chunk(text, { maxChunkSize, overlap }) {
+      return pack(sentenceUnits(text, maxChunkSize), { max: maxChunkSize, overlap })
+    },
+  },
+
+  // Whole paragraphs where they fit; long paragraphs fall back to sentences
+  paragraph: {
+    chunk(text, { maxChunkSize, overlap }) {
+      const units = splitParagraphs(text).flatMap((paragraph) =>
+        paragraph.length <= maxChunkSize
+          ? [paragraph]
+          : pack(sentenceUnits(paragraph, maxChunkSize), { max: maxChunkSize, overlap: 0 }),
+      )
+      return pack(units, { max: maxChunkSize, overlap, joiner: "\n\n" })
+    },
+  },
+
+  // Paragraphs, then lines, then sentence and clause punctuation, then words
+  "recursive-character": {
+    chunk(text, { maxChunkSize, overlap }) {
+      const pieces = recursiveSplit(text.trim(), maxChunkSize, RECURSIVE_SEPARATORS)
+      return pack(pieces, { max: maxChunkSize, overlap })
+    },
+  },
+
+  // Sentences packed up to an estimated token budget
+  "token-budget": {
+    chunk(text, { maxTokens, tokenOverlap }) {
+      return pack(sentenceUnits(text, maxTokens, estimateTokens), {
+        max: maxTokens,
+        overlap: tokenOverlap,
+        measure: estimateTokens,
+      })
+    },
+  },
+}
+
+export const CHUNK_STRATEGIES = Object.keys(CHUNKERS)
+
+export function getChunker(strategy) {
+  const chunker = CHUNKERS[strategy]
+  if (!chunker) {
+    throw new Error(`Unknown chunking strategy: ${strategy}`)
+  }
+  return chunker
+}
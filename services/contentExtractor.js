@@ -0,0 +1,283 @@
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import * as cheerio from "cheerio"
+
+const DEFAULT_RULES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "../config/extractionRules.json")
+
+// Elements that never hold article text
+const STRIP_SELECTORS = "script, style, noscript, iframe, svg, canvas, form, button, input, select, nav, footer, template"
+
+// Class/id hints used to score candidates, after Readability
+const POSITIVE_PATTERN = /article|body|content|entry|main|page|post|story|text|blog/i
+const NEGATIVE_PATTERN =
+  /banner|breadcrumb|combx|comment|community|consent|cookie|disqus|extra|foot|header|legends|menu|modal|more|nav|newsletter|outbrain|pager|popup|promo|related|remark|rss|share|shopping|sidebar|skyscraper|social|sponsor|subscribe|tags|taboola|tool|widget|advert|\bads?\b/i
+const UNLIKELY_PATTERN =
+  /banner|breadcrumb|combx|comment|community|consent|cookie|disqus|footer|gdpr|header|menu|modal|newsletter|outbrain|pager|popup|promo|related|share|sidebar|social|sponsor|subscribe|taboola|advert|\bads?\b/i
+
+const BLOCK_SELECTOR = "p, h2, h3, h4, h5, h6, li, blockquote, pre"
+const MIN_CONTENT_LENGTH = 200
+
+class ContentExtractor {
+  constructor() {
+    this.rulesFile = process.env.EXTRACTION_RULES_FILE || DEFAULT_RULES_FILE
+    this.rules = null
+  }
+
+  loadRules() {
+    try {
+      const raw = fs.readFileSync(this.rulesFile, "utf8")
+      this.rules = JSON.parse(raw).domains || {}
+      console.log(`Loaded extraction rules for ${Object.keys(this.rules).length} domains`)
+    } catch (error) {
+      console.error(`Failed to load extraction rules from ${this.rulesFile}:`, error.message)
+      this.rules = {}
+    }
+    return this.rules
+  }
+
+  getRulesFor(url) {
+    if (!this.rules) this.loadRules()
+
+    let hostname
+    try {
+      hostname = new URL(url).hostname.toLowerCase()
+    } catch {
+      return null
+    }
+
+    // Longest matching domain wins, so "news.example.com" can override "example.com"
+    const domain = Object.keys(this.rules)
+      .filter((d) => hostname === d || hostname.endsWith(`.${d}`))
+      .sort((a, b) => b.length - a.length)[0]
+
+    return domain ? this.rules[domain] : null
+  }
+
+  /**
+   * Extract the main article text from an HTML page.
+   * Returns { content, title, canonicalUrl, openGraph, method } where content
+   * is null when nothing article-like was found and openGraph holds the
+   * page's { image, description, publishedTime } (each null when absent).
+   */
+  extract(html, url) {
+    const $ = cheerio.load(html)
+    const rules = this.getRulesFor(url) || {}
+
+    // Read head metadata before anything is removed
+    const canonicalUrl = this.resolveUrl($('link[rel="canonical"]').attr("href"), url)
+    const title = $('meta[property="og:title"]').attr("content") || $("title").first().text().trim() || null
+    const openGraph = this.readOpenGraph($, url)
+
+    $(STRIP_SELECTORS).remove()
+    if (rules.removeSelectors?.length) {
+      $(rules.removeSelectors.join(", ")).remove()
+    }
+
+    // Per-domain content selectors take precedence over scoring
+    for (const selector of rules.contentSelectors || []) {
+      const elements = $(selector)
+      if (elements.length === 0) continue
+
+      const content = elements
+        .toArray()
+        .map((element) => this.blockText($, element))
+        .filter(Boolean)
+        .join("\n\n")
+
+      if (content.length >= MIN_CONTENT_LENGTH) {
+        return { content, title, canonicalUrl, openGraph, method: "rules" }
+      }
+    }
+
+    this.removeUnlikelyCandidates($)
+
+    const content = this.extractByScore($)
+    return {
+      content: content && content.length > 100 ? content : null,
+      title,
+      canonicalUrl,
+      openGraph,
+      method: "score",
+    }
+  }
+
+  removeUnlikelyCandidates($) {
+    $("header, aside, [role='navigation'], [role='banner'], [role='complementary'], [aria-hidden='true']").remove()
+
+    $("*").each((_, element) => {
+      if (["html", "body", "article", "main"].includes(element.tagName)) return
+
+      const hint = `${$(element).attr("class") || ""} ${$(element).attr("id") || ""}`
+      if (UNLIKELY_PATTERN.test(hint) && !POSITIVE_PATTERN.test(hint)) {
+        $(element).remove()
+      }
+    })
+  }
+
+  extractByScore($) {
+    const scores = new Map()
+
+    const initialize = (element) => {
+      if (scores.has(element)) return
+      scores.set(element, this.tagWeight(element.tagName) + this.classWeight($, element))
+    }
+
+    // Each paragraph awards points to its parent and, at half weight, its grandparent
+    $("p, pre, td, blockquote").each((_, element) => {
+      const text = $(element).text().replace(/\s+/g, " ").trim()
+      if (text.length < 25) return
+
+      const parent = element.parent
+      if (!parent || parent.type !== "tag") return
+      const grandparent = parent.parent?.type === "tag" ? parent.parent : null
+
+      const points = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3)
+
+      initialize(parent)
+      scores.set(parent, scores.get(parent) + points)
+
+      if (grandparent) {
+        initialize(grandparent)
+        scores.set(grandparent, scores.get(grandparent) + points / 2)
+      }
+    })
+
+    let topCandidate = null
+    let topScore = 0
+    for (const [element, score] of scores) {
+      const adjusted = score * (1 - this.linkDensity($, element))
+      scores.set(element, adjusted)
+      if (adjusted > topScore) {
+        topCandidate = element
+        topScore = adjusted
+      }
+    }
+
+    if (!topCandidate) {
+      return this.blockText($, $("body").get(0))
+    }
+
+    // Pull in siblings that look like part of the same article body
+    const threshold = Math.max(10, topScore * 0.2)
+    const parts = []
+    const siblings = topCandidate.parent ? $(topCandidate.parent).children().toArray() : [topCandidate]
+
+    for (const sibling of siblings) {
+      let include = sibling === topCandidate || (scores.get(sibling) || 0) >= threshold
+
+      if (!include && sibling.tagName === "p") {
+        const text = $(sibling).text().trim()
+        const density = this.linkDensity($, sibling)
+        include = (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text))
+      }
+
+      if (include) {
+        parts.push(this.blockText($, sibling))
+      }
+    }
+
+    return parts.filter(Boolean).join("\n\n")
+  }
+
+  // Text of an element, keeping paragraph boundaries as blank lines
+  blockText($, element) {
+    if (!element) return ""
+
+    const blocks = $(element)
+      .find(BLOCK_SELECTOR)
+      .toArray()
+      // Nested blocks (li > p) would otherwise be emitted twice
+      .filter((block) => $(block).parents(BLOCK_SELECTOR).length === 0)
+      .map((block) => $(block).text().replace(/\s+/g, " ").trim())
+      .filter((text) => text.length > 0)
+
+    if (blocks.length === 0 || (element.tagName && BLOCK_SELECTOR.split(", ").includes(element.tagName))) {
+      return $(element).text().replace(/\s+/g, " ").trim()
+    }
+
+    return blocks.join("\n\n")
+  }
+
+  tagWeight(tagName) {
+    switch (tagName) {
+      case "article":
+        return 10
+      case "div":
+      case "section":
+      case "main":
+        return 5
+      case "pre":
+      case "td":
+      case "blockquote":
+        return 3
+      case "ol":
+      case "ul":
+      case "dl":
+      case "dd":
+      case "dt":
+      case "li":
+        return -3
+      case "h1":
+      case "h2":
+      case "h3":
+      case "h4":
+      case "h5":
+      case "h6":
+      case "th":
+        return -5
+      default:
+        return 0
+    }
+  }
+
+  classWeight($, element) {
+    let weight = 0
+    for (const hint of [$(element).attr("class"), $(element).attr("id")]) {
+      if (!hint) continue
+      if (NEGATIVE_PATTERN.test(hint)) weight -= 25
+      if (POSITIVE_PATTERN.test(hint)) weight += 25
+    }
+    return weight
+  }
+
+  linkDensity($, element) {
+    const textLength = $(element).text().replace(/\s+/g, " ").trim().length
+    if (textLength === 0) return 0
+
+    const linkLength = $(element)
+      .find("a")
+      .toArray()
+      .reduce((total, link) => total + $(link).text().replace(/\s+/g, " ").trim().length, 0)
+
+    return linkLength / textLength
+  }
+
+  readOpenGraph($, url) {
+    const meta = (property) =>
+      $(`meta[property="${property}"], meta[name="${property}"]`).first().attr("content")?.trim() || null
+
+    const publishedTime = new Date(meta("article:published_time") || "")
+    return {
+      image: this.resolveUrl(meta("og:image:secure_url") || meta("og:image"), url || undefined),
+      description: meta("og:description"),
+      publishedTime: Number.isNaN(publishedTime.getTime()) ? null : publishedTime.toISOString(),
+    }
+  }
+
+  resolveUrl(href, base) {
+    if (!href) return null
+    try {
+      return new URL(href, base).toString()
+    } catch {
+      return null
+    }
+  }
+}
+
+const contentExtractor = new ContentExtractor()
+
+export const extractContent = (html, url) => contentExtractor.extract(html, url)
+export const reloadExtractionRules = () => contentExtractor.loadRules()
+
+export default contentExtractor
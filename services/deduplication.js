@@ -0,0 +1,179 @@
+import crypto from "crypto"
+import { v5 as uuidv5 } from "uuid"
+import { getRedisClient } from "../config/redis.js"
+
+// Namespace for deriving stable article ids from canonical URLs
+const ARTICLE_NAMESPACE = "6f1c2b8e-3d4a-5f6b-9c7d-8e9f0a1b2c3d"
+
+// Query parameters that identify a campaign or click, not a document
+const TRACKING_PARAMS = [/^utm_/i, /^(fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|ocid|cmp|cmpid|at_medium|at_campaign|at_custom\d*)$/i]
+
+/**
+ * Normalize an article URL into a dedup key: lowercase host without "www.",
+ * no fragment, default port or trailing slash, tracking parameters removed and
+ * remaining parameters sorted. Returns null for anything that is not http(s).
+ */
+export function normalizeUrl(value) {
+  if (!value || typeof value !== "string") return null
+
+  let url
+  try {
+    url = new URL(value.trim())
+  } catch {
+    return null
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) return null
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some((pattern) => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b))
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, "")
+  const port = url.port && !["80", "443"].includes(url.port) ? `:${url.port}` : ""
+  const path = url.pathname.replace(/\/+$/, "") || "/"
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : ""
+
+  // Scheme is dropped so http and https variants collapse to one key
+  return `${host}${port}${path}${query}`
+}
+
+/**
+ * Hash article text after collapsing whitespace and case
+ */
+export function hashContent(text) {
+  if (!text) return null
+
+  const normalized = text.normalize("NFKC").replace(/\s+/g, " ").trim().toLowerCase()
+  if (!normalized) return null
+
+  return crypto.createHash("sha256").update(normalized).digest("hex")
+}
+
+/**
+ * Fingerprint of what the feed says about an item, used to notice that an
+ * already-seen article was updated without fetching the page again
+ */
+export function itemFingerprint(item) {
+  return hashContent([item.title, item.description, item.pubDate].filter(Boolean).join("\n"))
+}
+
+/**
+ * Stable article id for a canonical URL, so re-ingesting the same story
+ * overwrites its points instead of adding new ones
+ */
+export function articleIdFor(url) {
+  return uuidv5(normalizeUrl(url) || url, ARTICLE_NAMESPACE)
+}
+
+/**
+ * Stable Qdrant point id for one chunk of an article
+ */
+export function chunkIdFor(articleId, chunkIndex) {
+  return uuidv5(`${articleId}:${chunkIndex}`, ARTICLE_NAMESPACE)
+}
+
+class ArticleDeduplicator {
+  constructor() {
+    this.urlKey = "ingestion:seen_urls"
+    this.hashKey = "ingestion:content_hashes"
+    this.fingerprintKey = "ingestion:item_fingerprints"
+    // Used only while Redis is unavailable
+    this.memoryUrls = new Set()
+    this.memoryHashes = new Set()
+    this.memoryFingerprints = new Map()
+  }
+
+  urlKeys(urls) {
+    return [...new Set(urls.map((url) => normalizeUrl(url)).filter(Boolean))]
+  }
+
+  async isMember(key, memorySet, member) {
+    try {
+      return await getRedisClient().sismember(key, member)
+    } catch {
+      return memorySet.has(member)
+    }
+  }
+
+  async addMembers(key, memorySet, members) {
+    if (members.length === 0) return
+
+    members.forEach((member) => memorySet.add(member))
+    try {
+      await getRedisClient().sadd(key, ...members)
+    } catch (error) {
+      console.warn("Dedup keys kept in memory only:", error.message)
+    }
+  }
+
+  async hasSeenUrl(...urls) {
+    for (const key of this.urlKeys(urls)) {
+      if (await this.isMember(this.urlKey, this.memoryUrls, key)) {
+        return true
+      }
+    }
+    return false
+  }
+
+  async hasSeenContent(hash) {
+    if (!hash) return false
+    return this.isMember(this.hashKey, this.memoryHashes, hash)
+  }
+
+  // True when a seen item's feed entry differs from the one last processed.
+  // Items seen before fingerprints were recorded count as unchanged.
+  async hasItemChanged(item) {
+    const fingerprint = itemFingerprint(item)
+    if (!fingerprint) return false
+
+    for (const key of this.urlKeys([item.link, item.guid])) {
+      let stored
+      try {
+        stored = await getRedisClient().hget(this.fingerprintKey, key)
+      } catch {
+        stored = this.memoryFingerprints.get(key)
+      }
+      if (stored) return stored !== fingerprint
+    }
+    return false
+  }
+
+  async markSeen({ urls = [], contentHash = null, item = null }) {
+    const keys = this.urlKeys(urls)
+    await this.addMembers(this.urlKey, this.memoryUrls, keys)
+    if (contentHash) {
+      await this.addMembers(this.hashKey, this.memoryHashes, [contentHash])
+    }
+
+    const fingerprint = item ? itemFingerprint(item) : null
+    if (fingerprint) {
+      for (const key of keys) {
+        this.memoryFingerprints.set(key, fingerprint)
+        try {
+          await getRedisClient().hset(this.fingerprintKey, key, fingerprint)
+        } catch (error) {
+          console.warn("Item fingerprint kept in memory only:", error.message)
+        }
+      }
+    }
+  }
+
+  async getSeenCount() {
+    try {
+      return await getRedisClient().scard(this.urlKey)
+    } catch {
+      return this.memoryUrls.size
+    }
+  }
+}
+
+const articleDeduplicator = new ArticleDeduplicator()
+
+export const hasSeenUrl = (...urls) => articleDeduplicator.hasSeenUrl(...urls)
+export const hasSeenContent = (hash) => articleDeduplicator.hasSeenContent(hash)
+export const hasItemChanged = (item) => articleDeduplicator.hasItemChanged(item)
+export const markSeen = (keys) => articleDeduplicator.markSeen(keys)
+export const getSeenCount = () => articleDeduplicator.getSeenCount()
+
+export default articleDeduplicator
@@ -0,0 +1,144 @@
+import path from "path"
+import * as cheerio from "cheerio"
+// The package entry point runs a self-test in some environments; the library itself does not
+import pdfParse from "pdf-parse/lib/pdf-parse.js"
+import { extractContent } from "./contentExtractor.js"
+
+const FORMATS = {
+  pdf: { extensions: [".pdf"], mimeTypes: ["application/pdf"] },
+  html: { extensions: [".html", ".htm"], mimeTypes: ["text/html", "application/xhtml+xml"] },
+  markdown: { extensions: [".md", ".markdown"], mimeTypes: ["text/markdown", "text/x-markdown"] },
+  text: { extensions: [".txt"], mimeTypes: ["text/plain"] },
+}
+
+const validationError = (message) => {
+  const error = new Error(message)
+  error.name = "ValidationError"
+  return error
+}
+
+class DocumentParser {
+  /**
+   * Detect a document's format from its file name, falling back to the
+   * declared mime type. Returns null for unsupported documents.
+   */
+  detectFormat(filename = "", mimeType = "") {
+    const extension = path.extname(filename).toLowerCase()
+    const byExtension = Object.keys(FORMATS).find((format) => FORMATS[format].extensions.includes(extension))
+    if (byExtension) return byExtension
+
+    const type = mimeType.split(";")[0].trim().toLowerCase()
+    return Object.keys(FORMATS).find((format) => FORMATS[format].mimeTypes.includes(type)) || null
+  }
+
+  /**
+   * Extract plain text from an uploaded document, entirely locally.
+   * Returns { format, title, text } with paragraphs separated by blank lines.
+   */
+  async parse(buffer, { filename = "", mimeType = "" } = {}) {
+    const format = this.detectFormat(filename, mimeType)
+    if (!format) {
+      throw validationError(`Unsupported document type: ${filename || mimeType || "unknown"}`)
+    }
+
+    let parsed
+    switch (format) {
+      case "pdf":
+        parsed = await this.parsePdf(buffer)
+        break
+      case "html":
+        parsed = this.parseHtml(buffer.toString("utf8"))
+        break
+      case "markdown":
+        parsed = this.parseMarkdown(buffer.toString("utf8"))
+        break
+      default:
+        parsed = this.parseText(buffer.toString("utf8"))
+    }
+
+    return {
+      format,
+      title: parsed.title || path.basename(filename, path.extname(filename)) || "Untitled document",
+      text: parsed.text,
+    }
+  }
+
+  async parsePdf(buffer) {
+    let data
+    try {
+      data = await pdfParse(buffer)
+    } catch (error) {
+      throw validationError(`Could not read PDF: ${error.message}`)
+    }
+
+    // pdf-parse separates lines with single newlines; keep blank lines as paragraph breaks
+    const text = data.text
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.replace(/-\n(?=\w)/g, "").replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      .join("\n\n")
+
+    return { title: data.info?.Title?.trim() || null, text }
+  }
+
+  parseHtml(html) {
+    // Press releases are often whole web pages, so try the article extractor first
+    const extracted = extractContent(html, null)
+    if (extracted.content) {
+      return { title: extracted.title, text: extracted.content }
+    }
+
+    const $ = cheerio.load(html)
+    $("script, style, noscript, template").remove()
+    // Block boundaries become paragraph breaks
+    $("p, div, section, article, li, h1, h2, h3, h4, h5, h6, blockquote, pre, tr").append("\n\n")
+    $("br").replaceWith("\n")
+    const text = $("body")
+      .text()
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      .join("\n\n")
+
+    return { title: extracted.title, text }
+  }
+
+  parseMarkdown(markdown) {
+    const title = markdown.match(/^#[ \t]+(.+?)[ \t]*#*[ \t]*$/m)?.[1] || null
+
+    const text = markdown
+      .replace(/\r\n/g, "\n")
+      .replace(/^---\n[\s\S]*?\n---\n/, "") // Front matter
+      .replace(/^(```|~~~).*$/gm, "") // Code fences (the code itself is kept)
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1") // Images become their alt text
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1") // Links become their text
+      .replace(/^[ \t]{0,3}#{1,6}[ \t]+(.*?)[ \t]*#*[ \t]*$/gm, "$1") // Headings
+      .replace(/^[ \t]{0,3}>[ \t]?/gm, "") // Blockquotes
+      .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, "") // Horizontal rules
+      .replace(/^[ \t]*([-*+]|\d+[.)])[ \t]+/gm, "") // List markers
+      .replace(/(\*\*|__)(.+?)\1/g, "$2") // Bold
+      .replace(/\*(\S.*?\S|\S)\*/g, "$1") // Italics
+      .replace(/(^|\W)_(\S.*?\S|\S)_(?=\W|$)/g, "$1$2") // Italics, leaving snake_case alone
+      .replace(/`([^`]+)`/g, "$1") // Inline code
+      .replace(/<[^>]+>/g, "") // Inline HTML
+
+    return { title, text: this.parseText(text).text }
+  }
+
+  parseText(text) {
+    const paragraphs = text
+      .replace(/^\uFEFF/, "") // Byte order mark
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+
+    return { title: null, text: paragraphs.join("\n\n") }
+  }
+}
+
+const documentParser = new DocumentParser()
+
+export const parseDocument = (buffer, options) => documentParser.parse(buffer, options)
+export const detectDocumentFormat = (filename, mimeType) => documentParser.detectFormat(filename, mimeType)
+
+export default documentParser
@@ -0,0 +1,144 @@
+import crypto from "crypto"
+import { getRedisClient } from "../config/redis.js"
+import config from "../config/environment.js"
+
+/**
+ * Text as it is embedded and cached: NFKC-normalized with whitespace
+ * collapsed, so formatting differences share one cache entry
+ */
+export function normalizeEmbeddingText(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+// Vectors are stored as base64 float32, a quarter of the size of JSON
+const encodeVector = (vector) => Buffer.from(new Float32Array(vector).buffer).toString("base64")
+
+const decodeVector = (value) => {
+  const buffer = Buffer.from(value, "base64")
+  return Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4))
+}
+
+const escapePattern = (text) => text.replace(/[*?[\]\\]/g, "\\$&")
+
+class EmbeddingCache {
+  constructor() {
+    // 0 disables the cache
+    this.ttl = config.EMBEDDING_CACHE_TTL
+    this.prefix = "embedding"
+    // Used only while Redis is unavailable
+    this.memory = new Map()
+    this.maxMemoryEntries = 2000
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 }
+  }
+
+  isEnabled() {
+    return this.ttl > 0
+  }
+
+  key(model, text) {
+    const hash = crypto.createHash("sha256").update(normalizeEmbeddingText(text)).digest("hex")
+    return `${this.prefix}:${model}:${hash}`
+  }
+
+  async get(model, text) {
+    const [vector] = await this.getMany(model, [text])
+    return vector
+  }
+
+  /**
+   * Look up several texts at once; resolves to one vector or null per text
+   */
+  async getMany(model, texts) {
+    if (!this.isEnabled() || texts.length === 0) return texts.map(() => null)
+
+    const keys = texts.map((text) => this.key(model, text))
+    let values
+    try {
+      values = await getRedisClient().mget(keys)
+    } catch {
+      values = keys.map((key) => this.memory.get(key) ?? null)
+    }
+
+    const vectors = values.map((value) => (value ? decodeVector(value) : null))
+    const hits = vectors.filter(Boolean).length
+    this.stats.hits += hits
+    this.stats.misses += vectors.length - hits
+    return vectors
+  }
+
+  async set(model, text, vector) {
+    await this.setMany(model, [[text, vector]])
+  }
+
+  // entries are [text, vector] pairs
+  async setMany(model, entries) {
+    if (!this.isEnabled() || entries.length === 0) return
+
+    const encoded = entries.map(([text, vector]) => [this.key(model, text), encodeVector(vector)])
+    this.stats.writes += encoded.length
+    try {
+      await getRedisClient().msetex(encoded, this.ttl)
+    } catch {
+      for (const [key, value] of encoded) {
+        this.remember(key, value)
+      }
+    }
+  }
+
+  // Least recently written entries are dropped first
+  remember(key, value) {
+    this.memory.delete(key)
+    this.memory.set(key, value)
+    if (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value)
+    }
+  }
+
+  /**
+   * Remove cached vectors of `model`: for the given texts only, or every
+   * entry of the model when no texts are passed. Resolves to the number of
+   * entries removed.
+   */
+  async evict(model, texts = null) {
+    const pattern = `${this.prefix}:${escapePattern(model)}:*`
+    const memoryPrefix = `${this.prefix}:${model}:`
+
+    let removed = 0
+    try {
+      const keys = texts ? texts.map((text) => this.key(model, text)) : await getRedisClient().scanKeys(pattern)
+      for (let i = 0; i < keys.length; i += 500) {
+        removed += await getRedisClient().delMany(keys.slice(i, i + 500))
+      }
+    } catch (error) {
+      console.warn("Embedding cache eviction limited to memory:", error.message)
+    }
+
+    const memoryKeys = texts
+      ? texts.map((text) => this.key(model, text))
+      : [...this.memory.keys()].filter((key) => key.startsWith(memoryPrefix))
+    for (const key of memoryKeys) {
+      if (this.memory.delete(key)) removed++
+    }
+
+    this.stats.evictions += removed
+    return removed
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses
+    return {
+      enabled: this.isEnabled(),
+      ttl: this.ttl,
+      ...this.stats,
+      hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : null,
+      memoryEntries: this.memory.size,
+    }
+  }
+}
+
+const embeddingCache = new EmbeddingCache()
+
+export default embeddingCache
@@ -0,0 +1,207 @@
+// Embedding providers. Each provider turns a list of texts into vectors and
+// exposes:
+//   name        provider key, as set in EMBEDDING_PROVIDER
+//   model       model producing the vectors
+//   dimensions  vector length when known up front, otherwise null
+//   embed(texts) resolving to one vector per text, in input order; a missing or
+//                empty vector marks a text to send again
+//   isConfigured() false when a required setting such as an API key is missing
+import axios from "axios"
+
+// Calls an OpenAI-style POST /embeddings endpoint: { model, input: [...] } in,
+// { data: [{ index, embedding }] } out
+class OpenAICompatibleProvider {
+  constructor({ name = "openai", url, apiKey, model, dimensions = null, timeout = 30000 }) {
+    this.name = name
+    this.url = url
+    this.apiKey = apiKey
+    this.model = model
+    this.dimensions = dimensions
+    this.timeout = timeout
+  }
+
+  isConfigured() {
+    return Boolean(this.url)
+  }
+
+  async embed(texts) {
+    const body = { model: this.model, input: texts }
+    // Only models with Matryoshka-style outputs accept a requested size
+    if (this.dimensions) body.dimensions = this.dimensions
+
+    const response = await axios.post(this.url, body, {
+      headers: {
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+        "Content-Type": "application/json",
+      },
+      timeout: this.timeout,
+    })
+
+    const data = response.data?.data
+    if (!Array.isArray(data)) {
+      throw new Error(`Invalid response format from ${this.name} embeddings API`)
+    }
+
+    // Placed by index; texts missing from a short response stay undefined for the caller to retry
+    const vectors = new Array(texts.length)
+    data.forEach((item, position) => {
+      const index = item.index ?? position
+      if (index >= 0 && index < texts.length) vectors[index] = item.embedding
+    })
+    return vectors
+  }
+}
+
+class JinaProvider extends OpenAICompatibleProvider {
+  constructor({ apiKey, model, dimensions }) {
+    super({ name: "jina", url: "https://api.jina.ai/v1/embeddings", apiKey, model, dimensions })
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey)
+  }
+}
+
+/**
+ * In-process model through transformers.js (ONNX Runtime on CPU). The package
+ * is an optional dependency, loaded on first use; `modelPath` points at a
+ * directory of downloaded models and turns off downloads, for fully offline
+ * runs. A requested `dimensions` keeps the leading values of each vector,
+ * which only suits Matryoshka-trained models; without it the model's own
+ * size is measured on the first call.
+ */
+class LocalProvider {
+  constructor({ model, modelPath = null, dimensions = null }) {
+    this.name = "local"
+    this.model = model
+    this.modelPath = modelPath
+    this.dimensions = dimensions
+    this.extractor = null
+  }
+
+  isConfigured() {
+    return true
+  }
+
+  async load() {
+    if (this.extractor) return this.extractor
+
+    let transformers
+    try {
+      transformers = await import("@huggingface/transformers")
+    } catch {
+      throw new Error("The local embedding provider needs the @huggingface/transformers package installed")
+    }
+
+    if (this.modelPath) {
+      transformers.env.localModelPath = this.modelPath
+      transformers.env.allowRemoteModels = false
+    }
+
+    this.extractor = await transformers.pipeline("feature-extraction", this.model)
+    console.log(`Loaded local embedding model ${this.model}`)
+    return this.extractor
+  }
+
+  async embed(texts) {
+    const extractor = await this.load()
+    const output = await extractor(texts, { pooling: "mean", normalize: true })
+    const vectors = output.tolist()
+    const size = vectors[0]?.length
+    if (!this.dimensions || !size) {
+      this.dimensions = size || this.dimensions
+      return vectors
+    }
+
+    if (size < this.dimensions) {
+      throw new Error(`${this.model} produces ${size}-dimensional vectors, fewer than the ${this.dimensions} requested`)
+    }
+    return size === this.dimensions ? vectors : vectors.map((vector) => normalize(vector.slice(0, this.dimensions)))
+  }
+}
+
+// Lexical vectors from hashed word unigrams and bigrams: no model, no network,
+// and the same text always gives the same vector. Meant for tests and offline
+// development, not for answer quality.
+class HashingProvider {
+  constructor({ dimensions }) {
+    this.name = "hashing"
+    this.model = `hashing-${dimensions}`
+    this.dimensions = dimensions
+  }
+
+  isConfigured() {
+    return true
+  }
+
+  async embed(texts) {
+    return texts.map((text) => this.vectorize(text))
+  }
+
+  vectorize(text) {
+    const vector = new Array(this.dimensions).fill(0)
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+    const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)]
+
+    for (const feature of features) {
+      const hash = fnv1a(feature)
+      // The top bit picks the sign so unrelated features tend to cancel out
+      vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1
+    }
+
+    return normalize(vector)
+  }
+}
+
+// Scale to unit length, for cosine distance; a zero vector is returned as is
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0))
+  return norm > 0 ? vector.map((value) => value / norm) : vector
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+const PROVIDERS = {
+  jina: (options) =>
+    new JinaProvider({
+      apiKey: options.jinaApiKey,
+      model: options.model || "jina-embeddings-v4",
+      dimensions: options.dimensions,
+    }),
+  openai: (options) =>
+    new OpenAICompatibleProvider({
+      url: `${(options.apiUrl || "https://api.openai.com/v1").replace(/\/+$/, "")}/embeddings`,
+      apiKey: options.apiKey,
+      model: options.model || "text-embedding-3-small",
+      dimensions: options.dimensions,
+    }),
+  local: (options) =>
+    new LocalProvider({
+      model: options.model || "Xenova/all-MiniLM-L6-v2",
+      modelPath: options.modelPath,
+      dimensions: options.dimensions,
+    }),
+  hashing: (options) => new HashingProvider({ dimensions: options.dimensions || 768 }),
+}
+
+export const EMBEDDING_PROVIDERS = Object.keys(PROVIDERS)
+
+/**
+ * Build the provider named by `name` (one of EMBEDDING_PROVIDERS). Options:
+ * model, dimensions, jinaApiKey, apiUrl and apiKey (OpenAI-compatible
+ * endpoints) and modelPath (local models).
+ */
+export function createEmbeddingProvider(name, options = {}) {
+  const create = PROVIDERS[name]
+  if (!create) {
+    throw new Error(`Unknown embedding provider: ${name} (expected one of ${EMBEDDING_PROVIDERS.join(", ")})`)
+  }
+  return create(options)
+}
@@ -1,107 +1,293 @@
-import axios from "axios"
-import dotenv from "dotenv"
+import config from "../config/environment.js"
+import { createEmbeddingProvider } from "./embeddingProviders.js"
+import embeddingCache, { normalizeEmbeddingText } from "./embeddingCache.js"
+import { estimateTokens } from "./chunkers.js"
 
-// Load environment variables
-dotenv.config()
+export const EMBEDDING_TEXT_TYPES = ["passage", "query"]
+
+const validationError = (message) => {
+  const error = new Error(message)
+  error.name = "ValidationError"
+  return error
+}
 
 class EmbeddingService {
-  constructor() {
-    this.jinaApiKey = process.env.JINA_API_KEY
-    this.jinaBaseUrl = "https://api.jina.ai/v1/embeddings"
-    this.model = "jina-embeddings-v4"
+  constructor(provider = null) {
+    this.provider =
+      provider ||
+      createEmbeddingProvider(config.EMBEDDING_PROVIDER, {
+        model: config.EMBEDDING_MODEL,
+        dimensions: config.EMBEDDING_DIMENSIONS,
+        jinaApiKey: config.JINA_API_KEY,
+        apiUrl: config.EMBEDDING_API_URL,
+        apiKey: config.EMBEDDING_API_KEY,
+        modelPath: config.EMBEDDING_MODEL_PATH,
+      })
+    this.model = this.provider.model
+    // Measured by getEmbeddingDimensions() or from the first vectors embedded
+    this.dimensions = null
+    this.cache = embeddingCache
     this.maxRetries = 3
     this.retryDelay = 1000
+    // Limits of one provider request
+    this.batchTokens = config.EMBEDDING_BATCH_TOKENS
+    this.batchSize = config.EMBEDDING_BATCH_SIZE
+  }
+
+  /**
+   * Cache namespace: vectors of different providers, models or sizes never
+   * mix. The size is the requested one, else the measured one; null until a
+   * model without a requested size has produced a vector.
+   */
+  get cacheModel() {
+    const size = this.provider.dimensions || this.dimensions
+    return size ? `${this.provider.name}:${this.model}@${size}` : null
+  }
+
+  // The exact text embedded and cached for an input
+  prepareText(text) {
+    const normalized = normalizeEmbeddingText(text)
+    // Truncate text if too long (providers have token limits)
+    return normalized.length > 8000 ? normalized.substring(0, 8000) + "..." : normalized
+  }
+
+  queryText(query) {
+    return `Question about recent news: ${query}`
   }
 
   async generateEmbedding(text) {
-    if (!text || text.trim().length === 0) {
-      throw new Error("Text cannot be empty")
+    const [result] = await this.embedBatch([text])
+    if (result.error) throw result.error
+    return result.embedding
+  }
+
+  /**
+   * Embed many texts in as few provider requests as the token budget allows.
+   * Never rejects for individual texts: resolves to one { embedding, cached }
+   * or { error } per text, in input order. Cached texts and duplicates are
+   * not sent.
+   */
+  async embedBatch(texts) {
+    const inputs = texts.map((text) => this.prepareText(text))
+    const unique = [...new Set(inputs.filter(Boolean))]
+
+    const results = new Map()
+    // Nothing can be looked up before the size of the cached vectors is known
+    const cached = this.cacheModel ? await this.cache.getMany(this.cacheModel, unique) : []
+    unique.forEach((input, index) => {
+      if (cached[index]) results.set(input, { embedding: cached[index], cached: true })
+    })
+
+    const missing = unique.filter((input) => !results.has(input))
+    if (missing.length > 0 && !this.provider.isConfigured()) {
+      const error = new Error(`Embedding provider "${this.provider.name}" is not configured`)
+      missing.forEach((input) => results.set(input, { error }))
+    } else {
+      for (const batch of this.batchesOf(missing)) {
+        const embedded = await this.embedGroup(batch)
+        const measured = embedded.find(({ embedding }) => embedding)?.embedding
+        if (measured && !this.cacheModel) this.dimensions = measured.length
+        await this.cache.setMany(
+          this.cacheModel,
+          embedded.filter(({ embedding }) => embedding).map(({ input, embedding }) => [input, embedding]),
+        )
+        for (const { input, embedding, error } of embedded) {
+          results.set(input, embedding ? { embedding, cached: false } : { error })
+        }
+      }
     }
 
-    if (!this.jinaApiKey) {
-      throw new Error("JINA_API_KEY not configured")
+    return inputs.map((input) => (input ? results.get(input) : { error: new Error("Text cannot be empty") }))
+  }
+
+  // Greedy packing under both the token budget and the item limit of a request
+  batchesOf(inputs) {
+    const batches = []
+    let batch = []
+    let tokens = 0
+
+    for (const input of inputs) {
+      const size = estimateTokens(input)
+      if (batch.length > 0 && (tokens + size > this.batchTokens || batch.length >= this.batchSize)) {
+        batches.push(batch)
+        batch = []
+        tokens = 0
+      }
+      batch.push(input)
+      tokens += size
     }
 
-    // Truncate text if too long (Jina has token limits)
-    const truncatedText = text.length > 8000 ? text.substring(0, 8000) + "..." : text
+    if (batch.length > 0) batches.push(batch)
+    return batches
+  }
 
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        const response = await axios.post(
-          this.jinaBaseUrl,
-          {
-            model: this.model,
-            input: [truncatedText],
-            // encoding_format: "float",
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${this.jinaApiKey}`,
-              "Content-Type": "application/json",
-            },
-            timeout: 30000,
-          },
-        )
+  /**
+   * One provider request for a group of inputs, resolving to
+   * { input, embedding } or { input, error } per input. Only what failed is
+   * sent again: a rejected request (4xx) is split in halves to isolate the
+   * input the provider refuses, other errors retry the group after a delay,
+   * and inputs missing from an otherwise valid response (short, or with
+   * empty vectors) are sent again without the rest.
+   */
+  async embedGroup(inputs, attempt = 1) {
+    let vectors
+    try {
+      vectors = await this.provider.embed(inputs)
+    } catch (error) {
+      const status = error.response?.status
+      const rejected = status >= 400 && status < 500 && status !== 429
 
-        if (response.data && response.data.data && response.data.data[0]) {
-          return response.data.data[0].embedding
-        } else {
-          throw new Error("Invalid response format from Jina API")
-        }
-      } catch (error) {
-        console.error(`Embedding attempt ${attempt} failed:`, error.message)
-        console.log({
-          error
-        })
-        if (attempt === this.maxRetries) {
-          throw new Error(`Failed to generate embedding after ${this.maxRetries} attempts: ${error.message}`)
-        }
+      if (rejected && inputs.length > 1) {
+        const middle = Math.ceil(inputs.length / 2)
+        return [
+          ...(await this.embedGroup(inputs.slice(0, middle), attempt)),
+          ...(await this.embedGroup(inputs.slice(middle), attempt)),
+        ]
+      }
 
-        // Wait before retrying
-        await new Promise((resolve) => setTimeout(resolve, this.retryDelay * attempt))
+      console.error(`Embedding attempt ${attempt} failed for ${inputs.length} texts:`, error.message)
+      if (rejected || attempt >= this.maxRetries) {
+        const failure = rejected
+          ? new Error(`Embedding request rejected: ${error.message}`)
+          : new Error(`Failed to generate embedding after ${attempt} attempts: ${error.message}`)
+        return inputs.map((input) => ({ input, error: failure }))
       }
+
+      // Wait before retrying
+      await new Promise((resolve) => setTimeout(resolve, this.retryDelay * attempt))
+      return this.embedGroup(inputs, attempt + 1)
     }
+
+    const results = inputs.map((input, index) => ({ input, embedding: vectors?.[index] }))
+    const invalid = results.filter(({ embedding }) => !Array.isArray(embedding) || embedding.length === 0)
+    if (invalid.length === 0) return results
+
+    let retried
+    if (attempt < this.maxRetries) {
+      retried = await this.embedGroup(invalid.map(({ input }) => input), attempt + 1)
+    } else {
+      const failure = new Error(`Provider returned no embedding after ${attempt} attempts`)
+      retried = invalid.map(({ input }) => ({ input, error: failure }))
+    }
+    const byInput = new Map(retried.map((result) => [result.input, result]))
+    return results.map((result) => byInput.get(result.input) || result)
+  }
+
+  async generateQueryEmbedding(query) {
+    return this.generateEmbedding(this.queryText(query))
+  }
+
+  // Validate texts for the cache API and turn them into cached inputs
+  cacheTexts(texts, type) {
+    if (!Array.isArray(texts) || texts.length === 0 || texts.length > 1000) {
+      throw validationError("texts must be an array of 1 to 1000 strings")
+    }
+    if (texts.some((text) => typeof text !== "string" || !text.trim())) {
+      throw validationError("texts must be non-empty strings")
+    }
+    if (!EMBEDDING_TEXT_TYPES.includes(type)) {
+      throw validationError(`type must be one of: ${EMBEDDING_TEXT_TYPES.join(", ")}`)
+    }
+
+    return [...new Set(texts.map((text) => this.prepareText(type === "query" ? this.queryText(text) : text)))]
+  }
+
+  /**
+   * Embed and cache texts ahead of use, for example popular questions
+   * (type "query") or a corpus about to be ingested (type "passage"). Texts
+   * already cached are not embedded again.
+   */
+  async warmCache(texts, { type = "passage" } = {}) {
+    const inputs = this.cacheTexts(texts, type)
+    const results = await this.embedBatch(inputs)
+
+    return {
+      model: this.cacheModel,
+      total: inputs.length,
+      cached: results.filter((result) => result.cached).length,
+      embedded: results.filter((result) => result.embedding && !result.cached).length,
+      failed: results
+        .map((result, index) => ({ text: inputs[index].substring(0, 100), error: result.error?.message }))
+        .filter((result) => result.error),
+    }
+  }
+
+  /**
+   * Drop cached vectors: of the given texts, or every entry of `model` (the
+   * active model by default) when no texts are given, e.g. after switching
+   * models
+   */
+  async evictCache({ texts = null, type = "passage", model = null } = {}) {
+    const inputs = texts ? this.cacheTexts(texts, type) : null
+    if (!model && !this.cacheModel) await this.getEmbeddingDimensions()
+    const target = model || this.cacheModel
+    return { model: target, evicted: await this.cache.evict(target, inputs) }
+  }
+
+  getCacheStats() {
+    return { model: this.cacheModel, ...this.cache.getStats() }
   }
 
+  // All-or-nothing variant of embedBatch: rejects with the first failure
   async generateBatchEmbeddings(texts) {
     if (!Array.isArray(texts) || texts.length === 0) {
       throw new Error("Texts must be a non-empty array")
     }
 
-    // Process in batches to avoid API limits
-    const batchSize = 10
-    const embeddings = []
+    const results = await this.embedBatch(texts)
+    const failed = results.find((result) => result.error)
+    if (failed) throw failed.error
 
-    for (let i = 0; i < texts.length; i += batchSize) {
-      const batch = texts.slice(i, i + batchSize)
-      const batchEmbeddings = await Promise.all(batch.map((text) => this.generateEmbedding(text)))
-      embeddings.push(...batchEmbeddings)
+    return results.map((result) => result.embedding)
+  }
+
+  getProviderInfo() {
+    return {
+      provider: this.provider.name,
+      model: this.model,
+      dimensions: this.dimensions || this.provider.dimensions,
+      configured: this.provider.isConfigured(),
+    }
+  }
 
-      // Add delay between batches to respect rate limits
-      if (i + batchSize < texts.length) {
-        await new Promise((resolve) => setTimeout(resolve, 500))
+  /**
+   * Vector size of the active model, measured by embedding a probe text once.
+   * A requested size is not trusted: providers may ignore it.
+   */
+  async getEmbeddingDimensions() {
+    if (!this.dimensions) {
+      try {
+        this.dimensions = (await this.generateEmbedding("Embedding dimension probe")).length
+      } catch (error) {
+        throw new Error(`Could not probe the dimensions of ${this.provider.name}:${this.model}: ${error.message}`)
       }
     }
+    return this.dimensions
+  }
 
-    return embeddings
+  // Identity of the vectors this service produces, as recorded with a collection
+  async getModelInfo() {
+    return { provider: this.provider.name, model: this.model, dimensions: await this.getEmbeddingDimensions() }
   }
 
-  getEmbeddingDimensions() {
-    // Jina embeddings v2 base model has 768 dimensions
-    return 768
+  // Like getModelInfo() without a probe: the size is the requested one, or null when none is set
+  getRequestedModelInfo() {
+    return { provider: this.provider.name, model: this.model, dimensions: this.provider.dimensions || null }
   }
 }
 
-export default new EmbeddingService()
-export { EmbeddingService }
+const embeddingService = new EmbeddingService()
 
-export const generateEmbedding = async (text) => {
-  const embeddingService = new EmbeddingService()
-  return embeddingService.generateEmbedding(text)
-}
+export default embeddingService
+export { EmbeddingService }
 
-export const generateQueryEmbedding = async (query) => {
-  const embeddingService = new EmbeddingService()
-  const enhancedQuery = `Question about recent news: ${query}`
-  return embeddingService.generateEmbedding(enhancedQuery)
-}
+export const generateEmbedding = (text) => embeddingService.generateEmbedding(text)
+export const generateQueryEmbedding = (query) => embeddingService.generateQueryEmbedding(query)
+export const generateBatchEmbeddings = (texts) => embeddingService.generateBatchEmbeddings(texts)
+export const embedBatch = (texts) => embeddingService.embedBatch(texts)
+export const getEmbeddingProviderInfo = () => embeddingService.getProviderInfo()
+export const getEmbeddingModelInfo = () => embeddingService.getModelInfo()
+export const getRequestedEmbeddingModelInfo = () => embeddingService.getRequestedModelInfo()
+export const warmEmbeddingCache = (texts, options) => embeddingService.warmCache(texts, options)
+export const evictEmbeddingCache = (options) => embeddingService.evictCache(options)
+export const getEmbeddingCacheStats = () => embeddingService.getCacheStats()
@@ -0,0 +1,359 @@
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+
+// Offline named-entity extraction: capitalized spans are matched against a
+// gazetteer of places and organizations, then classified by rules (titles,
+// organization and place suffixes, known given names, speech verbs).
+
+const DEFAULT_GAZETTEER_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "../config/entityGazetteer.json")
+
+export const ENTITY_TYPES = {
+  person: "people",
+  organization: "organizations",
+  place: "places",
+}
+
+// Most entities per type kept for an article
+const MAX_PER_TYPE = 15
+
+// A capitalized word, a dotted acronym (U.S.) or a title abbreviation (Dr.)
+const ABBREVIATED_TITLE = String.raw`(?:Mr|Mrs|Ms|Dr|Prof|Sen|Rep|Gov|Gen|Lt|Col|Capt|Sgt|Rev|St)\.`
+const WORD = String.raw`(?:${ABBREVIATED_TITLE}|(?:\p{Lu}\.){2,}|\p{Lu}[\p{L}\p{M}\p{N}'’&-]*)`
+const CONNECTORS = new Set(["of", "the", "de", "del", "da", "dos", "van", "von", "der", "bin", "al", "and", "&"])
+// Names never continue across a line break
+const SPACE = String.raw`[^\S\n]+`
+const SPAN = new RegExp(String.raw`${WORD}(?:(?:${SPACE}(?:${[...CONNECTORS].join("|")}))*${SPACE}${WORD})*`, "gu")
+
+// Capitalized only because they start a sentence, or never names on their own
+const LEADING_WORDS = new Set(
+  (
+    "The A An In On At By To For From With Without About After Before During Since Until As If When While Where " +
+    "But And Or So Yet Also However Meanwhile Still Then Now Today Yesterday Tomorrow Here There This That These " +
+    "Those It Its He She They We I You His Her Their Our My Your Some Many Most Several All Both Each Every " +
+    "No Not Only Even Last Next First New Other Another More Such What Who Why How According Under Over Despite " +
+    "Monday Tuesday Wednesday Thursday Friday Saturday Sunday January February March April May June July August " +
+    "September October November December"
+  ).split(" "),
+)
+
+// Titles before a person's name; multi-word titles are matched first
+const TITLES = [
+  "Vice President", "Prime Minister", "Deputy Prime Minister", "Foreign Minister", "Defense Minister",
+  "Defence Minister", "Finance Minister", "Secretary of State", "Secretary-General", "Secretary General",
+  "Chief Executive", "Attorney General", "Supreme Leader", "Crown Prince", "House Speaker",
+  "President", "Chancellor", "Senator", "Sen.", "Representative", "Rep.", "Governor", "Gov.", "Mayor", "Minister",
+  "Secretary", "King", "Queen", "Prince", "Princess", "Pope", "Judge", "Justice", "General", "Gen.", "Mr.", "Mrs.",
+  "Ms.", "Mr", "Mrs", "Ms", "Dr.", "Dr", "Prof.", "Professor", "Sir", "Dame", "Lord", "Lady", "CEO", "Chairman",
+  "Chairwoman", "Director", "Coach", "Captain", "Capt.", "Col.", "Lt.", "Sgt.", "Rev.", "Archbishop", "Bishop",
+  "Ambassador", "Speaker", "Commissioner", "Spokesman", "Spokeswoman", "Spokesperson", "Founder", "Leader",
+].map((title) => title.split(" "))
+TITLES.sort((a, b) => b.length - a.length)
+
+const ORG_SUFFIXES = new Set(
+  (
+    "Inc Corp Corporation Ltd LLC PLC Co Group Holdings Bank Bancorp University College School Ministry Party " +
+    "Council Agency Association Company Committee Foundation Institute Commission Court Department Reserve Fund " +
+    "Organization Organisation Union Authority Police Army Navy Airlines Airways Motors Technologies Systems Labs " +
+    "Network Federation League Club Office Service Services Parliament Congress Senate Assembly Board Bureau Trust " +
+    "Hospital Church Studios Pharmaceuticals Energy Partners Capital Media Press"
+  ).split(" "),
+)
+const LEGAL_SUFFIX = /,?\s+(?:Inc|Corp|Corporation|Ltd|LLC|PLC|Co)\.?$/
+const ORG_PREFIXES = ["University of", "Bank of", "Ministry of", "Department of", "Office of", "Institute of"]
+
+const PLACE_SUFFIXES = new Set(
+  "City County Province Region District Island Islands Valley River Mountains Sea Ocean Strait Gulf Bay Peninsula".split(
+    " ",
+  ),
+)
+
+// Text right after a name that marks it as a speaker
+const SPEECH_AFTER = /^(?:\s*,\s*(?:who|whose)\b|\s+(?:said|says|told|added|wrote|argued|announced|warned|insisted)\b)/
+
+const normalize = (name) => name.normalize("NFKC").replace(/\s+/g, " ").trim()
+
+class EntityExtractor {
+  constructor() {
+    this.gazetteerFile = process.env.ENTITY_GAZETTEER_FILE || DEFAULT_GAZETTEER_FILE
+    this.gazetteer = null
+  }
+
+  loadGazetteer() {
+    const gazetteer = { names: new Map(), aliases: new Map(), lowercase: new Map(), givenNames: new Set() }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.gazetteerFile, "utf8"))
+      for (const name of data.places || []) gazetteer.names.set(name, "place")
+      for (const name of data.organizations || []) gazetteer.names.set(name, "organization")
+      for (const [alias, name] of Object.entries(data.aliases || {})) gazetteer.aliases.set(alias, name)
+      for (const name of data.givenNames || []) gazetteer.givenNames.add(name)
+
+      // Case-insensitive lookups, for user input such as ?entity=nato
+      for (const name of gazetteer.names.keys()) gazetteer.lowercase.set(name.toLowerCase(), name)
+      for (const [alias, name] of gazetteer.aliases) {
+        if (!gazetteer.lowercase.has(alias.toLowerCase())) gazetteer.lowercase.set(alias.toLowerCase(), name)
+      }
+
+      console.log(`Loaded entity gazetteer with ${gazetteer.names.size} names`)
+    } catch (error) {
+      console.error(`Failed to load entity gazetteer from ${this.gazetteerFile}:`, error.message)
+    }
+
+    this.gazetteer = gazetteer
+    return gazetteer
+  }
+
+  getGazetteer() {
+    return this.gazetteer || this.loadGazetteer()
+  }
+
+  /**
+   * Find the people, organizations and places mentioned in a text. Returns
+   * entities ordered by mention count: { name, type, mentions, forms }, where
+   * forms are the surface strings found (aliases, a person's surname).
+   */
+  extract(text) {
+    if (!text) return []
+
+    const found = new Map()
+    const surnames = []
+    const add = (name, type, form) => {
+      const key = name.toLowerCase()
+      const entity = found.get(key) || { name, type, mentions: 0, forms: new Set() }
+      entity.mentions++
+      entity.forms.add(form)
+      found.set(key, entity)
+    }
+
+    SPAN.lastIndex = 0
+    let match
+    while ((match = SPAN.exec(text))) {
+      const tokens = match[0].split(/\s+/).map((token) => token.replace(/['’]s$/, ""))
+      const speaker = SPEECH_AFTER.test(text.slice(match.index + match[0].length, match.index + match[0].length + 30))
+
+      // Known names win over title splitting ("General Motors", "Department of Justice")
+      const parts = this.splitOnTitles(tokens)
+      const [whole, ...rest] = this.candidates(tokens)
+      const untitled = parts.length === 1 && !parts[0].titled
+      if (whole && rest.length === 0 && (this.lookup(whole.join(" ")) || (untitled && this.isOrganization(whole)))) {
+        const entity = this.classify(whole)
+        add(entity.name, entity.type, whole.join(" "))
+        continue
+      }
+
+      for (const { tokens: part, titled, last } of parts) {
+        for (const candidate of this.candidates(part)) {
+          const entity = this.classify(candidate, { titled, speaker: speaker && last })
+          if (entity) {
+            add(entity.name, entity.type, candidate.join(" "))
+          } else if (candidate.length === 1) {
+            surnames.push(candidate[0])
+          } else {
+            // Adjacent names without a connector ("Paris U.S.", "Germany France")
+            for (const known of this.knownNamesIn(candidate)) add(known.name, known.type, known.form)
+          }
+        }
+      }
+    }
+
+    // A bare surname counts towards the full name mentioned elsewhere in the text
+    const people = [...found.values()].filter((entity) => entity.type === "person" && entity.name.includes(" "))
+    for (const surname of surnames) {
+      const person = people.find((entity) => entity.name.split(" ").pop() === surname)
+      if (person) {
+        person.mentions++
+        person.forms.add(surname)
+      }
+    }
+    // "President Biden" alone is kept, but merged into "Joe Biden" when both appear
+    for (const entity of [...found.values()]) {
+      if (entity.type !== "person" || entity.name.includes(" ")) continue
+      const person = people.find((candidate) => candidate.name.split(" ").pop() === entity.name)
+      if (person) {
+        person.mentions += entity.mentions
+        person.forms.add(entity.name)
+        found.delete(entity.name.toLowerCase())
+      }
+    }
+
+    const entities = [...found.values()].sort((a, b) => b.mentions - a.mentions || a.name.localeCompare(b.name))
+    const kept = []
+    const perType = {}
+    for (const entity of entities) {
+      perType[entity.type] = (perType[entity.type] || 0) + 1
+      if (perType[entity.type] <= MAX_PER_TYPE) kept.push({ ...entity, forms: [...entity.forms] })
+    }
+    return kept
+  }
+
+  // Split a span around titles: "U.S. President Joe Biden" is "U.S." and a titled "Joe Biden"
+  splitOnTitles(tokens) {
+    const parts = []
+    let current = []
+    let titled = false
+
+    for (let i = 0; i < tokens.length; ) {
+      const title = TITLES.find((words) => words.every((word, j) => tokens[i + j] === word))
+      if (title && !this.startsKnownName(tokens.slice(i))) {
+        if (current.length > 0) parts.push({ tokens: current, titled })
+        current = []
+        titled = true
+        i += title.length
+        continue
+      }
+      // A titled name ends at the first connector ("President Macron of France")
+      if (titled && CONNECTORS.has(tokens[i]) && current.length > 0) {
+        parts.push({ tokens: current, titled })
+        current = []
+        titled = false
+      }
+      current.push(tokens[i])
+      i++
+    }
+    if (current.length > 0) parts.push({ tokens: current, titled })
+
+    return parts.map((part, index) => ({ ...part, last: index === parts.length - 1 }))
+  }
+
+  // Longest gazetteer matches in a run of words, left to right
+  knownNamesIn(words) {
+    const names = []
+    for (let start = 0; start < words.length; ) {
+      let found = null
+      for (let end = words.length; end > start && !found; end--) {
+        const form = words.slice(start, end).join(" ")
+        const known = this.lookup(form)
+        if (known) found = { ...known, form, length: end - start }
+      }
+      if (found) names.push(found)
+      start += found ? found.length : 1
+    }
+    return names
+  }
+
+  // "General Motors" is a company, not General Motors the person
+  startsKnownName(tokens) {
+    const end = tokens.findIndex((token) => CONNECTORS.has(token))
+    const segment = end === -1 ? tokens : tokens.slice(0, end)
+    return segment.length > 1 && Boolean(this.lookup(segment.join(" ")))
+  }
+
+  // The whole span if it is a known or recognizable name, otherwise its parts between connectors
+  candidates(tokens) {
+    const words = [...tokens]
+    while (words.length > 0 && (LEADING_WORDS.has(words[0]) || CONNECTORS.has(words[0]))) words.shift()
+    while (words.length > 0 && CONNECTORS.has(words[words.length - 1])) words.pop()
+    if (words.length === 0) return []
+
+    // "Bank of England" stays whole, "NATO and the European Union" does not
+    const isOrganization = this.isOrganization(words) && !words.includes("and")
+    if (!words.some((word) => CONNECTORS.has(word)) || this.lookup(words.join(" ")) || isOrganization) {
+      return [words]
+    }
+
+    const parts = []
+    let current = []
+    for (const word of words) {
+      if (CONNECTORS.has(word)) {
+        if (current.length > 0) parts.push(current)
+        current = []
+      } else {
+        current.push(word)
+      }
+    }
+    if (current.length > 0) parts.push(current)
+    return parts.flatMap((part) => this.candidates(part))
+  }
+
+  classify(words, { titled = false, speaker = false } = {}) {
+    const name = words.join(" ")
+    const known = this.lookup(name)
+    if (known) return known
+
+    if (this.isOrganization(words)) return { name, type: "organization" }
+    if (words.length > 1 && PLACE_SUFFIXES.has(words[words.length - 1])) return { name, type: "place" }
+
+    // Names are words, not acronyms or numbers
+    const nameLike = words.length <= 4 && words.every((word) => /^\p{Lu}\p{Ll}/u.test(word) || /^\p{Lu}\.$/u.test(word))
+    if (!nameLike) return null
+
+    if (titled) return { name, type: "person" }
+    if (words.length > 1 && (speaker || this.getGazetteer().givenNames.has(words[0]))) {
+      return { name, type: "person" }
+    }
+    return null
+  }
+
+  isOrganization(words) {
+    const name = words.join(" ")
+    return (
+      (words.length > 1 && ORG_SUFFIXES.has(words[words.length - 1].replace(/\.$/, ""))) ||
+      ORG_PREFIXES.some((prefix) => name.startsWith(`${prefix} `))
+    )
+  }
+
+  // Exact gazetteer lookup, resolving aliases to their canonical name.
+  // A legal suffix is ignored when the rest is known ("Apple Inc." is Apple).
+  lookup(name) {
+    const gazetteer = this.getGazetteer()
+    const canonical = gazetteer.aliases.get(name) || name
+    const type = gazetteer.names.get(canonical)
+    if (type) return { name: canonical, type }
+
+    const withoutSuffix = name.replace(LEGAL_SUFFIX, "")
+    return withoutSuffix !== name ? this.lookup(withoutSuffix) : null
+  }
+
+  /**
+   * Canonical lowercase key of an entity name, used for payload filters and
+   * lookups: aliases resolve ("U.S." and "us" both give "united states")
+   */
+  key(name) {
+    const normalized = normalize(String(name || ""))
+    if (!normalized) return ""
+
+    const gazetteer = this.getGazetteer()
+    const known = this.lookup(normalized)
+    const canonical = known?.name || gazetteer.lowercase.get(normalized.toLowerCase()) || normalized
+    return canonical.toLowerCase()
+  }
+
+  // Details of a name for display: its canonical form and type, when the gazetteer knows it
+  describe(name) {
+    const normalized = normalize(String(name || ""))
+    const gazetteer = this.getGazetteer()
+    const canonical = this.lookup(normalized)?.name || gazetteer.lowercase.get(normalized.toLowerCase())
+    return canonical ? { name: canonical, type: gazetteer.names.get(canonical) } : { name: normalized, type: null }
+  }
+
+  // The article's entities that are mentioned in one chunk of its text
+  findIn(text, entities) {
+    const mentions = (form) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(form)}(?![\\p{L}\\p{N}])`, "u").test(text)
+    return entities.filter((entity) => entity.forms.some(mentions))
+  }
+
+  // { people, organizations, places } name lists, plus the filter keys of all of them
+  group(entities) {
+    const grouped = { people: [], organizations: [], places: [] }
+    for (const entity of entities) {
+      grouped[ENTITY_TYPES[entity.type]].push(entity.name)
+    }
+    return { ...grouped, keys: entities.map((entity) => entity.name.toLowerCase()) }
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+const entityExtractor = new EntityExtractor()
+
+export const extractEntities = (text) => entityExtractor.extract(text)
+export const findEntitiesIn = (text, entities) => entityExtractor.findIn(text, entities)
+export const groupEntities = (entities) => entityExtractor.group(entities)
+export const entityKey = (name) => entityExtractor.key(name)
+export const describeEntity = (name) => entityExtractor.describe(name)
+export const reloadEntityGazetteer = () => entityExtractor.loadGazetteer()
+
+export default entityExtractor
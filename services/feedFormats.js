@@ -0,0 +1,396 @@
+import * as cheerio from "cheerio"
+import xml2js from "xml2js"
+
+const xmlParser = new xml2js.Parser({
+  explicitArray: false,
+  ignoreAttrs: false,
+  mergeAttrs: true,
+})
+
+/**
+ * Parse a feed document (RSS 2.0, Atom 1.0, RDF/RSS 1.0 or JSON Feed) and
+ * normalize its entries into the item shape consumed by processArticle:
+ * { title, link, guid, description, content, pubDate, author, categories,
+ *   media, image }, where media lists { url, type, medium, width, height, role }
+ * from media:content, media:thumbnail and enclosures, and image is the best
+ * image among them. The feed's WebSub hub and self URLs are returned as hub
+ * and self when it advertises them.
+ */
+export async function parseFeed(body) {
+  const jsonFeed = parseJSONFeed(body)
+  if (jsonFeed) {
+    return {
+      format: "json",
+      title: textOf(jsonFeed.title),
+      link: textOf(jsonFeed.home_page_url),
+      hub: toArray(jsonFeed.hubs).find((hub) => /^websub$/i.test(hub?.type) && hub.url)?.url || "",
+      self: textOf(jsonFeed.feed_url),
+      items: toArray(jsonFeed.items).map(normalizeJSONFeedItem),
+    }
+  }
+
+  const result = await xmlParser.parseStringPromise(body)
+
+  if (result.rss?.channel) {
+    const channel = result.rss.channel
+    return {
+      format: "rss",
+      title: textOf(channel.title),
+      link: pickLink(channel.link),
+      ...hubLinks(channelLinks(channel)),
+      items: toArray(channel.item).map(normalizeRSSItem),
+    }
+  }
+
+  if (result.feed) {
+    const xhtml = atomXHTMLText(body)
+    return {
+      format: "atom",
+      title: textOf(result.feed.title),
+      link: pickLink(result.feed.link),
+      ...hubLinks(toArray(result.feed.link)),
+      items: toArray(result.feed.entry).map((entry, index) => normalizeAtomEntry(entry, xhtml[index])),
+    }
+  }
+
+  if (result["rdf:RDF"]) {
+    const rdf = result["rdf:RDF"]
+    // RSS 1.0 keeps items as siblings of the channel, not children
+    return {
+      format: "rdf",
+      title: textOf(rdf.channel?.title),
+      link: textOf(rdf.channel?.link),
+      ...hubLinks(channelLinks(rdf.channel || {})),
+      items: toArray(rdf.item).map(normalizeRSSItem),
+    }
+  }
+
+  throw new Error("Unsupported feed format")
+}
+
+const SITEMAP_NEWS_NS = "http://www.google.com/schemas/sitemap-news/0.9"
+const SITEMAP_IMAGE_NS = "http://www.google.com/schemas/sitemap-image/1.1"
+
+/**
+ * Parse a sitemap index or a URL set sitemap. An index returns its child
+ * sitemaps as { url, lastmod }; a URL set returns its URLs as feed items, with
+ * title, publication date and keywords (as categories) taken from Google
+ * News <news:news> entries and images from <image:image>. Plain sitemap URLs
+ * only carry a link and their lastmod date.
+ */
+export async function parseSitemap(body) {
+  const result = await xmlParser.parseStringPromise(body)
+
+  if (result.sitemapindex) {
+    return {
+      format: "sitemapindex",
+      sitemaps: toArray(result.sitemapindex.sitemap)
+        .map((sitemap) => ({ url: textOf(sitemap.loc), lastmod: toISODate(textOf(sitemap.lastmod)) }))
+        .filter((sitemap) => isURL(sitemap.url)),
+      items: [],
+    }
+  }
+
+  if (result.urlset) {
+    // Publishers normally use the news: and image: prefixes, but only the namespace URI is fixed
+    const news = namespacePrefix(result.urlset, SITEMAP_NEWS_NS, "news")
+    const image = namespacePrefix(result.urlset, SITEMAP_IMAGE_NS, "image")
+    const items = toArray(result.urlset.url)
+      .map((url) => normalizeSitemapURL(url, { news, image }))
+      .filter((item) => isURL(item.link))
+
+    return {
+      format: items.some((item) => item.title) ? "news-sitemap" : "sitemap",
+      sitemaps: [],
+      items,
+    }
+  }
+
+  throw new Error("Unsupported sitemap format")
+}
+
+function namespacePrefix(node, uri, fallback) {
+  const declaration = Object.keys(node).find((key) => key.startsWith("xmlns:") && textOf(node[key]) === uri)
+  return declaration ? declaration.slice("xmlns:".length) : fallback
+}
+
+/**
+ * Normalize a sitemap <url> entry into the feed item shape
+ */
+function normalizeSitemapURL(url, ns) {
+  const link = textOf(url.loc)
+  const news = toArray(url[`${ns.news}:news`])[0] || {}
+  const keywords = textOf(news[`${ns.news}:keywords`]).split(",")
+
+  return {
+    title: htmlToText(textOf(news[`${ns.news}:title`])),
+    link,
+    guid: link,
+    description: "",
+    content: "",
+    pubDate: toISODate(textOf(news[`${ns.news}:publication_date`]) || textOf(url.lastmod)),
+    author: "",
+    categories: uniqueStrings(keywords.map((keyword) => keyword.trim())),
+    ...withImage(
+      toArray(url[`${ns.image}:image`]).map((entry) =>
+        mediaItem({ url: textOf(entry?.[`${ns.image}:loc`]), medium: "image" }, "content"),
+      ),
+    ),
+  }
+}
+
+/**
+ * Detect and parse a JSON Feed document; returns null for anything else
+ */
+function parseJSONFeed(body) {
+  let data = body
+  if (typeof body === "string") {
+    if (!body.trimStart().startsWith("{")) return null
+    try {
+      data = JSON.parse(body)
+    } catch {
+      return null
+    }
+  }
+
+  if (data && typeof data === "object" && String(data.version || "").startsWith("https://jsonfeed.org/version/")) {
+    return data
+  }
+
+  return null
+}
+
+/**
+ * Normalize an RSS 2.0 or RDF/RSS 1.0 item
+ */
+function normalizeRSSItem(item) {
+  const link = textOf(item.link) || textOf(item["rdf:about"])
+  const guid = textOf(item.guid)
+  const content = textOf(item["content:encoded"])
+
+  return {
+    title: htmlToText(textOf(item.title)),
+    link: link || (isURL(guid) ? guid : ""),
+    guid: guid || link,
+    description: htmlToText(textOf(item.description)) || htmlToText(content),
+    content: htmlToText(content),
+    pubDate: toISODate(textOf(item.pubDate) || textOf(item["dc:date"])),
+    author: textOf(item["dc:creator"]) || textOf(item.author),
+    categories: uniqueStrings([...toArray(item.category), ...toArray(item["dc:subject"])]),
+    ...withImage(rssMedia(item)),
+  }
+}
+
+/**
+ * Normalize an Atom 1.0 entry. `xhtml` holds the text of its type="xhtml"
+ * title, summary and content, which xml2js cannot keep in order.
+ */
+function normalizeAtomEntry(entry, xhtml = {}) {
+  const content = xhtml.content ?? htmlToText(textOf(entry.content))
+  const id = textOf(entry.id)
+
+  return {
+    title: xhtml.title ?? htmlToText(textOf(entry.title)),
+    link: pickLink(entry.link) || (isURL(id) ? id : ""),
+    guid: id,
+    description: (xhtml.summary ?? htmlToText(textOf(entry.summary))) || content,
+    content,
+    pubDate: toISODate(textOf(entry.published) || textOf(entry.updated)),
+    author: toArray(entry.author)
+      .map((author) => textOf(author.name ?? author))
+      .filter(Boolean)
+      .join(", "),
+    categories: uniqueStrings(toArray(entry.category).map((category) => category.term ?? category)),
+    ...withImage([
+      ...rssMedia(entry),
+      ...toArray(entry.link)
+        .filter((link) => typeof link === "object" && link.rel === "enclosure" && link.href)
+        .map((link) => mediaItem({ url: link.href, type: link.type }, "enclosure")),
+    ]),
+  }
+}
+
+const ATOM_TEXT_CONSTRUCTS = ["title", "summary", "content"]
+
+/**
+ * Text of the type="xhtml" text constructs of each Atom entry, in entry
+ * order. Their markup is inline XML: xml2js splits mixed content into text
+ * and child keys, so the text is read from the document itself.
+ */
+function atomXHTMLText(body) {
+  if (!/type\s*=\s*["']xhtml["']/.test(body)) return []
+
+  const $ = cheerio.load(body, { xmlMode: true })
+  return $("feed > entry")
+    .toArray()
+    .map((entry) => {
+      const text = {}
+      for (const name of ATOM_TEXT_CONSTRUCTS) {
+        const node = $(entry).children(name).filter((_, element) => $(element).attr("type") === "xhtml")
+        if (node.length > 0) text[name] = node.first().text().replace(/\s+/g, " ").trim()
+      }
+      return text
+    })
+}
+
+/**
+ * Normalize a JSON Feed (1.0 / 1.1) item
+ */
+function normalizeJSONFeedItem(item) {
+  const content = item.content_text || htmlToText(item.content_html)
+  const authors = item.authors || (item.author ? [item.author] : [])
+
+  return {
+    title: textOf(item.title),
+    link: textOf(item.url) || textOf(item.external_url),
+    guid: textOf(item.id),
+    description: textOf(item.summary) || content,
+    content: content || "",
+    pubDate: toISODate(item.date_published || item.date_modified),
+    author: authors
+      .map((author) => textOf(author.name))
+      .filter(Boolean)
+      .join(", "),
+    categories: uniqueStrings(toArray(item.tags)),
+    ...withImage([
+      ...[item.image, item.banner_image].filter(Boolean).map((url) => mediaItem({ url, medium: "image" }, "content")),
+      ...toArray(item.attachments).map((attachment) =>
+        mediaItem({ url: attachment.url, type: attachment.mime_type }, "enclosure"),
+      ),
+    ]),
+  }
+}
+
+// More than this is a gallery; the first few are enough for a thumbnail
+const MAX_MEDIA_ITEMS = 5
+
+/**
+ * Collect Media RSS (media:content, media:thumbnail, also inside media:group)
+ * and RSS enclosures of an item
+ */
+function rssMedia(item) {
+  const groups = [item, ...toArray(item["media:group"])]
+  const media = groups.flatMap((group) => [
+    ...toArray(group["media:content"]).flatMap((content) => [
+      mediaItem(content, "content"),
+      // Thumbnails may be nested in the media:content they belong to
+      ...toArray(content?.["media:thumbnail"]).map((thumbnail) => mediaItem(thumbnail, "thumbnail")),
+    ]),
+    ...toArray(group["media:thumbnail"]).map((thumbnail) => mediaItem(thumbnail, "thumbnail")),
+  ])
+
+  return [...media, ...toArray(item.enclosure).map((enclosure) => mediaItem(enclosure, "enclosure"))]
+}
+
+function mediaItem(node, role) {
+  if (!node || typeof node !== "object") return null
+
+  const url = textOf(node.url)
+  if (!isURL(url)) return null
+
+  const width = Number.parseInt(textOf(node.width))
+  const height = Number.parseInt(textOf(node.height))
+  return {
+    url,
+    type: textOf(node.type) || null,
+    medium: textOf(node.medium) || null,
+    width: Number.isNaN(width) ? null : width,
+    height: Number.isNaN(height) ? null : height,
+    role,
+  }
+}
+
+function isImage(media) {
+  if (media.medium) return media.medium === "image"
+  if (media.type) return media.type.startsWith("image/")
+  // Untyped media: judge by the file extension
+  return /\.(jpe?g|png|gif|webp|avif)(\?|$)/i.test(media.url)
+}
+
+/**
+ * Deduplicate media by URL and pick the item's image: the largest image
+ * content, then any thumbnail, then an image enclosure
+ */
+function withImage(items) {
+  const byUrl = new Map()
+  for (const item of items) {
+    if (item && !byUrl.has(item.url)) byUrl.set(item.url, item)
+  }
+  const media = [...byUrl.values()].slice(0, MAX_MEDIA_ITEMS)
+
+  const images = media.filter((item) => item.role === "thumbnail" || isImage(item))
+  const rank = { content: 0, thumbnail: 1, enclosure: 2 }
+  images.sort((a, b) => rank[a.role] - rank[b.role] || (b.width || 0) - (a.width || 0))
+
+  return { media, image: images[0]?.url || null }
+}
+
+/**
+ * Pick the article URL from an RSS string link or Atom link element(s)
+ */
+function pickLink(link) {
+  const links = toArray(link)
+  if (links.length === 0) return ""
+
+  const alternate =
+    links.find((l) => typeof l === "object" && l.href && (!l.rel || l.rel === "alternate")) ||
+    links.find((l) => typeof l === "string" && l.trim())
+
+  if (!alternate) return ""
+  return typeof alternate === "string" ? alternate.trim() : alternate.href.trim()
+}
+
+/**
+ * <link> and namespaced <atom:link> elements of an RSS channel, where WebSub
+ * hub and self links live
+ */
+function channelLinks(channel) {
+  return Object.keys(channel)
+    .filter((key) => key === "link" || key.endsWith(":link"))
+    .flatMap((key) => toArray(channel[key]))
+}
+
+function hubLinks(links) {
+  const withRel = (rel) =>
+    links.find((l) => typeof l === "object" && l.href && String(l.rel || "").split(/\s+/).includes(rel))
+  return {
+    hub: withRel("hub")?.href.trim() || "",
+    self: withRel("self")?.href.trim() || "",
+  }
+}
+
+/**
+ * Extract text from an xml2js node, which may be a string, an attributed
+ * element ({ _: text, ...attrs }) or an array of either
+ */
+function textOf(value) {
+  if (value === undefined || value === null) return ""
+  if (Array.isArray(value)) return textOf(value[0])
+  if (typeof value === "object") return textOf(value._)
+  return String(value).trim()
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+function uniqueStrings(values) {
+  return [...new Set(values.map((value) => textOf(value)).filter(Boolean))]
+}
+
+// Also decodes entities left in text without tags, e.g. Atom type="html" titles
+function htmlToText(html) {
+  if (!html) return ""
+  return cheerio.load(html).text().replace(/\s+/g, " ").trim()
+}
+
+function toISODate(value) {
+  if (!value) return ""
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? "" : date.toISOString()
+}
+
+function isURL(value) {
+  return /^https?:\/\//i.test(value || "")
+}
@@ -0,0 +1,307 @@
+import { v4 as uuidv4 } from "uuid"
+import { getDatabase } from "../config/database.js"
+import config from "../config/environment.js"
+import { CHUNK_STRATEGIES } from "./chunkers.js"
+
+// "feed" covers RSS, Atom, RDF and JSON Feed; "sitemap" a sitemap or sitemap index
+export const SOURCE_TYPES = ["feed", "sitemap"]
+
+const validationError = (message) => {
+  const error = new Error(message)
+  error.name = "ValidationError"
+  return error
+}
+
+class FeedSourceService {
+  constructor() {
+    this.seeded = false
+  }
+
+  // Fallback registry used when PostgreSQL is not configured
+  getDefaultSources() {
+    return config.RSS_FEEDS.map((url) => ({
+      id: null,
+      url: url.trim(),
+      type: "feed",
+      name: null,
+      categoryHints: [],
+      maxItems: null,
+      chunkStrategy: null,
+      retentionDays: null,
+      enabled: true,
+      createdAt: null,
+      updatedAt: null,
+      metadata: {},
+    }))
+  }
+
+  async seedDefaults() {
+    const db = getDatabase()
+    if (this.seeded || !db.isConnected) return
+
+    try {
+      const result = await db.query("SELECT COUNT(*) FROM feed_sources")
+      if (Number.parseInt(result.rows[0].count) === 0) {
+        for (const source of this.getDefaultSources()) {
+          await db.query(
+            `
+            INSERT INTO feed_sources (id, url)
+            VALUES ($1, $2)
+            ON CONFLICT (url) DO NOTHING
+          `,
+            [uuidv4(), source.url],
+          )
+        }
+        console.log(`Seeded feed registry with ${config.RSS_FEEDS.length} sources from RSS_FEEDS`)
+      }
+      this.seeded = true
+    } catch (error) {
+      console.error("Failed to seed feed sources:", error.message)
+    }
+  }
+
+  async listSources({ enabledOnly = false } = {}) {
+    const db = getDatabase()
+    if (!db.isConnected) return this.getDefaultSources()
+
+    await this.seedDefaults()
+
+    const result = await db.query(
+      `
+      SELECT * FROM feed_sources
+      ${enabledOnly ? "WHERE enabled = TRUE" : ""}
+      ORDER BY created_at ASC
+    `,
+    )
+
+    return result.rows.map((row) => this.formatSource(row))
+  }
+
+  async getEnabledSources() {
+    return this.listSources({ enabledOnly: true })
+  }
+
+  async getSource(id) {
+    const db = getDatabase()
+    if (!db.isConnected) return null
+
+    const result = await db.query("SELECT * FROM feed_sources WHERE id = $1", [id])
+    return result.rows[0] ? this.formatSource(result.rows[0]) : null
+  }
+
+  async addSource(data) {
+    const source = this.validateSource(data, { requireUrl: true })
+
+    const result = await getDatabase().query(
+      `
+      INSERT INTO feed_sources (id, url, type, name, category_hints, max_items, enabled, chunk_strategy, retention_days, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *;
+    `,
+      [
+        uuidv4(),
+        source.url,
+        source.type ?? "feed",
+        source.name ?? null,
+        source.categoryHints ?? [],
+        source.maxItems ?? null,
+        source.enabled ?? true,
+        source.chunkStrategy ?? null,
+        source.retentionDays ?? null,
+        JSON.stringify(source.metadata || {}),
+      ],
+    )
+
+    return this.formatSource(result.rows[0])
+  }
+
+  async updateSource(id, data) {
+    const { enabled, ...updates } = this.validateSource(data)
+    const columns = {
+      url: "url",
+      type: "type",
+      name: "name",
+      categoryHints: "category_hints",
+      maxItems: "max_items",
+      chunkStrategy: "chunk_strategy",
+      retentionDays: "retention_days",
+      metadata: "metadata",
+    }
+
+    // Toggling goes through enable/disable so failure tracking stays consistent
+    if (enabled !== undefined) {
+      const toggled = enabled ? await this.enableSource(id) : await this.disableSource(id)
+      if (!toggled) return null
+    }
+
+    const assignments = []
+    const values = []
+    for (const [field, column] of Object.entries(columns)) {
+      if (updates[field] === undefined) continue
+      values.push(field === "metadata" ? JSON.stringify(updates[field]) : updates[field])
+      assignments.push(`${column} = $${values.length}`)
+    }
+
+    if (assignments.length === 0) {
+      return this.getSource(id)
+    }
+
+    values.push(id)
+    const result = await getDatabase().query(
+      `
+      UPDATE feed_sources
+      SET ${assignments.join(", ")}, updated_at = NOW()
+      WHERE id = $${values.length}
+      RETURNING *;
+    `,
+      values,
+    )
+
+    return result.rows[0] ? this.formatSource(result.rows[0]) : null
+  }
+
+  async disableSource(id, reason = "Disabled manually") {
+    const result = await getDatabase().query(
+      `
+      UPDATE feed_sources
+      SET enabled = FALSE, disabled_reason = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *;
+    `,
+      [id, reason],
+    )
+    return result.rows[0] ? this.formatSource(result.rows[0]) : null
+  }
+
+  // Re-enabling clears the failure streak, so an auto-disabled source gets a fresh start
+  async enableSource(id) {
+    const result = await getDatabase().query(
+      `
+      UPDATE feed_sources
+      SET enabled = TRUE, consecutive_failures = 0, disabled_reason = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *;
+    `,
+      [id],
+    )
+    return result.rows[0] ? this.formatSource(result.rows[0]) : null
+  }
+
+  async deleteSource(id) {
+    const result = await getDatabase().query("DELETE FROM feed_sources WHERE id = $1 RETURNING id", [id])
+    return result.rowCount > 0
+  }
+
+  validateSource(data = {}, { requireUrl = false } = {}) {
+    const source = {}
+
+    if (data.url !== undefined || requireUrl) {
+      let parsed
+      try {
+        parsed = new URL(data.url)
+      } catch {
+        throw validationError("A valid feed url is required")
+      }
+      if (!["http:", "https:"].includes(parsed.protocol)) {
+        throw validationError("Feed url must use http or https")
+      }
+      source.url = parsed.toString()
+    }
+
+    if (data.type !== undefined) {
+      if (!SOURCE_TYPES.includes(data.type)) {
+        throw validationError(`type must be one of: ${SOURCE_TYPES.join(", ")}`)
+      }
+      source.type = data.type
+    }
+
+    if (data.name !== undefined) {
+      source.name = data.name ? String(data.name).trim().substring(0, 100) : null
+    }
+
+    if (data.categoryHints !== undefined) {
+      if (!Array.isArray(data.categoryHints)) {
+        throw validationError("categoryHints must be an array of strings")
+      }
+      source.categoryHints = data.categoryHints.map((hint) => String(hint).trim()).filter(Boolean)
+    }
+
+    if (data.maxItems !== undefined) {
+      if (data.maxItems === null) {
+        source.maxItems = null
+      } else {
+        const maxItems = Number.parseInt(data.maxItems)
+        if (!Number.isInteger(maxItems) || maxItems < 1 || maxItems > 100) {
+          throw validationError("maxItems must be an integer between 1 and 100")
+        }
+        source.maxItems = maxItems
+      }
+    }
+
+    if (data.enabled !== undefined) {
+      source.enabled = Boolean(data.enabled)
+    }
+
+    if (data.chunkStrategy !== undefined) {
+      if (data.chunkStrategy !== null && !CHUNK_STRATEGIES.includes(data.chunkStrategy)) {
+        throw validationError(`chunkStrategy must be one of: ${CHUNK_STRATEGIES.join(", ")}`)
+      }
+      source.chunkStrategy = data.chunkStrategy
+    }
+
+    // 0 keeps the feed's articles forever; null falls back to RETENTION_DAYS
+    if (data.retentionDays !== undefined) {
+      if (data.retentionDays === null) {
+        source.retentionDays = null
+      } else {
+        const retentionDays = Number(data.retentionDays)
+        if (!Number.isInteger(retentionDays) || retentionDays < 0 || retentionDays > 3650) {
+          throw validationError("retentionDays must be an integer between 0 and 3650")
+        }
+        source.retentionDays = retentionDays
+      }
+    }
+
+    if (data.metadata !== undefined) {
+      source.metadata = data.metadata || {}
+    }
+
+    return source
+  }
+
+  formatSource(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      type: row.type || "feed",
+      name: row.name,
+      categoryHints: row.category_hints || [],
+      maxItems: row.max_items,
+      chunkStrategy: row.chunk_strategy || null,
+      retentionDays: row.retention_days ?? null,
+      enabled: row.enabled,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      consecutiveFailures: row.consecutive_failures || 0,
+      lastRunAt: row.last_run_at || null,
+      lastSuccessAt: row.last_success_at || null,
+      lastError: row.last_error || null,
+      disabledReason: row.disabled_reason || null,
+      metadata: row.metadata || {},
+    }
+  }
+}
+
+const feedSourceService = new FeedSourceService()
+
+// Export functions for easier use
+export const listSources = (options) => feedSourceService.listSources(options)
+export const getEnabledSources = () => feedSourceService.getEnabledSources()
+export const getSource = (id) => feedSourceService.getSource(id)
+export const addSource = (data) => feedSourceService.addSource(data)
+export const updateSource = (id, data) => feedSourceService.updateSource(id, data)
+export const disableSource = (id, reason) => feedSourceService.disableSource(id, reason)
+export const enableSource = (id) => feedSourceService.enableSource(id)
+export const deleteSource = (id) => feedSourceService.deleteSource(id)
+
+export default feedSourceService
@@ -0,0 +1,367 @@
+import dns from "dns"
+import net from "net"
+import axios from "axios"
+import config from "../config/environment.js"
+import { getRedisClient } from "../config/redis.js"
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Loopback, private, link-local, shared, multicast and reserved networks, never fetched for a caller-supplied URL
+const PRIVATE_NETWORKS = new net.BlockList()
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv4")
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  // NAT64 and 6to4 embed IPv4 addresses, private ones included
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6")
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 subnets
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address)
+  return family !== 0 && PRIVATE_NETWORKS.check(address, `ipv${family}`)
+}
+
+const privateAddressError = (host, address) => {
+  const error = new Error(`Refusing to fetch ${host}: ${address} is a private, loopback or link-local address`)
+  error.code = "PRIVATE_ADDRESS"
+  return error
+}
+
+// dns.lookup that fails for hosts resolving to a private address; also applies to every redirect
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error)
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address))
+    if (blocked) return callback(privateAddressError(hostname, blocked.address))
+
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+/**
+ * Decode a response body by its declared charset: the Content-Type
+ * parameter, else a <meta> tag or XML declaration near the start, else UTF-8
+ */
+export function decodeText(data, contentType = "") {
+  const buffer = Buffer.from(data)
+  const head = buffer.subarray(0, 1024).toString("latin1")
+  const charset =
+    /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType)?.[1] ||
+    /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i.exec(head)?.[1] ||
+    /^\s*<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i.exec(head)?.[1] ||
+    "utf-8"
+
+  try {
+    return new TextDecoder(charset).decode(buffer)
+  } catch {
+    // Unknown label
+    return new TextDecoder().decode(buffer)
+  }
+}
+
+class PoliteFetcher {
+  constructor() {
+    this.userAgent = config.FETCH_USER_AGENT
+    // Product token matched against robots.txt User-agent lines
+    this.agentToken = this.userAgent.split("/")[0].toLowerCase()
+    this.maxConcurrency = config.FETCH_DOMAIN_CONCURRENCY
+    this.domainDelay = config.FETCH_DOMAIN_DELAY_MS
+    this.robotsTTL = config.ROBOTS_CACHE_TTL * 1000
+    this.robotsErrorTTL = 10 * 60 * 1000 // Retry unreachable robots.txt after 10 minutes
+    this.allowPrivateNetworks = config.FETCH_ALLOW_PRIVATE_NETWORKS
+    this.validatorsKey = "fetch:validators"
+
+    this.robotsCache = new Map()
+    this.hosts = new Map()
+    this.memoryValidators = new Map()
+  }
+
+  /**
+   * GET a URL politely: checks robots.txt, waits for a per-domain slot and,
+   * with `conditional`, revalidates against the stored ETag/Last-Modified.
+   * Resolves to { status, notModified, data, headers, url }. Hosts on private,
+   * loopback or link-local addresses are refused (code PRIVATE_ADDRESS),
+   * also after a redirect, unless FETCH_ALLOW_PRIVATE_NETWORKS is set.
+   */
+  async fetch(url, { conditional = false, timeout = 15000, responseType } = {}) {
+    const target = new URL(url)
+    this.checkTarget(target)
+
+    const robots = await this.getRobots(target.origin)
+    if (!this.isAllowed(robots, target.pathname + target.search)) {
+      const error = new Error(`Blocked by robots.txt: ${url}`)
+      error.code = "ROBOTS_DISALLOWED"
+      throw error
+    }
+
+    const headers = { "User-Agent": this.userAgent }
+    const validators = conditional ? await this.getValidators(url) : null
+    if (validators?.etag) headers["If-None-Match"] = validators.etag
+    if (validators?.lastModified) headers["If-Modified-Since"] = validators.lastModified
+
+    const host = target.host
+    await this.acquire(host, Math.max(this.domainDelay, (robots.crawlDelay || 0) * 1000))
+
+    try {
+      const response = await this.request(url, {
+        timeout,
+        responseType,
+        headers,
+        // 304 is an expected answer to a conditional request
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+      })
+
+      if (response.status === 304) {
+        return { status: 304, notModified: true, data: null, headers: response.headers, url }
+      }
+
+      if (conditional) {
+        await this.saveValidators(url, response.headers)
+      }
+
+      return {
+        status: response.status,
+        notModified: false,
+        data: response.data,
+        headers: response.headers,
+        url: response.request?.res?.responseUrl || url,
+      }
+    } finally {
+      this.release(host)
+    }
+  }
+
+  // Literal IP hosts are connected to without a DNS lookup, so they are checked here
+  checkTarget(target) {
+    if (!["http:", "https:"].includes(target.protocol)) {
+      throw new Error(`Unsupported protocol: ${target.protocol}`)
+    }
+
+    const host = target.hostname.replace(/^\[|\]$/g, "")
+    if (!this.allowPrivateNetworks && isPrivateAddress(host)) {
+      throw privateAddressError(target.host, host)
+    }
+  }
+
+  /**
+   * POST outside the crawl (no robots.txt check or per-domain pacing), such as
+   * a WebSub hub request, with the same refusal of private addresses as fetch()
+   */
+  async post(url, data, options = {}) {
+    this.checkTarget(new URL(url))
+    return this.request(url, { ...options, method: "post", data })
+  }
+
+  // GET unless `options.method` says otherwise
+  async request(url, options) {
+    try {
+      return await axios.request({ url, ...options, ...(this.allowPrivateNetworks ? {} : { lookup: publicLookup }) })
+    } catch (error) {
+      // axios wraps the lookup failure; surface the refusal itself
+      if (error.cause?.code === "PRIVATE_ADDRESS") throw error.cause
+      throw error
+    }
+  }
+
+  // Per-domain concurrency and spacing between request starts
+  async acquire(host, delay) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, waiters: [], nextAllowedAt: 0 })
+    }
+    const state = this.hosts.get(host)
+
+    while (state.active >= this.maxConcurrency) {
+      await new Promise((resolve) => state.waiters.push(resolve))
+    }
+    state.active++
+
+    const now = Date.now()
+    const startAt = Math.max(now, state.nextAllowedAt)
+    state.nextAllowedAt = startAt + delay
+    if (startAt > now) {
+      await sleep(startAt - now)
+    }
+  }
+
+  release(host) {
+    const state = this.hosts.get(host)
+    if (!state) return
+
+    state.active--
+    const next = state.waiters.shift()
+    if (next) next()
+  }
+
+  async getRobots(origin) {
+    const cached = this.robotsCache.get(origin)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.robots
+    }
+
+    let robots
+    let ttl = this.robotsTTL
+    try {
+      const response = await this.request(`${origin}/robots.txt`, {
+        timeout: 10000,
+        responseType: "text",
+        headers: { "User-Agent": this.userAgent },
+        validateStatus: () => true,
+      })
+
+      if (response.status >= 200 && response.status < 300) {
+        robots = this.parseRobots(String(response.data || ""))
+      } else if (response.status >= 400 && response.status < 500) {
+        // No robots.txt: everything is allowed
+        robots = { rules: [], crawlDelay: null }
+      } else {
+        // Server errors mean "try again later", not "allowed"
+        robots = { rules: [{ allow: false, path: "/" }], crawlDelay: null }
+        ttl = this.robotsErrorTTL
+      }
+    } catch (error) {
+      if (error.code === "PRIVATE_ADDRESS") throw error
+      console.warn(`Failed to fetch robots.txt for ${origin}:`, error.message)
+      robots = { rules: [{ allow: false, path: "/" }], crawlDelay: null }
+      ttl = this.robotsErrorTTL
+    }
+
+    this.robotsCache.set(origin, { robots, expiresAt: Date.now() + ttl })
+    return robots
+  }
+
+  // Keep only the rules that apply to our user agent
+  parseRobots(text) {
+    const groups = []
+    let current = null
+    let lastWasAgent = false
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, "").trim()
+      const separator = line.indexOf(":")
+      if (separator === -1) continue
+
+      const field = line.slice(0, separator).trim().toLowerCase()
+      const value = line.slice(separator + 1).trim()
+
+      if (field === "user-agent") {
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null }
+          groups.push(current)
+        }
+        current.agents.push(value.toLowerCase())
+        lastWasAgent = true
+        continue
+      }
+
+      lastWasAgent = false
+      if (!current) continue
+
+      if (field === "allow" || field === "disallow") {
+        // An empty Disallow allows everything
+        if (value) current.rules.push({ allow: field === "allow", path: value })
+      } else if (field === "crawl-delay") {
+        const delay = Number.parseFloat(value)
+        if (!Number.isNaN(delay)) current.crawlDelay = delay
+      }
+    }
+
+    // Groups naming our product token apply, combined (RFC 9309); otherwise the "*" groups do
+    const ours = groups.filter((g) => g.agents.includes(this.agentToken))
+    const applied = ours.length > 0 ? ours : groups.filter((g) => g.agents.includes("*"))
+
+    return {
+      rules: applied.flatMap((g) => g.rules),
+      crawlDelay: applied.map((g) => g.crawlDelay).find((delay) => delay !== null) ?? null,
+    }
+  }
+
+  // Longest matching rule wins; Allow wins a tie
+  isAllowed(robots, path) {
+    let best = null
+
+    for (const rule of robots.rules) {
+      if (!this.matchesRule(rule.path, path)) continue
+      if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+        best = rule
+      }
+    }
+
+    return best ? best.allow : true
+  }
+
+  matchesRule(pattern, path) {
+    const anchored = pattern.endsWith("$")
+    const body = anchored ? pattern.slice(0, -1) : pattern
+    const regex = body
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")
+
+    return new RegExp(`^${regex}${anchored ? "$" : ""}`).test(path)
+  }
+
+  async getValidators(url) {
+    try {
+      const stored = await getRedisClient().hget(this.validatorsKey, url)
+      return stored ? JSON.parse(stored) : null
+    } catch {
+      return this.memoryValidators.get(url) || null
+    }
+  }
+
+  async saveValidators(url, headers) {
+    const validators = {
+      etag: headers.etag || null,
+      lastModified: headers["last-modified"] || null,
+    }
+    if (!validators.etag && !validators.lastModified) return
+
+    this.memoryValidators.set(url, validators)
+    try {
+      await getRedisClient().hset(this.validatorsKey, url, JSON.stringify(validators))
+    } catch (error) {
+      console.warn("Fetch validators kept in memory only:", error.message)
+    }
+  }
+
+  getStats() {
+    return {
+      userAgent: this.userAgent,
+      domainConcurrency: this.maxConcurrency,
+      domainDelayMs: this.domainDelay,
+      robotsCached: this.robotsCache.size,
+      activeDomains: [...this.hosts.values()].filter((state) => state.active > 0).length,
+    }
+  }
+}
+
+const politeFetcher = new PoliteFetcher()
+
+export const fetchUrl = (url, options) => politeFetcher.fetch(url, options)
+export const postUrl = (url, data, options) => politeFetcher.post(url, data, options)
+export const getFetcherStats = () => politeFetcher.getStats()
+
+export default politeFetcher
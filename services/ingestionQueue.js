@@ -0,0 +1,506 @@
+import { v4 as uuidv4 } from "uuid"
+import { getRedisClient } from "../config/redis.js"
+import config from "../config/environment.js"
+import newsIngestionService from "./newsIngestion.js"
+import { getEnabledSources } from "./feedSources.js"
+import { recordIngestionRun } from "./ingestionRuns.js"
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const KEYS = {
+  ready: "ingestion:queue:ready",
+  processing: "ingestion:queue:processing",
+  delayed: "ingestion:queue:delayed",
+  dead: "ingestion:queue:dead",
+  job: (jobId) => `ingestion:job:${jobId}`,
+  jobErrors: (jobId) => `ingestion:job:${jobId}:errors`,
+}
+
+// Attempts and base backoff per stage; the delay doubles on every retry
+const STAGES = {
+  fetch: { maxAttempts: 3, backoffMs: 30000 },
+  extract: { maxAttempts: 3, backoffMs: 10000 },
+  embed: { maxAttempts: 5, backoffMs: 5000 },
+  store: { maxAttempts: 5, backoffMs: 5000 },
+}
+
+const JOB_TTL = 7 * 24 * 60 * 60 // Keep job progress for a week
+
+// Errors that retrying cannot fix
+const isPermanentError = (error) => error.code === "ROBOTS_DISALLOWED" || error.name === "ValidationError"
+
+class IngestionQueue {
+  constructor() {
+    this.concurrency = config.INGESTION_WORKER_CONCURRENCY
+    this.pollInterval = 1000
+    this.running = false
+    this.workers = []
+  }
+
+  get redis() {
+    return getRedisClient()
+  }
+
+  isAvailable() {
+    return this.redis.isConnected
+  }
+
+  start() {
+    if (this.running) return
+    this.running = true
+
+    this.recoverInFlight()
+      .catch((error) => console.error("Failed to recover in-flight ingestion tasks:", error.message))
+      .finally(() => {
+        for (let i = 0; i < this.concurrency; i++) {
+          this.workers.push(this.workLoop(i))
+        }
+        console.log(`Ingestion queue started with ${this.concurrency} workers`)
+      })
+  }
+
+  async stop() {
+    this.running = false
+    await Promise.allSettled(this.workers)
+    this.workers = []
+  }
+
+  // Tasks left in the processing list by a crash are put back on the queue.
+  // This assumes a single server process consumes the queue.
+  async recoverInFlight() {
+    if (!this.isAvailable()) return
+
+    let recovered = 0
+    while (await this.redis.lmove(KEYS.processing, KEYS.ready, "RIGHT", "LEFT")) {
+      recovered++
+    }
+    if (recovered > 0) {
+      console.log(`Recovered ${recovered} in-flight ingestion tasks`)
+    }
+  }
+
+  /**
+   * Create an ingestion job over the given (default: all enabled) sources and
+   * queue one fetch task per source. Returns the job without waiting for it.
+   */
+  async createJob({ type = "ingest-all", sources = null } = {}) {
+    if (!this.isAvailable()) {
+      throw new Error("Redis not connected")
+    }
+
+    const feedSources = sources || (await getEnabledSources())
+    const jobId = uuidv4()
+
+    // Workers consume while the sources are queued: with counters raised one
+    // task at a time, a fast first source could bring pending to 0 and finish
+    // the job early. They are set to their final values before any push.
+    const sourcePending = Object.fromEntries(feedSources.map((_, sourceIndex) => [`source:${sourceIndex}:pending`, 1]))
+    await this.redis.hset(KEYS.job(jobId), {
+      id: jobId,
+      type,
+      status: feedSources.length > 0 ? "queued" : "completed",
+      createdAt: new Date().toISOString(),
+      sources: feedSources.length,
+      sourceList: JSON.stringify(feedSources.map((source) => ({ id: source.id || null, url: source.url }))),
+      pending: feedSources.length,
+      ...sourcePending,
+      feedsFetched: 0,
+      feedsUnchanged: 0,
+      articlesQueued: 0,
+      articlesStored: 0,
+      duplicates: 0,
+      retries: 0,
+      failed: 0,
+    })
+    await this.redis.expire(KEYS.job(jobId), JOB_TTL)
+
+    for (const [sourceIndex, source] of feedSources.entries()) {
+      await this.push(this.createTask({ jobId, stage: "fetch", payload: { feedSource: source, sourceIndex } }))
+    }
+
+    return this.getJob(jobId)
+  }
+
+  createTask({ jobId, stage, payload }) {
+    return {
+      id: uuidv4(),
+      jobId,
+      stage,
+      attempt: 0,
+      payload,
+      enqueuedAt: new Date().toISOString(),
+    }
+  }
+
+  async push(task) {
+    await this.redis.lpush(KEYS.ready, JSON.stringify(task))
+    return task
+  }
+
+  // Queue a follow-up task of a running one, which keeps the job open until this one is counted
+  async enqueue({ jobId, stage, payload }) {
+    await this.redis.hincrby(KEYS.job(jobId), "pending", 1)
+    if (payload.sourceIndex !== undefined) {
+      await this.redis.hincrby(KEYS.job(jobId), `source:${payload.sourceIndex}:pending`, 1)
+    }
+    return this.push(this.createTask({ jobId, stage, payload }))
+  }
+
+  async workLoop(workerId) {
+    while (this.running) {
+      try {
+        if (!this.isAvailable()) {
+          await sleep(this.pollInterval * 5)
+          continue
+        }
+
+        await this.promoteDueRetries()
+
+        const raw = await this.redis.lmove(KEYS.ready, KEYS.processing, "RIGHT", "LEFT")
+        if (!raw) {
+          await sleep(this.pollInterval)
+          continue
+        }
+
+        await this.runTask(raw)
+      } catch (error) {
+        console.error(`Ingestion worker ${workerId} error:`, error.message)
+        await sleep(this.pollInterval)
+      }
+    }
+  }
+
+  async promoteDueRetries() {
+    const due = await this.redis.zrangebyscore(KEYS.delayed, 0, Date.now())
+    for (const raw of due) {
+      // Only the worker that removes the entry re-queues it
+      if (await this.redis.zrem(KEYS.delayed, raw)) {
+        await this.redis.lpush(KEYS.ready, raw)
+      }
+    }
+  }
+
+  async runTask(raw) {
+    const task = JSON.parse(raw)
+
+    try {
+      await this.markJobRunning(task.jobId)
+      const handler = {
+        fetch: this.fetchStage,
+        extract: this.extractStage,
+        embed: this.embedStage,
+        store: this.storeStage,
+      }[task.stage]
+      if (!handler) {
+        throw new Error(`Unknown ingestion stage: ${task.stage}`)
+      }
+
+      await handler.call(this, task)
+      await this.completeTask(task)
+    } catch (error) {
+      await this.failTask(task, error)
+    } finally {
+      await this.redis.lrem(KEYS.processing, 1, raw)
+    }
+  }
+
+  async fetchStage(task) {
+    const { feedSource, sourceIndex } = task.payload
+    await this.markSourceStarted(task.jobId, sourceIndex)
+
+    const { notModified, items, total } = await newsIngestionService.fetchFeedItems(feedSource)
+
+    await this.incrementJob(task.jobId, notModified ? "feedsUnchanged" : "feedsFetched")
+    await this.redis.hset(KEYS.job(task.jobId), {
+      [`source:${sourceIndex}:fetchStatus`]: notModified ? "unchanged" : "success",
+      [`source:${sourceIndex}:fetched`]: total,
+    })
+    await this.incrementSource(task.jobId, sourceIndex, "skipped", total - items.length)
+
+    for (const item of items) {
+      await this.enqueue({ jobId: task.jobId, stage: "extract", payload: { feedSource, item, sourceIndex } })
+      await this.incrementJob(task.jobId, "articlesQueued")
+    }
+  }
+
+  async extractStage(task) {
+    const { feedSource, item, sourceIndex } = task.payload
+    const prepared = await newsIngestionService.extractArticle(item, feedSource)
+
+    if (!prepared) {
+      await this.incrementJob(task.jobId, "duplicates")
+      await this.incrementSource(task.jobId, sourceIndex, "skipped")
+      return
+    }
+    await this.enqueue({ jobId: task.jobId, stage: "embed", payload: { ...prepared, sourceIndex } })
+  }
+
+  async embedStage(task) {
+    const prepared = task.payload
+    const chunks = await newsIngestionService.embedChunks(prepared.chunks)
+    await this.enqueue({ jobId: task.jobId, stage: "store", payload: { ...prepared, chunks } })
+  }
+
+  async storeStage(task) {
+    await newsIngestionService.storeArticle(task.payload)
+    await this.incrementJob(task.jobId, "articlesStored")
+    await this.incrementSource(task.jobId, task.payload.sourceIndex, "new")
+  }
+
+  async failTask(task, error) {
+    const policy = STAGES[task.stage] || { maxAttempts: 1, backoffMs: 0 }
+    const attempt = task.attempt + 1
+
+    if (attempt < policy.maxAttempts && !isPermanentError(error)) {
+      const delay = policy.backoffMs * 2 ** (attempt - 1)
+      console.warn(
+        `Ingestion ${task.stage} task ${task.id} failed (attempt ${attempt}/${policy.maxAttempts}), retrying in ${delay}ms:`,
+        error.message,
+      )
+      await this.redis.zadd(KEYS.delayed, Date.now() + delay, JSON.stringify({ ...task, attempt, lastError: error.message }))
+      await this.incrementJob(task.jobId, "retries")
+      return
+    }
+
+    console.error(`Ingestion ${task.stage} task ${task.id} moved to dead-letter:`, error.message)
+    await this.redis.lpush(
+      KEYS.dead,
+      JSON.stringify({ ...task, attempt, lastError: error.message, failedAt: new Date().toISOString() }),
+    )
+    await this.incrementJob(task.jobId, "failed")
+    await this.recordTaskFailure(task, error)
+    await this.completeTask(task)
+  }
+
+  // Only final failures count against a source; retried attempts do not
+  async recordTaskFailure(task, error) {
+    const { sourceIndex } = task.payload
+    if (sourceIndex === undefined) return
+
+    if (task.stage === "fetch") {
+      await this.redis.hset(KEYS.job(task.jobId), `source:${sourceIndex}:fetchStatus`, "failed")
+    } else {
+      await this.incrementSource(task.jobId, sourceIndex, "failed")
+    }
+
+    await this.redis.lpush(
+      KEYS.jobErrors(task.jobId),
+      JSON.stringify({
+        sourceIndex,
+        stage: task.stage,
+        url: task.payload.item?.link || task.payload.article?.link || undefined,
+        error: error.message,
+        at: new Date().toISOString(),
+      }),
+    )
+    await this.redis.expire(KEYS.jobErrors(task.jobId), JOB_TTL)
+  }
+
+  // A job is finished once no task of it is queued, retrying or running
+  async completeTask(task) {
+    const { sourceIndex } = task.payload
+    if (sourceIndex !== undefined) {
+      const sourcePending = await this.redis.hincrby(KEYS.job(task.jobId), `source:${sourceIndex}:pending`, -1)
+      if (sourcePending <= 0) {
+        await this.redis.hset(KEYS.job(task.jobId), `source:${sourceIndex}:finishedAt`, new Date().toISOString())
+      }
+    }
+
+    const pending = await this.redis.hincrby(KEYS.job(task.jobId), "pending", -1)
+    if (pending <= 0) {
+      const job = await this.getJob(task.jobId)
+      await this.redis.hset(KEYS.job(task.jobId), {
+        status: job?.failed > 0 ? "completed_with_errors" : "completed",
+        finishedAt: new Date().toISOString(),
+      })
+      await this.recordRun(task.jobId)
+    }
+  }
+
+  /**
+   * Persist a finished job as an ingestion run. A job reopened by a
+   * dead-letter replay is recorded again, but source health only counts the
+   * first time so a replay cannot extend or reset a failure streak.
+   */
+  async recordRun(jobId) {
+    const job = await this.redis.hgetall(KEYS.job(jobId))
+    if (!job?.id) return
+
+    const rawErrors = await this.redis.lrange(KEYS.jobErrors(jobId), 0, -1)
+    const errors = rawErrors.reverse().map((raw) => JSON.parse(raw))
+
+    const sources = this.sourceProgress(job).map(({ index, ...source }) => ({
+      ...source,
+      errors: errors.filter((error) => error.sourceIndex === index).map(({ sourceIndex, ...error }) => error),
+    }))
+
+    const firstRecord = !job.recordedAt
+    const recorded = await recordIngestionRun(
+      {
+        id: job.id,
+        trigger: job.type,
+        startedAt: job.startedAt || job.createdAt,
+        finishedAt: job.finishedAt,
+        sources,
+      },
+      { updateHealth: firstRecord },
+    )
+    if (recorded && firstRecord) {
+      await this.redis.hset(KEYS.job(jobId), "recordedAt", new Date().toISOString())
+    }
+  }
+
+  // Per-source counters kept in the job hash as "source:<index>:<field>"
+  sourceProgress(job) {
+    const sourceList = JSON.parse(job.sourceList || "[]")
+    const counter = (index, field) => Number.parseInt(job[`source:${index}:${field}`]) || 0
+
+    return sourceList.map((source, index) => ({
+      index,
+      sourceId: source.id,
+      url: source.url,
+      status: job[`source:${index}:fetchStatus`] || "pending",
+      fetched: counter(index, "fetched"),
+      new: counter(index, "new"),
+      skipped: counter(index, "skipped"),
+      failed: counter(index, "failed"),
+      startedAt: job[`source:${index}:startedAt`] || job.startedAt || job.createdAt,
+      finishedAt: job[`source:${index}:finishedAt`] || job.finishedAt,
+    }))
+  }
+
+  async markSourceStarted(jobId, sourceIndex) {
+    const field = `source:${sourceIndex}:startedAt`
+    if (!(await this.redis.hget(KEYS.job(jobId), field))) {
+      await this.redis.hset(KEYS.job(jobId), field, new Date().toISOString())
+    }
+  }
+
+  async incrementSource(jobId, sourceIndex, field, amount = 1) {
+    if (sourceIndex === undefined || amount === 0) return
+    await this.redis.hincrby(KEYS.job(jobId), `source:${sourceIndex}:${field}`, amount)
+  }
+
+  async markJobRunning(jobId) {
+    const status = await this.redis.hget(KEYS.job(jobId), "status")
+    if (status !== "running") {
+      await this.redis.hset(KEYS.job(jobId), { status: "running", startedAt: new Date().toISOString() })
+    }
+  }
+
+  async incrementJob(jobId, field) {
+    await this.redis.hincrby(KEYS.job(jobId), field, 1)
+  }
+
+  async getJob(jobId) {
+    const raw = await this.redis.hgetall(KEYS.job(jobId))
+    if (!raw || Object.keys(raw).length === 0) return null
+
+    const job = Object.fromEntries(
+      Object.entries(raw).filter(([field]) => !field.startsWith("source:") && field !== "sourceList"),
+    )
+    job.sourceProgress = this.sourceProgress(raw).map(({ index, ...source }) => source)
+
+    const counters = [
+      "sources",
+      "pending",
+      "feedsFetched",
+      "feedsUnchanged",
+      "articlesQueued",
+      "articlesStored",
+      "duplicates",
+      "retries",
+      "failed",
+    ]
+    for (const counter of counters) {
+      job[counter] = Number.parseInt(job[counter]) || 0
+    }
+    return job
+  }
+
+  async getDeadLetters(limit = 50, offset = 0) {
+    const entries = await this.redis.lrange(KEYS.dead, offset, offset + limit - 1)
+    return entries.map((raw) => {
+      const task = JSON.parse(raw)
+      return {
+        id: task.id,
+        jobId: task.jobId,
+        stage: task.stage,
+        attempts: task.attempt,
+        lastError: task.lastError,
+        failedAt: task.failedAt,
+        feedUrl: task.payload.feedSource?.url,
+        articleUrl: task.payload.item?.link || task.payload.article?.link || null,
+      }
+    })
+  }
+
+  /**
+   * Put dead-lettered tasks back on the queue with a fresh attempt count.
+   * With no taskId, every dead-lettered task is replayed.
+   */
+  async replayDeadLetters(taskId = null) {
+    const entries = await this.redis.lrange(KEYS.dead, 0, -1)
+    let replayed = 0
+
+    for (const raw of entries) {
+      const task = JSON.parse(raw)
+      if (taskId && task.id !== taskId) continue
+
+      if (await this.redis.lrem(KEYS.dead, 1, raw)) {
+        const { lastError, failedAt, ...rest } = task
+        // Reopen the original job if its progress record is still around
+        if (await this.redis.exists(KEYS.job(task.jobId))) {
+          await this.redis.hincrby(KEYS.job(task.jobId), "pending", 1)
+          await this.redis.hset(KEYS.job(task.jobId), "status", "running")
+
+          // The replayed task is counted again when it finishes
+          const { sourceIndex } = task.payload
+          if (sourceIndex !== undefined) {
+            await this.redis.hincrby(KEYS.job(task.jobId), `source:${sourceIndex}:pending`, 1)
+            if (task.stage !== "fetch") {
+              await this.incrementSource(task.jobId, sourceIndex, "failed", -1)
+            }
+          }
+        }
+        await this.redis.lpush(KEYS.ready, JSON.stringify({ ...rest, attempt: 0, replayedAt: new Date().toISOString() }))
+        replayed++
+      }
+    }
+
+    return replayed
+  }
+
+  async getStats() {
+    if (!this.isAvailable()) {
+      return { available: false }
+    }
+
+    const [ready, processing, delayed, dead] = await Promise.all([
+      this.redis.llen(KEYS.ready),
+      this.redis.llen(KEYS.processing),
+      this.redis.zcard(KEYS.delayed),
+      this.redis.llen(KEYS.dead),
+    ])
+
+    return {
+      available: true,
+      workers: this.workers.length,
+      ready,
+      processing,
+      delayed,
+      dead,
+    }
+  }
+}
+
+const ingestionQueue = new IngestionQueue()
+
+export const startIngestionQueue = () => ingestionQueue.start()
+export const createIngestionJob = (options) => ingestionQueue.createJob(options)
+export const getIngestionJob = (jobId) => ingestionQueue.getJob(jobId)
+export const getDeadLetters = (limit, offset) => ingestionQueue.getDeadLetters(limit, offset)
+export const replayDeadLetters = (taskId) => ingestionQueue.replayDeadLetters(taskId)
+export const getQueueStats = () => ingestionQueue.getStats()
+
+export default ingestionQueue
@@ -0,0 +1,266 @@
+import { v4 as uuidv4 } from "uuid"
+import { getDatabase } from "../config/database.js"
+import config from "../config/environment.js"
+import { disableSource } from "./feedSources.js"
+
+class IngestionRunService {
+  constructor() {
+    this.failureThreshold = config.SOURCE_FAILURE_THRESHOLD
+    this.maxErrorsPerSource = 20
+  }
+
+  /**
+   * Persist a finished run and its per-source results, then update source
+   * health. A source result looks like:
+   * { sourceId, url, status: "success" | "unchanged" | "failed", fetched,
+   *   new, skipped, failed, errors: [{ stage, error, at }], startedAt, finishedAt }
+   */
+  async recordRun(run, { updateHealth = true } = {}) {
+    const db = getDatabase()
+    if (!db.isConnected) return null
+
+    const sources = run.sources || []
+    const totals = sources.reduce(
+      (sum, source) => ({
+        new: sum.new + (source.new || 0),
+        skipped: sum.skipped + (source.skipped || 0),
+        failed: sum.failed + (source.failed || 0),
+      }),
+      { new: 0, skipped: 0, failed: 0 },
+    )
+    const errors = sources.flatMap((source) => (source.errors || []).map((error) => ({ url: source.url, ...error })))
+
+    const client = await db.getClient()
+    try {
+      await client.query("BEGIN")
+      await client.query(
+        `
+        INSERT INTO ingestion_runs (id, trigger, status, started_at, finished_at, duration_ms, sources_count, articles_new, articles_skipped, articles_failed, errors)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (id) DO UPDATE SET
+          status = EXCLUDED.status,
+          finished_at = EXCLUDED.finished_at,
+          duration_ms = EXCLUDED.duration_ms,
+          articles_new = EXCLUDED.articles_new,
+          articles_skipped = EXCLUDED.articles_skipped,
+          articles_failed = EXCLUDED.articles_failed,
+          errors = EXCLUDED.errors;
+      `,
+        [
+          run.id,
+          run.trigger,
+          this.runStatus(sources),
+          run.startedAt,
+          run.finishedAt,
+          this.duration(run.startedAt, run.finishedAt),
+          sources.length,
+          totals.new,
+          totals.skipped,
+          totals.failed,
+          JSON.stringify(errors.slice(0, 100)),
+        ],
+      )
+
+      // A replayed job is recorded again: its source rows are replaced
+      await client.query("DELETE FROM ingestion_run_sources WHERE run_id = $1", [run.id])
+      for (const source of sources) {
+        await client.query(
+          `
+          INSERT INTO ingestion_run_sources (id, run_id, source_id, source_url, status, fetched, new_articles, skipped, failed, errors, started_at, finished_at, duration_ms)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        `,
+          [
+            uuidv4(),
+            run.id,
+            source.sourceId || null,
+            source.url,
+            source.status,
+            source.fetched || 0,
+            source.new || 0,
+            source.skipped || 0,
+            source.failed || 0,
+            JSON.stringify((source.errors || []).slice(0, this.maxErrorsPerSource)),
+            source.startedAt || run.startedAt,
+            source.finishedAt || run.finishedAt,
+            this.duration(source.startedAt || run.startedAt, source.finishedAt || run.finishedAt),
+          ],
+        )
+      }
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      console.error("Failed to record ingestion run:", error.message)
+      return null
+    } finally {
+      client.release()
+    }
+
+    if (updateHealth) {
+      for (const source of sources) {
+        if (source.sourceId) {
+          await this.updateSourceHealth(source)
+        }
+      }
+    }
+
+    return run.id
+  }
+
+  // A failed feed fetch extends the source's failure streak; anything else ends it.
+  // Reaching the threshold disables the source until it is explicitly re-enabled.
+  async updateSourceHealth(source) {
+    const db = getDatabase()
+
+    try {
+      if (source.status !== "failed") {
+        await db.query(
+          `
+          UPDATE feed_sources
+          SET consecutive_failures = 0, last_run_at = NOW(), last_success_at = NOW(), last_error = NULL
+          WHERE id = $1
+        `,
+          [source.sourceId],
+        )
+        return
+      }
+
+      const lastError = source.errors?.[source.errors.length - 1]?.error || "Feed fetch failed"
+      const result = await db.query(
+        `
+        UPDATE feed_sources
+        SET consecutive_failures = consecutive_failures + 1, last_run_at = NOW(), last_error = $2
+        WHERE id = $1
+        RETURNING consecutive_failures, enabled;
+      `,
+        [source.sourceId, lastError],
+      )
+
+      const row = result.rows[0]
+      if (row?.enabled && row.consecutive_failures >= this.failureThreshold) {
+        await disableSource(source.sourceId, `Auto-disabled after ${row.consecutive_failures} consecutive failed runs`)
+        console.warn(`Feed source ${source.url} auto-disabled after ${row.consecutive_failures} consecutive failures`)
+      }
+    } catch (error) {
+      console.error(`Failed to update health for source ${source.url}:`, error.message)
+    }
+  }
+
+  async listRuns(limit = 20, offset = 0) {
+    const result = await getDatabase().query(
+      `
+      SELECT * FROM ingestion_runs
+      ORDER BY started_at DESC
+      LIMIT $1 OFFSET $2
+    `,
+      [limit, offset],
+    )
+    return result.rows.map((row) => this.formatRun(row))
+  }
+
+  async getRun(id) {
+    const db = getDatabase()
+    const run = await db.query("SELECT * FROM ingestion_runs WHERE id = $1", [id])
+    if (!run.rows[0]) return null
+
+    const sources = await db.query(
+      "SELECT * FROM ingestion_run_sources WHERE run_id = $1 ORDER BY started_at ASC",
+      [id],
+    )
+    return {
+      ...this.formatRun(run.rows[0]),
+      sources: sources.rows.map((row) => this.formatSourceRun(row)),
+    }
+  }
+
+  async getLastRun() {
+    const db = getDatabase()
+    if (!db.isConnected) return null
+
+    const result = await db.query("SELECT * FROM ingestion_runs ORDER BY started_at DESC LIMIT 1")
+    return result.rows[0] ? this.formatRun(result.rows[0]) : null
+  }
+
+  async getSourceHealth(sourceId, recentRuns = 20) {
+    const db = getDatabase()
+
+    const runs = await db.query(
+      `
+      SELECT * FROM ingestion_run_sources
+      WHERE source_id = $1
+      ORDER BY started_at DESC
+      LIMIT $2
+    `,
+      [sourceId, recentRuns],
+    )
+
+    const recent = runs.rows.map((row) => this.formatSourceRun(row))
+    const failedRuns = recent.filter((run) => run.status === "failed").length
+    const durations = recent.map((run) => run.durationMs).filter((duration) => duration !== null)
+
+    return {
+      runs: recent,
+      summary: {
+        runsConsidered: recent.length,
+        successRate: recent.length > 0 ? (recent.length - failedRuns) / recent.length : null,
+        avgDurationMs: durations.length > 0 ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : null,
+        articlesNew: recent.reduce((sum, run) => sum + run.new, 0),
+        articlesFailed: recent.reduce((sum, run) => sum + run.failed, 0),
+      },
+      failureThreshold: this.failureThreshold,
+    }
+  }
+
+  runStatus(sources) {
+    if (sources.length > 0 && sources.every((source) => source.status === "failed")) return "failed"
+    if (sources.some((source) => source.status === "failed" || source.failed > 0)) return "completed_with_errors"
+    return "completed"
+  }
+
+  duration(startedAt, finishedAt) {
+    if (!startedAt || !finishedAt) return null
+    return Math.max(0, new Date(finishedAt) - new Date(startedAt))
+  }
+
+  formatRun(row) {
+    return {
+      id: row.id,
+      trigger: row.trigger,
+      status: row.status,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      durationMs: row.duration_ms,
+      sources: row.sources_count,
+      articlesNew: row.articles_new,
+      articlesSkipped: row.articles_skipped,
+      articlesFailed: row.articles_failed,
+      errors: row.errors || [],
+    }
+  }
+
+  formatSourceRun(row) {
+    return {
+      runId: row.run_id,
+      sourceId: row.source_id,
+      url: row.source_url,
+      status: row.status,
+      fetched: row.fetched,
+      new: row.new_articles,
+      skipped: row.skipped,
+      failed: row.failed,
+      errors: row.errors || [],
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      durationMs: row.duration_ms,
+    }
+  }
+}
+
+const ingestionRunService = new IngestionRunService()
+
+export const recordIngestionRun = (run, options) => ingestionRunService.recordRun(run, options)
+export const listIngestionRuns = (limit, offset) => ingestionRunService.listRuns(limit, offset)
+export const getIngestionRun = (id) => ingestionRunService.getRun(id)
+export const getLastIngestionRun = () => ingestionRunService.getLastRun()
+export const getSourceHealth = (sourceId, recentRuns) => ingestionRunService.getSourceHealth(sourceId, recentRuns)
+
+export default ingestionRunService
@@ -0,0 +1,127 @@
+// Lightweight offline language identification: the writing system decides
+// most non-Latin languages outright, Latin-script text is scored against
+// short lists of very frequent function words.
+
+const SCRIPTS = [
+  { name: "hangul", pattern: /[가-힯ᄀ-ᇿ㄰-㆏]/g },
+  { name: "kana", pattern: /[぀-ヿ]/g },
+  { name: "han", pattern: /[一-鿿㐀-䶿]/g },
+  { name: "arabic", pattern: /[؀-ۿݐ-ݿ]/g },
+  { name: "hebrew", pattern: /[֐-׿]/g },
+  { name: "cyrillic", pattern: /[Ѐ-ӿ]/g },
+  { name: "greek", pattern: /[Ͱ-Ͽἀ-῿]/g },
+  { name: "devanagari", pattern: /[ऀ-ॿ]/g },
+  { name: "bengali", pattern: /[ঀ-৿]/g },
+  { name: "tamil", pattern: /[஀-௿]/g },
+  { name: "thai", pattern: /[฀-๿]/g },
+  { name: "latin", pattern: /[A-Za-zÀ-ɏ]/g },
+]
+
+const STOPWORDS = {
+  en: "the of and to in is that for it was on with as are be by this at from have has an not but they said which were will their been".split(" "),
+  es: "el la de que y en los las del se por un una para con no es su al lo como más pero sus le ha fue este entre".split(" "),
+  fr: "le la les de des et en un une du est que dans qui pour pas sur au avec ce il elle sont par plus ont été aux".split(" "),
+  de: "der die das und in den von zu mit sich des auf für ist im dem nicht ein eine als auch es an werden aus er hat".split(" "),
+  it: "il di che la e per un una in del della è non sono con si le dei gli al ha anche alla come più nel".split(" "),
+  pt: "de que o a do da em um uma para com não os as dos das se no na por mais foi ao também pelo pela são".split(" "),
+  nl: "de het een en van in is dat op te zijn voor met niet aan er die ook als bij door maar om naar uit heeft".split(" "),
+  sv: "och att det som en på är av för med den till inte har de om ett var men från vid sig kan så".split(" "),
+  pl: "i w na z że nie się do to jest o jak po ale od przez za co są dla oraz który także jego".split(" "),
+  tr: "ve bir bu da de için ile olarak çok daha gibi ama en olan değil ise sonra kadar göre ancak".split(" "),
+  id: "yang dan di dari ini itu dengan untuk tidak dalam akan pada juga ke karena ada oleh sebagai telah bahwa".split(" "),
+}
+
+// Minimum share of words that must be stopwords of the best language
+const MIN_STOPWORD_RATIO = 0.05
+const SAMPLE_LENGTH = 5000
+
+/**
+ * Detect the language of a text. Returns { language, confidence } with an
+ * ISO 639-1 code, or "und" when the text is too short or ambiguous.
+ */
+export function detectLanguage(text) {
+  if (!text) return { language: "und", confidence: 0 }
+
+  const sample = text.substring(0, SAMPLE_LENGTH)
+  const counts = Object.fromEntries(SCRIPTS.map(({ name, pattern }) => [name, sample.match(pattern)?.length || 0]))
+  const letters = Object.values(counts).reduce((sum, count) => sum + count, 0)
+  if (letters < 20) return { language: "und", confidence: 0 }
+
+  // Japanese mixes kana with kanji, so any meaningful kana share decides it
+  if (counts.kana / letters > 0.1) return { language: "ja", confidence: ratio(counts.kana + counts.han, letters) }
+
+  const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0]
+  const confidence = ratio(count, letters)
+
+  switch (script) {
+    case "hangul":
+      return { language: "ko", confidence }
+    case "han":
+      return { language: "zh", confidence }
+    case "hebrew":
+      return { language: "he", confidence }
+    case "greek":
+      return { language: "el", confidence }
+    case "devanagari":
+      return { language: "hi", confidence }
+    case "bengali":
+      return { language: "bn", confidence }
+    case "tamil":
+      return { language: "ta", confidence }
+    case "thai":
+      return { language: "th", confidence }
+    case "arabic":
+      // Letters used by Urdu or Persian but not Arabic
+      if (/[ٹڈڑںے]/.test(sample)) return { language: "ur", confidence }
+      if (/[پچژگ]/.test(sample)) return { language: "fa", confidence }
+      return { language: "ar", confidence }
+    case "cyrillic":
+      if (/[іїєґ]/i.test(sample)) return { language: "uk", confidence }
+      if (/[ў]/i.test(sample)) return { language: "be", confidence }
+      return { language: "ru", confidence }
+    default:
+      return detectLatinLanguage(sample)
+  }
+}
+
+function detectLatinLanguage(sample) {
+  const words = sample.toLowerCase().match(/[\p{L}']+/gu) || []
+  if (words.length < 5) return { language: "und", confidence: 0 }
+
+  const scores = Object.entries(STOPWORDS).map(([language, stopwords]) => {
+    const set = new Set(stopwords)
+    return [language, words.filter((word) => set.has(word)).length]
+  })
+  scores.sort((a, b) => b[1] - a[1])
+
+  const [[best, bestScore], [, secondScore]] = scores
+  if (bestScore / words.length < MIN_STOPWORD_RATIO) {
+    return { language: "und", confidence: 0 }
+  }
+
+  // Closely related languages share function words; the margin is the confidence
+  return { language: best, confidence: ratio(bestScore - secondScore, bestScore) }
+}
+
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) / 100 : 0
+}
+
+export const SUPPORTED_LANGUAGES = [
+  ...Object.keys(STOPWORDS),
+  "ja",
+  "zh",
+  "ko",
+  "ar",
+  "fa",
+  "ur",
+  "he",
+  "ru",
+  "uk",
+  "be",
+  "el",
+  "hi",
+  "bn",
+  "ta",
+  "th",
+]
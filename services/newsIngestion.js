@@ -1,252 +1,737 @@
-import axios from "axios"
-import * as cheerio from "cheerio"
-import xml2js from "xml2js"
-import { generateEmbedding } from "./embeddings.js"
-import { storeInVectorDB } from "./vectorStore.js"
 import { v4 as uuidv4 } from "uuid"
+import { embedBatch } from "./embeddings.js"
+import { storeInVectorDB, deleteArticleChunks, deleteArticlesChunks, reassignArticleChunks } from "./vectorStore.js"
+import { getEnabledSources } from "./feedSources.js"
+import { parseFeed, parseSitemap } from "./feedFormats.js"
+import { fetchSitemap, expandSitemap, decodeSitemap } from "./sitemaps.js"
+import { extractContent } from "./contentExtractor.js"
+import { fetchUrl } from "./fetcher.js"
+import { parseDocument } from "./documentParser.js"
+import { detectLanguage } from "./languageDetector.js"
+import { getChunker, estimateTokens, CHUNK_STRATEGIES } from "./chunkers.js"
+import { recordIngestionRun, getLastIngestionRun } from "./ingestionRuns.js"
+import { extractEntities, findEntitiesIn, groupEntities } from "./entityExtractor.js"
+import { classifyTopics, mergeCategories } from "./topicClassifier.js"
+import { noteFeedHub } from "./websub.js"
+import {
+  hasSeenUrl,
+  hasSeenContent,
+  hasItemChanged,
+  markSeen,
+  hashContent,
+  articleIdFor,
+  chunkIdFor,
+  getSeenCount,
+} from "./deduplication.js"
+import { getDatabase } from "../config/database.js"
+import config from "../config/environment.js"
+
+// Upper bound for one on-demand URL request; each URL is fetched and embedded synchronously
+const MAX_URL_BATCH = 20
+
+const validationError = (message) => {
+  const error = new Error(message)
+  error.name = "ValidationError"
+  return error
+}
+
+const validateHttpUrl = (value) => {
+  let parsed
+  try {
+    parsed = new URL(value)
+  } catch {
+    throw validationError(`Invalid url: ${value}`)
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw validationError(`Url must use http or https: ${value}`)
+  }
+  return parsed.toString()
+}
+
+const validateChunkStrategy = (strategy) => {
+  if (strategy && !CHUNK_STRATEGIES.includes(strategy)) {
+    throw validationError(`chunkStrategy must be one of: ${CHUNK_STRATEGIES.join(", ")}`)
+  }
+  return strategy || null
+}
 
 class NewsIngestionService {
-  constructor() {
-    this.rssSources = [
-      "https://feeds.bbci.co.uk/news/world/rss.xml",
-      "https://www.theguardian.com/world/rss",
-      "https://feeds.npr.org/1001/rss.xml"
-    ]
-    this.processedArticles = new Set()
-    this.xmlParser = new xml2js.Parser({
-      explicitArray: false,
-      ignoreAttrs: false,
-      mergeAttrs: true,
-    })
+  // Checked at startup: a bad default strategy would otherwise fail every article during ingestion
+  validateConfig() {
+    if (!CHUNK_STRATEGIES.includes(config.CHUNK_STRATEGY)) {
+      throw new Error(`CHUNK_STRATEGY must be one of: ${CHUNK_STRATEGIES.join(", ")}`)
+    }
   }
 
-  async ingestAllSources() {
+  async ingestAllSources({ trigger = "scheduled" } = {}) {
     console.log("Starting news ingestion from all sources...")
     const allArticles = []
-
-    for (const rssUrl of this.rssSources) {
-      try {
-        const articles = await this.ingestFromRSS(rssUrl)
-        allArticles.push(...articles)
-        console.log(`Ingested ${articles.length} articles from ${rssUrl}`)
-      } catch (error) {
-        console.error(`Failed to ingest from ${rssUrl}:`, error.message)
+    const sources = await getEnabledSources()
+    const run = { id: uuidv4(), trigger, startedAt: new Date().toISOString(), sources: [] }
+
+    for (const source of sources) {
+      const { articles, result } = await this.ingestSource(source)
+      allArticles.push(...articles)
+      run.sources.push(result)
+      if (result.status === "failed") {
+        console.error(`Failed to ingest from ${source.url}:`, result.errors[0]?.error)
+      } else {
+        console.log(`Ingested ${articles.length} articles from ${source.url}`)
       }
     }
 
+    run.finishedAt = new Date().toISOString()
+    await recordIngestionRun(run)
+
     console.log(`Total articles ingested: ${allArticles.length}`)
     return allArticles
   }
 
-  async ingestFromRSS(rssUrl) {
+  async ingestFromRSS(source) {
+    // Accept a bare URL as well as a feed registry entry
+    const feedSource = typeof source === "string" ? { url: source } : source
+    const { articles } = await this.ingestSource(feedSource)
+    return articles
+  }
+
+  /**
+   * Ingest a feed right away after its WebSub hub pushed a content
+   * notification. A fat ping carries the updated entries and is processed
+   * as is; an empty or unparseable body (a thin ping) makes the feed be
+   * fetched. Recorded in run history with trigger "websub".
+   */
+  async ingestNotification(feedSource, body) {
+    const run = { id: uuidv4(), trigger: "websub", startedAt: new Date().toISOString(), sources: [] }
+
+    const { articles, result } = await this.ingestSource(feedSource, { body })
+    run.sources.push(result)
+    run.finishedAt = new Date().toISOString()
+    await recordIngestionRun(run)
+
+    console.log(`WebSub notification for ${feedSource.url}: ${articles.length} articles ingested`)
+    return articles
+  }
+
+  /**
+   * Run every stage for one source inline, returning the stored articles and
+   * a per-source result in the shape recorded in ingestion run history. A
+   * pushed feed body can be passed to skip fetching the feed.
+   */
+  async ingestSource(feedSource, { body = null } = {}) {
+    const articles = []
+    const result = {
+      sourceId: feedSource.id || null,
+      url: feedSource.url,
+      status: "success",
+      fetched: 0,
+      new: 0,
+      skipped: 0,
+      failed: 0,
+      errors: [],
+      startedAt: new Date().toISOString(),
+    }
+
+    let items = []
     try {
-      const response = await axios.get(rssUrl, {
-        timeout: 15000,
-        headers: {
-          "User-Agent": "Mozilla/5.0 (compatible; NewsBot/1.0)",
-        },
-      })
+      const feed = await this.fetchFeedItems(feedSource, { body })
+      items = feed.items
+      result.fetched = feed.total
+      result.skipped = feed.total - items.length
+      if (feed.notModified) result.status = "unchanged"
+    } catch (error) {
+      console.error(`Failed to parse RSS feed ${feedSource.url}:`, error.message)
+      result.status = "failed"
+      result.errors.push({ stage: "fetch", error: error.message, at: new Date().toISOString() })
+    }
 
-      const result = await this.xmlParser.parseStringPromise(response.data)
-      const feed = result.rss?.channel || result.feed
+    const fail = (stage, item, error) => {
+      console.error(`Failed to process article ${item.link}:`, error.message)
+      result.failed++
+      result.errors.push({ stage, url: item.link, error: error.message, at: new Date().toISOString() })
+    }
 
-      if (!feed) {
-        throw new Error("Invalid RSS feed format")
+    const extracted = []
+    for (const item of items) {
+      try {
+        const prepared = await this.extractArticle(item, feedSource)
+        if (prepared) extracted.push(prepared)
+        else result.skipped++
+      } catch (error) {
+        fail("extract", item, error)
       }
+    }
 
-      const items = Array.isArray(feed.item) ? feed.item : [feed.item].filter(Boolean)
-      const articles = []
+    // The chunks of every new article share a few embedding requests
+    for (const { prepared, error } of await this.embedArticles(extracted)) {
+      if (error) {
+        fail("embed", prepared.item, error)
+        continue
+      }
 
-      // Process up to 10 articles per source to avoid rate limits
-      const itemsToProcess = items.slice(0, 10)
+      try {
+        articles.push(await this.storeArticle(prepared))
+        result.new++
+      } catch (error) {
+        fail("store", prepared.item, error)
+      }
+    }
 
-      for (const item of itemsToProcess) {
-        try {
-          // Skip if already processed
-          const link = item.link || item.guid
-          if (this.processedArticles.has(link)) {
-            continue
-          }
+    result.finishedAt = new Date().toISOString()
+    return { articles, result }
+  }
 
-          const article = await this.processArticle(item, rssUrl)
-          if (article) {
-            articles.push(article)
-            this.processedArticles.add(link)
-          }
-        } catch (error) {
-          console.error(`Failed to process article ${item.link}:`, error.message)
-        }
-      }
+  /**
+   * Ingest specific article URLs on demand, outside of any feed. Each URL goes
+   * through the same extract, embed and store stages as feed items and gets
+   * its own result: { url, status: "ingested" | "duplicate" | "failed",
+   * articleId, chunks, revision, error }.
+   */
+  async ingestUrls(urls, { source = null, categories = [], chunkStrategy = null } = {}) {
+    const list = Array.isArray(urls) ? urls : [urls]
+    if (list.length === 0) {
+      throw validationError("At least one url is required")
+    }
+    if (list.length > MAX_URL_BATCH) {
+      throw validationError(`At most ${MAX_URL_BATCH} urls can be ingested per request`)
+    }
+    if (categories != null && !Array.isArray(categories)) {
+      throw validationError("categories must be an array of strings")
+    }
+    validateChunkStrategy(chunkStrategy)
 
-      return articles
-    } catch (error) {
-      console.error(`Failed to parse RSS feed ${rssUrl}:`, error.message)
-      return []
+    const targets = list.map(validateHttpUrl)
+
+    const results = []
+    for (const url of [...new Set(targets)]) {
+      results.push(await this.ingestUrl(url, { source, categories, chunkStrategy }))
     }
+    return results
   }
 
-  async processArticle(item, source) {
+  async ingestUrl(url, { source = null, categories = [], chunkStrategy = null } = {}) {
+    const feedSource = {
+      url,
+      chunkStrategy,
+      name: source ? String(source).trim().substring(0, 100) : null,
+      categoryHints: (categories || []).map((category) => String(category).trim()).filter(Boolean),
+    }
+
     try {
-      const article = {
-        id: uuidv4(),
-        title: item.title || "",
-        link: item.link || item.guid || "",
-        description: item.description || item.summary || "",
-        pubDate: item.pubDate || item.published || new Date().toISOString(),
-        source: this.extractSourceName(source),
-        author: item.author || item.creator || item["dc:creator"] || "",
-        categories: Array.isArray(item.category) ? item.category : [item.category].filter(Boolean),
+      const page = await this.fetchFullContent(url, { strict: true })
+      if (!page?.content) {
+        return { url, status: "failed", error: "No article content could be extracted" }
       }
-
-      // Try to fetch full article content
-      const fullContent = await this.fetchFullContent(article.link)
-      article.content = fullContent || article.description
-
-      // Clean and chunk the content
-      const cleanContent = this.cleanText(article.content)
-      const chunks = this.chunkText(cleanContent, article)
-
-      // Generate embeddings for each chunk
-      const embeddedChunks = []
-      for (const chunk of chunks) {
-        try {
-          const embedding = await generateEmbedding(chunk.text)
-          embeddedChunks.push({
-            ...chunk,
-            embedding,
-          })
-        } catch (error) {
-          console.error(`Failed to generate embedding for chunk:`, error.message)
-        }
+      if (this.cleanText(page.content).length < 100) {
+        return { url, status: "failed", error: "Article text is too short to index" }
       }
 
-      // Store in vector database
-      if (embeddedChunks.length > 0) {
-        await storeInVectorDB(embeddedChunks)
+      const prepared = await this.extractArticle({ link: url }, feedSource, { page })
+      if (!prepared) {
+        return { url, status: "duplicate", articleId: articleIdFor(page.canonicalUrl || url) }
       }
+      // Not from any feed
+      prepared.feedSource = { id: null, url: null }
+
+      prepared.chunks = await this.embedChunks(prepared.chunks)
+      const article = await this.storeArticle(prepared)
 
       return {
-        ...article,
-        chunks: embeddedChunks.length,
-        processed: true,
+        url,
+        status: "ingested",
+        articleId: article.id,
+        canonicalUrl: article.canonicalUrl,
+        title: article.title,
+        chunks: article.chunks,
+        revision: article.revision,
       }
     } catch (error) {
-      console.log({
-        error
+      console.error(`Failed to ingest ${url}:`, error.message)
+      return { url, status: "failed", error: error.message }
+    }
+  }
+
+  /**
+   * Ingest an uploaded document (PDF, HTML, Markdown or plain text). The text
+   * is extracted locally and stored like an article with sourceType
+   * "document", so chat retrieves it next to news. The article id is derived
+   * from the content, so uploading the same document again is a duplicate.
+   */
+  async ingestDocument(file, { title = null, source = null, categories = [], chunkStrategy = null } = {}) {
+    const filename = file.originalname || file.filename || ""
+    validateChunkStrategy(chunkStrategy)
+    const document = await parseDocument(file.buffer, { filename, mimeType: file.mimetype })
+
+    const cleanContent = this.cleanText(document.text)
+    if (cleanContent.length < 100) {
+      throw validationError(`Not enough text could be extracted from ${filename || "the document"}`)
+    }
+
+    const contentHash = hashContent(cleanContent)
+    const id = articleIdFor(`document:${contentHash}`)
+
+    const db = getDatabase()
+    const isDuplicate = db.isConnected ? Boolean(await db.getArticle(id)) : await hasSeenContent(contentHash)
+    if (isDuplicate) {
+      return { filename, status: "duplicate", articleId: id }
+    }
+
+    const article = {
+      id,
+      title: title ? String(title).trim() : document.title,
+      link: `document://${id}`,
+      description: cleanContent.substring(0, 300),
+      content: document.text,
+      pubDate: new Date().toISOString(),
+      source: source ? String(source).trim().substring(0, 100) : "Uploaded document",
+      author: "",
+      categories: (categories || []).map((category) => String(category).trim()).filter(Boolean),
+      sourceType: "document",
+      language: detectLanguage(cleanContent).language,
+      entities: extractEntities(`${title || document.title}\n\n${cleanContent}`),
+      revision: 1,
+      contentHash,
+      metadata: { filename, format: document.format, size: file.size ?? file.buffer.length },
+    }
+
+    this.labelTopics(article, cleanContent)
+
+    const chunks = await this.embedChunks(this.chunkText(cleanContent, article, { strategy: chunkStrategy }))
+    const stored = await this.storeArticle({
+      article,
+      chunks,
+      item: {},
+      seenUrls: [],
+      feedSource: { id: null, url: null },
+      previous: null,
+    })
+
+    return {
+      filename,
+      status: "ingested",
+      articleId: stored.id,
+      title: stored.title,
+      format: document.format,
+      chunks: stored.chunks,
+    }
+  }
+
+  /**
+   * Fetch stage: download and parse a feed, returning the items that still
+   * need processing and the number of feed items considered. Throws on fetch
+   * or parse errors. A feed body pushed by a WebSub hub is used instead of
+   * fetching when it parses and has entries. Sitemap sources yield their
+   * article URLs as items, newest first.
+   */
+  async fetchFeedItems(feedSource, { body = null } = {}) {
+    let feed = body ? await parseFeed(body).catch(() => null) : null
+
+    if (feedSource.type === "sitemap") {
+      feed = await fetchSitemap(feedSource.url, { conditional: true })
+    } else if (!feed?.items.length) {
+      const response = await fetchUrl(feedSource.url, { conditional: true, responseType: "text" })
+      if (response.notModified) {
+        console.log(`Feed unchanged since last fetch: ${feedSource.url}`)
+        return { notModified: true, items: [], total: 0 }
+      }
+
+      feed = await parseFeed(response.data)
+      await noteFeedHub(feedSource, feed, response).catch((error) => {
+        console.error(`Failed to record WebSub hub for ${feedSource.url}:`, error.message)
       })
-      console.error(`Failed to process article:`, error.message)
-      return null
     }
+
+    // Cap articles per source to avoid rate limits
+    const maxItems = feedSource.maxItems || config.MAX_ARTICLES_PER_SOURCE
+    const candidates = feed.items.slice(0, maxItems)
+    const items = []
+
+    for (const item of candidates) {
+      // Skip if already processed, including in a previous run, unless the
+      // feed entry changed since then (the outlet may have updated the story)
+      if (!item.link && !item.guid) continue
+      if ((await hasSeenUrl(item.link, item.guid)) && !(await hasItemChanged(item))) {
+        continue
+      }
+      items.push(item)
+    }
+
+    return { notModified: false, items, total: candidates.length }
   }
 
-  async fetchFullContent(url) {
+  async processArticle(item, source) {
+    const feedSource = typeof source === "string" ? { url: source } : source
+
     try {
-      const response = await axios.get(url, {
-        timeout: 10000,
-        headers: {
-          "User-Agent": "Mozilla/5.0 (compatible; NewsBot/1.0)",
-        },
-      })
+      const prepared = await this.extractArticle(item, feedSource)
+      if (!prepared) return null
+
+      prepared.chunks = await this.embedChunks(prepared.chunks)
+      return await this.storeArticle(prepared)
+    } catch (error) {
+      console.error(`Failed to process article ${item.link}:`, error.message)
+      return null
+    }
+  }
+
+  /**
+   * Extract stage: fetch the page, clean and chunk it, and decide whether it
+   * is new, a revision of a known article or a duplicate. Returns null when
+   * there is nothing to embed. An already fetched page can be passed in to
+   * avoid downloading it again.
+   */
+  async extractArticle(item, feedSource, { page: fetchedPage } = {}) {
+    const link = item.link || item.guid || ""
+    const page = fetchedPage || (await this.fetchFullContent(link))
+    const article = this.buildArticle(item, feedSource, page)
+
+    // Collapse link, guid and <link rel=canonical> onto one article
+    const canonicalUrl = page?.canonicalUrl || article.link
+    const seenUrls = [item.link, item.guid, canonicalUrl]
+    article.id = articleIdFor(canonicalUrl)
+
+    // Clean and chunk the content
+    const cleanContent = this.cleanText(article.content)
+    const contentHash = hashContent(cleanContent)
+
+    // With Postgres, a known article whose content hash changed becomes a new
+    // revision; without it, any seen URL or content is treated as a duplicate
+    const db = getDatabase()
+    const existing = db.isConnected ? await db.getArticle(article.id) : null
+
+    const isDuplicate = existing
+      ? existing.content_hash === contentHash
+      : (!db.isConnected && (await hasSeenUrl(canonicalUrl))) || (await hasSeenContent(contentHash))
+
+    if (isDuplicate) {
+      console.log(`Skipping duplicate article: ${article.link}`)
+      await markSeen({ urls: seenUrls, item })
+      return null
+    }
+
+    article.revision = existing ? (existing.revision || 1) + 1 : 1
+    article.language = detectLanguage(cleanContent).language
+    article.entities = extractEntities(`${article.title}\n\n${cleanContent}`)
+    this.labelTopics(article, cleanContent)
+
+    const chunks = this.chunkText(cleanContent, article, { strategy: feedSource.chunkStrategy })
+
+    // Too short to chunk: remember it so it isn't fetched again
+    if (chunks.length === 0) {
+      await markSeen({ urls: seenUrls, contentHash, item })
+      return null
+    }
 
-      const $ = cheerio.load(response.data)
-
-      // Remove unwanted elements
-      $("script, style, nav, header, footer, aside, .advertisement, .ads").remove()
-
-      // Try common article selectors
-      const selectors = [
-        "article",
-        ".article-content",
-        ".story-body",
-        ".entry-content",
-        ".post-content",
-        ".content",
-        "main",
-      ]
-
-      let content = ""
-      for (const selector of selectors) {
-        const element = $(selector)
-        if (element.length > 0) {
-          content = element.text().trim()
-          if (content.length > 200) {
-            break
+    return {
+      article: { ...article, canonicalUrl, contentHash },
+      chunks,
+      item,
+      seenUrls,
+      feedSource: { id: feedSource.id || null, url: feedSource.url },
+      previous: existing
+        ? {
+            contentHash: existing.content_hash,
+            title: existing.title,
+            description: existing.description,
+            contentLength: existing.content?.length || 0,
+            chunkCount: existing.chunk_count || 0,
           }
-        }
+        : null,
+    }
+  }
+
+  // Article fields from a feed item, preferring the fetched page's full text
+  // and falling back to what the feed carried. Open Graph tags fill in the
+  // image, description and publish time the feed left out.
+  buildArticle(item, feedSource, page) {
+    const openGraph = page?.openGraph || {}
+    const article = {
+      title: item.title || page?.title || "",
+      link: item.link || item.guid || "",
+      description: item.description || openGraph.description || "",
+      pubDate: item.pubDate || openGraph.publishedTime || new Date().toISOString(),
+      source: feedSource.name || this.extractSourceName(feedSource.url),
+      author: item.author || "",
+      categories: [...new Set([...(item.categories || []), ...(feedSource.categoryHints || [])])],
+      metadata: {
+        imageUrl: item.image || openGraph.image || null,
+        media: item.media || [],
+        openGraph,
+      },
+    }
+    article.content = page?.content || item.content || article.description
+    return article
+  }
+
+  /**
+   * Dry run for onboarding a feed or checking a page: shows what extraction,
+   * cleaning and chunking produce for a feed's items or a single article URL.
+   * Nothing is embedded or stored, and dedup state is only read.
+   */
+  async preview(url, { chunkStrategy = null, maxItems = null } = {}) {
+    const target = validateHttpUrl(url)
+    validateChunkStrategy(chunkStrategy)
+
+    let limit = config.MAX_ARTICLES_PER_SOURCE
+    if (maxItems != null) {
+      limit = Number(maxItems)
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_URL_BATCH) {
+        throw validationError(`maxItems must be an integer between 1 and ${MAX_URL_BATCH}`)
+      }
+    }
+    limit = Math.min(limit, MAX_URL_BATCH)
+
+    const feedSource = { url: target, chunkStrategy }
+    // Read as bytes so a gzipped sitemap can be unpacked and a page decoded by its own charset
+    const response = await fetchUrl(target, { responseType: "arraybuffer" })
+    const contentType = String(response.headers?.["content-type"] || "")
+    const body = decodeSitemap(response.data, contentType)
+
+    // Anything that parses as a feed or sitemap is previewed as one; other pages as an article
+    let feed = null
+    if (!contentType.includes("text/html")) {
+      feed = await parseFeed(body).catch(() => null)
+      const sitemap = feed ? null : await parseSitemap(body).catch(() => null)
+      if (sitemap) {
+        feed = { format: sitemap.format, title: null, items: await expandSitemap(sitemap) }
+      }
+    }
+
+    if (!feed) {
+      const page = extractContent(body, target)
+      return {
+        url: target,
+        type: "article",
+        chunkStrategy: chunkStrategy || config.CHUNK_STRATEGY,
+        items: [await this.previewItem({ link: target }, feedSource, page)],
       }
+    }
+
+    const candidates = feed.items.slice(0, limit)
+    const items = []
+    for (const item of candidates) {
+      if (!item.link && !item.guid) continue
+      const page = item.link ? await this.fetchFullContent(item.link) : null
+      items.push(await this.previewItem(item, feedSource, page))
+    }
+
+    return {
+      url: target,
+      type: feed.format.includes("sitemap") ? "sitemap" : "feed",
+      format: feed.format,
+      title: feed.title || null,
+      totalItems: feed.items.length,
+      chunkStrategy: chunkStrategy || config.CHUNK_STRATEGY,
+      items,
+    }
+  }
+
+  async previewItem(item, feedSource, page) {
+    const article = this.buildArticle(item, feedSource, page)
+    const canonicalUrl = page?.canonicalUrl || article.link
+    const cleanContent = this.cleanText(article.content)
+
+    article.id = articleIdFor(canonicalUrl)
+    article.revision = 1
+    article.language = detectLanguage(cleanContent).language
+    article.entities = extractEntities(`${article.title}\n\n${cleanContent}`)
+    this.labelTopics(article, cleanContent)
+    const chunks = this.chunkText(cleanContent, article, { strategy: feedSource.chunkStrategy })
+    const { people, organizations, places } = groupEntities(article.entities)
+
+    return {
+      articleId: article.id,
+      title: article.title,
+      link: article.link,
+      guid: item.guid || null,
+      canonicalUrl,
+      pubDate: article.pubDate,
+      author: article.author,
+      categories: article.categories,
+      topics: article.topics,
+      language: article.language,
+      entities: { people, organizations, places },
+      imageUrl: article.metadata.imageUrl,
+      media: article.metadata.media,
+      openGraph: article.metadata.openGraph,
+      alreadySeen: await hasSeenUrl(item.link, item.guid, canonicalUrl),
+      contentSource: page?.content ? "page" : item.content ? "feed" : "description",
+      extractedText: article.content,
+      extractedLength: article.content.length,
+      cleanText: cleanContent,
+      cleanLength: cleanContent.length,
+      chunks: chunks.map((chunk) => ({
+        index: chunk.chunkIndex,
+        text: chunk.text,
+        length: chunk.text.length,
+        tokens: estimateTokens(chunk.text),
+        entities: chunk.entities,
+      })),
+    }
+  }
 
-      // Fallback to body if no specific content found
-      if (!content || content.length < 200) {
-        content = $("body").text().trim()
+  /**
+   * Embed stage: embed every chunk, failing as a whole so the stage can be retried
+   */
+  async embedChunks(chunks) {
+    const [{ prepared, error }] = await this.embedArticles([{ chunks }])
+    if (error) throw error
+    return prepared.chunks
+  }
+
+  /**
+   * Embed the chunks of several prepared articles in shared batch requests.
+   * Resolves to { prepared, error } per article, with embedded chunks on
+   * success; an article fails when any of its chunks does.
+   */
+  async embedArticles(preparedList) {
+    const texts = preparedList.flatMap((prepared) => prepared.chunks.map((chunk) => chunk.text))
+    const results = texts.length > 0 ? await embedBatch(texts) : []
+
+    let offset = 0
+    return preparedList.map((prepared) => {
+      const own = results.slice(offset, offset + prepared.chunks.length)
+      offset += prepared.chunks.length
+
+      const failed = own.find((result) => result.error)
+      if (failed) return { prepared, error: failed.error }
+
+      const chunks = prepared.chunks.map((chunk, index) => ({ ...chunk, embedding: own[index].embedding }))
+      return { prepared: { ...prepared, chunks }, error: null }
+    })
+  }
+
+  /**
+   * Store stage: write chunks to Qdrant and the article to Postgres
+   */
+  async storeArticle({ article, chunks, item, seenUrls, feedSource, previous }) {
+    // Point ids are derived from the article id, so a retry or a new revision
+    // overwrites the same points; leftovers from a longer earlier version are
+    // removed so Qdrant matches Postgres.
+    const pointIds = chunks.map((chunk) => chunk.id)
+    await storeInVectorDB(chunks)
+    await deleteArticleChunks(article.id, pointIds)
+
+    const { keys: entityKeys, people, organizations, places } = groupEntities(article.entities || [])
+
+    const processedArticle = {
+      ...article,
+      pointIds,
+      chunks: chunks.length,
+      metadata: {
+        ...article.metadata,
+        link: article.link,
+        guid: item.guid || null,
+        feedUrl: feedSource.url,
+        feedSourceId: feedSource.id || null,
+        sourceType: article.sourceType || "news",
+        language: article.language || "und",
+        entities: { people, organizations, places },
+        entityKeys,
+        topics: article.topics || [],
+      },
+      processed: true,
+    }
+
+    // Postgres is the source of truth for article metadata: only mark the
+    // article as seen once both stores agree, so a failure is retried
+    const db = getDatabase()
+    if (db.isConnected) {
+      const revision = {
+        previousHash: previous?.contentHash || null,
+        changes: this.describeChanges(previous, processedArticle),
+      }
+      if (!(await db.saveArticle(processedArticle, revision))) {
+        throw new Error(`Failed to persist article ${article.link}`)
       }
+      if (previous) {
+        console.log(`Article ${article.id} updated to revision ${article.revision}`)
+      }
+    }
 
-      return content.length > 100 ? content : null
+    await markSeen({ urls: seenUrls, contentHash: article.contentHash, item })
+
+    return processedArticle
+  }
+
+  describeChanges(previous, article) {
+    if (!previous) {
+      return { created: true }
+    }
+
+    const changes = {
+      contentLength: { from: previous.contentLength, to: article.content?.length || 0 },
+      chunkCount: { from: previous.chunkCount, to: article.chunks },
+    }
+    if (previous.title !== article.title) {
+      changes.title = { from: previous.title, to: article.title }
+    }
+    if (previous.description !== article.description) {
+      changes.description = true
+    }
+
+    return changes
+  }
+
+  // With `strict`, a failed fetch (HTTP error, robots.txt, refused address) is thrown instead of returning null
+  async fetchFullContent(url, { strict = false } = {}) {
+    try {
+      const response = await fetchUrl(url, { timeout: 10000 })
+
+      return extractContent(response.data, url)
     } catch (error) {
+      if (strict) throw error
       console.error(`Failed to fetch full content from ${url}:`, error.message)
       return null
     }
   }
 
+  // Keeps every script, accent, quote and symbol: only compatibility forms are
+  // folded (NFKC) and invisible or control characters removed
   cleanText(text) {
     if (!text) return ""
 
     return text
-      .replace(/\s+/g, " ") // Normalize whitespace
-      .replace(/[^\w\s.,!?;:()\-"']/g, "") // Remove special characters
-      .trim()
+      .normalize("NFKC")
+      .replace(/[\u00AD\u200B\u2060\uFEFF]/g, "") // Soft hyphens and zero-width spaces
+      .replace(/[\u202A-\u202E\u2066-\u2069]/g, "") // Bidirectional embedding controls
+      .replace(/[\p{Co}\p{Cs}]/gu, "") // Private-use and lone surrogate code points
+      .split(/\n\s*\n/) // Keep paragraph breaks for the paragraph-aware chunkers
+      .map((paragraph) => paragraph.replace(/[\p{Cc}\s]+/gu, " ").trim()) // Normalize whitespace and control characters
+      .filter(Boolean)
+      .join("\n\n")
   }
 
-  chunkText(text, article, maxChunkSize = 500, overlap = 50) {
+  /**
+   * Split cleaned text into chunks with the given strategy (default
+   * CHUNK_STRATEGY), sized by MAX_CHUNK_SIZE/CHUNK_OVERLAP or, for the
+   * token-budget strategy, CHUNK_TOKEN_BUDGET/CHUNK_TOKEN_OVERLAP
+   */
+  chunkText(text, article, options = {}) {
     if (!text || text.length < 100) return []
 
-    const chunks = []
-    const sentences = text.split(/[.!?]+/).filter((s) => s.trim().length > 0)
-
-    let currentChunk = ""
-    let chunkIndex = 0
-
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i].trim() + "."
-
-      if (currentChunk.length + sentence.length > maxChunkSize && currentChunk.length > 0) {
-        // Create chunk
-        chunks.push({
-          id: `${article.id}_chunk_${chunkIndex}`,
-          text: currentChunk.trim(),
-          articleId: article.id,
-          articleTitle: article.title,
-          articleUrl: article.link,
-          source: article.source,
-          pubDate: article.pubDate,
-          chunkIndex,
-          metadata: {
-            title: article.title,
-            source: article.source,
-            url: article.link,
-            pubDate: article.pubDate,
-            author: article.author,
-            categories: article.categories,
-          },
-        })
-
-        // Start new chunk with overlap
-        const overlapSentences = sentences.slice(Math.max(0, i - 2), i)
-        currentChunk = overlapSentences.join(". ") + (overlapSentences.length > 0 ? ". " : "")
-        chunkIndex++
-      }
-
-      currentChunk += sentence + " "
-    }
+    const strategy = options.strategy || config.CHUNK_STRATEGY
+    const pieces = getChunker(strategy).chunk(text, {
+      maxChunkSize: options.maxChunkSize || config.MAX_CHUNK_SIZE,
+      overlap: options.overlap ?? config.CHUNK_OVERLAP,
+      maxTokens: options.maxTokens || config.CHUNK_TOKEN_BUDGET,
+      tokenOverlap: options.tokenOverlap ?? config.CHUNK_TOKEN_OVERLAP,
+    })
 
-    // Add final chunk if it has content
-    if (currentChunk.trim().length > 50) {
-      chunks.push({
-        id: `${article.id}_chunk_${chunkIndex}`,
-        text: currentChunk.trim(),
+    return pieces
+      .map((piece) => piece.trim())
+      .filter((piece) => piece.length > 50) // Fragments too short to be worth retrieving
+      .map((piece, chunkIndex) => ({
+        ...this.chunkEntities(piece, article),
+        id: chunkIdFor(article.id, chunkIndex),
+        text: piece,
         articleId: article.id,
+        revision: article.revision,
         articleTitle: article.title,
         articleUrl: article.link,
         source: article.source,
+        sourceType: article.sourceType || "news",
+        language: article.language || "und",
+        chunkStrategy: strategy,
         pubDate: article.pubDate,
         chunkIndex,
         metadata: {
@@ -256,11 +741,46 @@ class NewsIngestionService {
           pubDate: article.pubDate,
           author: article.author,
           categories: article.categories,
+          imageUrl: article.metadata?.imageUrl || null,
+          media: article.metadata?.media || [],
         },
-      })
+      }))
+  }
+
+  /**
+   * Chunks of a stored article (a news_articles row), rebuilt from its saved
+   * text with the current chunking settings. Used when reindexing.
+   */
+  rechunkArticle(row, { strategy = null } = {}) {
+    const metadata = row.metadata || {}
+    const cleanContent = this.cleanText(row.content)
+    const article = {
+      id: row.id,
+      revision: row.revision || 1,
+      title: row.title,
+      link: metadata.link || row.url,
+      source: row.source,
+      sourceType: metadata.sourceType || "news",
+      language: metadata.language || "und",
+      pubDate: new Date(row.pub_date || row.processed_at).toISOString(),
+      author: row.author,
+      categories: row.categories || [],
+      metadata: { imageUrl: metadata.imageUrl || null, media: metadata.media || [] },
+      entities: extractEntities(`${row.title}\n\n${cleanContent}`),
     }
+    return this.chunkText(cleanContent, article, { strategy })
+  }
 
-    return chunks
+  // Topic labels from the fixed taxonomy, added next to the categories the feed gave
+  labelTopics(article, text) {
+    article.topics = classifyTopics({ title: article.title, text, categories: article.categories })
+    article.categories = mergeCategories(article.categories, article.topics)
+  }
+
+  // Entities a chunk is about: those it mentions plus those in the article title
+  chunkEntities(text, article) {
+    const { keys, ...entities } = groupEntities(findEntitiesIn(`${article.title}\n\n${text}`, article.entities || []))
+    return { entities, entityKeys: keys }
   }
 
   extractSourceName(rssUrl) {
@@ -286,13 +806,50 @@ class NewsIngestionService {
     }
   }
 
+  /**
+   * Move articles stored before ids were derived from the canonical URL to
+   * articleIdFor(url): getArticle() never finds them under their old id, and
+   * ingesting them again would collide on the URL. Their points are moved
+   * first, so repeating the migration after a failure is harmless.
+   */
+  async migrateArticleIds() {
+    const db = getDatabase()
+    if (!db.isConnected) return null
+
+    try {
+      const plan = await db.planArticleIdMigration(articleIdFor)
+      if (plan.moved.length === 0 && plan.dropped.length === 0) return plan
+
+      await deleteArticlesChunks(plan.dropped)
+      for (const [from, to] of plan.moved) {
+        await reassignArticleChunks(from, to)
+      }
+      await db.applyArticleIdMigration(plan)
+
+      console.log(`Migrated ${plan.moved.length} article ids; dropped ${plan.dropped.length} duplicate articles`)
+      return plan
+    } catch (error) {
+      console.error("Failed to migrate article ids:", error.message)
+      return null
+    }
+  }
+
   async getIngestionStats() {
+    const sources = await getEnabledSources()
+    const lastRun = await getLastIngestionRun()
+
     return {
-      processedArticles: this.processedArticles.size,
-      sources: this.rssSources.length,
-      lastIngestion: new Date().toISOString(),
+      processedArticles: await getSeenCount(),
+      sources: sources.length,
+      lastIngestion: lastRun?.finishedAt || lastRun?.startedAt || null,
+      lastRun,
     }
   }
 }
 
-export default new NewsIngestionService()
+const newsIngestionService = new NewsIngestionService()
+
+export const migrateArticleIds = () => newsIngestionService.migrateArticleIds()
+export const validateIngestionConfig = () => newsIngestionService.validateConfig()
+
+export default newsIngestionService
@@ -121,10 +121,15 @@ class RAGService {
     for (const chunk of chunks) {
       if (!uniqueSources.has(chunk.articleUrl)) {
         uniqueSources.set(chunk.articleUrl, {
+          articleId: chunk.articleId,
+          revision: chunk.revision,
           title: chunk.articleTitle,
           url: chunk.articleUrl,
           source: chunk.source,
+          sourceType: chunk.sourceType,
+          language: chunk.language,
           pubDate: chunk.pubDate,
+          imageUrl: chunk.metadata?.imageUrl || null,
           relevanceScore: chunk.score,
         })
       }
@@ -270,6 +275,7 @@ class RAGService {
             title: chunk.articleTitle,
             url: chunk.articleUrl,
             source: chunk.source,
+            sourceType: chunk.sourceType,
             pubDate: chunk.pubDate,
             metadata: chunk.metadata,
             relevanceScore: chunk.score,
@@ -0,0 +1,401 @@
+import { v4 as uuidv4, validate as isUuid } from "uuid"
+import { getDatabase } from "../config/database.js"
+import config from "../config/environment.js"
+import newsIngestionService from "./newsIngestion.js"
+import vectorStore from "./vectorStore.js"
+import { getEmbeddingModelInfo } from "./embeddings.js"
+import { CHUNK_STRATEGIES } from "./chunkers.js"
+
+const validationError = (message) => {
+  const error = new Error(message)
+  error.name = "ValidationError"
+  return error
+}
+
+const conflictError = (message) => {
+  const error = new Error(message)
+  error.name = "ConflictError"
+  return error
+}
+
+// Stored articles with what they are rebuilt from, including their source's chunking strategy
+const ARTICLE_ROWS = `
+  SELECT a.id, a.title, a.url, a.content, a.source, a.author, a.pub_date, a.processed_at,
+         a.categories, a.revision, a.metadata, a.archived_at, s.chunk_strategy
+  FROM news_articles a
+  LEFT JOIN feed_sources s ON s.id::text = a.metadata->>'feedSourceId'
+`
+
+// Articles archived during a run are never processed, so a finished run can stop short of its total
+const progressOf = (status, processed, total) => {
+  if (status === "completed") return 1
+  return total > 0 ? Number(Math.min(1, processed / total).toFixed(3)) : null
+}
+
+class ReindexService {
+  constructor() {
+    this.batchSize = config.REINDEX_BATCH_SIZE
+    this.maxErrors = 100
+    // A running reindex without progress for this long is assumed to have died with its process
+    this.staleAfterMs = 10 * 60 * 1000
+  }
+
+  validateOptions({ chunkStrategy = null } = {}) {
+    if (chunkStrategy && !CHUNK_STRATEGIES.includes(chunkStrategy)) {
+      throw validationError(`chunkStrategy must be one of: ${CHUNK_STRATEGIES.join(", ")}`)
+    }
+  }
+
+  /**
+   * Rebuild the vector index from the articles in Postgres without taking
+   * search offline:
+   *   1. create the next versioned collection for the active embedding model,
+   *      or pick up an unfinished run for the same model and chunking
+   *   2. re-chunk and re-embed every live article into it in id order,
+   *      saving the position after each batch so a failed run resumes there
+   *   3. catch up on articles ingested, revised or archived since the start,
+   *      and remove those deleted
+   *   4. switch the alias, then catch up on what was still written to the old
+   *      collection before the switch
+   * Options: chunkStrategy (overrides every source's), resume (default true),
+   * dropPrevious (delete the old collection once switched) and onProgress(run).
+   */
+  async run({ chunkStrategy = null, resume = true, dropPrevious = false, onProgress = null } = {}) {
+    this.validateOptions({ chunkStrategy })
+    // Articles of sources without a strategy are chunked with CHUNK_STRATEGY
+    newsIngestionService.validateConfig()
+
+    const db = getDatabase()
+    if (!db.isConnected) {
+      throw new Error("Reindexing needs PostgreSQL: articles are rebuilt from their stored text")
+    }
+
+    await vectorStore.requireAlias()
+    const embedding = await getEmbeddingModelInfo()
+    const unfinished = await this.getUnfinishedRun()
+    if (unfinished?.status === "running" && Date.now() - new Date(unfinished.updatedAt) < this.staleAfterMs) {
+      throw conflictError(`A reindex into ${unfinished.collection} is already running`)
+    }
+
+    let run = null
+    if (unfinished && resume && this.matches(unfinished, embedding, chunkStrategy)) {
+      run = await this.resumeRun(unfinished, embedding)
+    } else {
+      if (unfinished) await this.abandonRun(unfinished)
+      run = await this.createRun(embedding, chunkStrategy)
+    }
+
+    try {
+      while (true) {
+        const batch = await db.query(
+          `${ARTICLE_ROWS} WHERE a.archived_at IS NULL AND ($1::uuid IS NULL OR a.id > $1) ORDER BY a.id LIMIT $2`,
+          [run.lastArticleId, this.batchSize],
+        )
+        if (batch.rows.length === 0) break
+
+        await this.indexArticles(batch.rows, run)
+        run.processedArticles += batch.rows.length
+        run.lastArticleId = batch.rows[batch.rows.length - 1].id
+        await this.saveProgress(run, onProgress)
+
+        if (batch.rows.length < this.batchSize) break
+      }
+
+      const catchUpFrom = new Date().toISOString()
+      await this.catchUp(run, run.startedAt)
+
+      if (!run.switchedAt) {
+        await this.removeDeleted(run)
+        run.previousCollection = await vectorStore.switchAlias(run.collection)
+        run.switchedAt = new Date().toISOString()
+        await this.saveProgress(run, onProgress)
+      }
+
+      await this.catchUp(run, catchUpFrom)
+
+      if (dropPrevious && run.previousCollection) {
+        await vectorStore.deleteCollection(run.previousCollection)
+      }
+
+      run.status = "completed"
+      run.finishedAt = new Date().toISOString()
+      await this.saveProgress(run, onProgress)
+
+      console.log(
+        `Reindex completed: ${run.processedArticles} articles into ${run.collection}, ${run.failedArticles} failed`,
+      )
+      return run
+    } catch (error) {
+      run.status = "failed"
+      run.lastError = error.message
+      await this.saveProgress(run, onProgress).catch(() => {})
+      throw error
+    }
+  }
+
+  matches(run, embedding, chunkStrategy) {
+    return (
+      run.embedding.provider === embedding.provider &&
+      run.embedding.model === embedding.model &&
+      run.embedding.dimensions === embedding.dimensions &&
+      run.chunkStrategy === (chunkStrategy || null)
+    )
+  }
+
+  async createRun(embedding, chunkStrategy) {
+    const db = getDatabase()
+    const collection = await vectorStore.nextCollectionName()
+    await vectorStore.createCollection(collection, embedding)
+
+    const total = await db.query("SELECT COUNT(*) AS count FROM news_articles WHERE archived_at IS NULL")
+    const result = await db.query(
+      `
+      INSERT INTO vector_reindexes (id, collection, chunk_strategy, embedding_provider, embedding_model, embedding_dimensions, total_articles)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `,
+      [
+        uuidv4(),
+        collection,
+        chunkStrategy || null,
+        embedding.provider,
+        embedding.model,
+        embedding.dimensions,
+        Number.parseInt(total.rows[0].count),
+      ],
+    )
+
+    console.log(`Reindexing ${total.rows[0].count} articles into ${collection}`)
+    return this.formatRun(result.rows[0])
+  }
+
+  // Continue where the run stopped; start over if its collection is gone
+  async resumeRun(run, embedding) {
+    if (!(await vectorStore.getCollection(run.collection))) {
+      await vectorStore.createCollection(run.collection, embedding)
+      run.lastArticleId = null
+      run.processedArticles = 0
+      run.failedArticles = 0
+      run.errors = []
+    }
+
+    run.status = "running"
+    run.lastError = null
+    await this.saveProgress(run)
+
+    console.log(`Resuming reindex into ${run.collection} after ${run.processedArticles} articles`)
+    return run
+  }
+
+  // An unfinished run for another model or chunking is dropped with its collection, unless already live
+  async abandonRun(run) {
+    if (!run.switchedAt && (await vectorStore.getCollection(run.collection))) {
+      await vectorStore.deleteCollection(run.collection)
+    }
+    run.status = "abandoned"
+    run.finishedAt = new Date().toISOString()
+    await this.saveProgress(run)
+  }
+
+  /**
+   * Rebuild articles that changed since `since`: re-embed those ingested or
+   * revised, and remove those archived, in the collection being built
+   */
+  async catchUp(run, since) {
+    const db = getDatabase()
+    const result = await db.query(
+      `${ARTICLE_ROWS} WHERE a.processed_at >= $1 OR a.archived_at >= $1 ORDER BY a.id`,
+      [since],
+    )
+
+    const archived = result.rows.filter((row) => row.archived_at).map((row) => row.id)
+    await vectorStore.deleteArticlesChunks(archived, run.collection)
+
+    const live = result.rows.filter((row) => !row.archived_at)
+    for (let i = 0; i < live.length; i += this.batchSize) {
+      await this.indexArticles(live.slice(i, i + this.batchSize), run, { replace: true })
+    }
+
+    if (result.rows.length > 0) {
+      console.log(`Reindex caught up on ${live.length} changed and ${archived.length} archived articles`)
+    }
+  }
+
+  /**
+   * Remove points of articles whose rows were deleted since they were
+   * indexed, e.g. by a retention purge with mode=delete: unlike archiving,
+   * deleting leaves nothing for catchUp() to find
+   */
+  async removeDeleted(run) {
+    const db = getDatabase()
+    const indexed = await vectorStore.listArticleIds(run.collection)
+
+    // Ids that are not UUIDs cannot belong to a stored article
+    const deleted = indexed.filter((id) => !isUuid(id))
+    const candidates = indexed.filter(isUuid)
+    for (let i = 0; i < candidates.length; i += 1000) {
+      const ids = candidates.slice(i, i + 1000)
+      const result = await db.query(
+        "SELECT id::text FROM news_articles WHERE id = ANY($1::uuid[]) AND archived_at IS NULL",
+        [ids],
+      )
+      const live = new Set(result.rows.map((row) => row.id))
+      deleted.push(...ids.filter((id) => !live.has(id)))
+    }
+
+    if (deleted.length > 0) {
+      await vectorStore.deleteArticlesChunks(deleted, run.collection)
+      console.log(`Reindex removed ${deleted.length} articles deleted during the run`)
+    }
+  }
+
+  /**
+   * Re-chunk, embed and store a batch of article rows into the run's
+   * collection. Articles that fail are counted and skipped; a failing write
+   * to Qdrant or Postgres fails the run so it can be resumed. With `replace`,
+   * points left over from a longer earlier version are removed.
+   */
+  async indexArticles(rows, run, { replace = false } = {}) {
+    const db = getDatabase()
+
+    const prepared = []
+    for (const row of rows) {
+      try {
+        const strategy = run.chunkStrategy || row.chunk_strategy
+        prepared.push({ row, chunks: newsIngestionService.rechunkArticle(row, { strategy }) })
+      } catch (error) {
+        this.recordFailure(run, row, error)
+      }
+    }
+
+    const indexed = []
+    for (const { prepared: article, error } of await newsIngestionService.embedArticles(prepared)) {
+      if (error) this.recordFailure(run, article.row, error)
+      else indexed.push(article)
+    }
+
+    const chunks = indexed.flatMap((article) => article.chunks)
+    if (chunks.length > 0) {
+      await vectorStore.storeChunks(chunks, run.collection)
+    }
+
+    for (const { row, chunks: articleChunks } of indexed) {
+      const pointIds = articleChunks.map((chunk) => chunk.id)
+      if (replace) {
+        await vectorStore.deleteArticleChunks(row.id, pointIds, run.collection)
+      }
+      await db.query("UPDATE news_articles SET chunk_count = $2, point_ids = $3 WHERE id = $1", [
+        row.id,
+        pointIds.length,
+        pointIds,
+      ])
+    }
+  }
+
+  recordFailure(run, row, error) {
+    console.error(`Failed to reindex article ${row.id}:`, error.message)
+    run.failedArticles++
+    if (run.errors.length < this.maxErrors) {
+      run.errors.push({ articleId: row.id, url: row.url, error: error.message, at: new Date().toISOString() })
+    }
+  }
+
+  async saveProgress(run, onProgress = null) {
+    await getDatabase().query(
+      `
+      UPDATE vector_reindexes SET
+        status = $2,
+        previous_collection = $3,
+        processed_articles = $4,
+        failed_articles = $5,
+        last_article_id = $6,
+        errors = $7,
+        last_error = $8,
+        switched_at = $9,
+        finished_at = $10,
+        updated_at = NOW()
+      WHERE id = $1
+    `,
+      [
+        run.id,
+        run.status,
+        run.previousCollection,
+        run.processedArticles,
+        run.failedArticles,
+        run.lastArticleId,
+        JSON.stringify(run.errors),
+        run.lastError,
+        run.switchedAt,
+        run.finishedAt,
+      ],
+    )
+    run.updatedAt = new Date().toISOString()
+    run.progress = progressOf(run.status, run.processedArticles, run.totalArticles)
+    onProgress?.(run)
+  }
+
+  async getUnfinishedRun() {
+    const result = await getDatabase().query(
+      "SELECT * FROM vector_reindexes WHERE status IN ('running', 'failed') ORDER BY started_at DESC LIMIT 1",
+    )
+    return result.rows[0] ? this.formatRun(result.rows[0]) : null
+  }
+
+  /**
+   * Recent runs, newest first, and the versioned collections in Qdrant
+   */
+  async getStatus({ limit = 10 } = {}) {
+    const result = await getDatabase().query("SELECT * FROM vector_reindexes ORDER BY started_at DESC LIMIT $1", [
+      limit,
+    ])
+
+    let collections = null
+    try {
+      collections = await vectorStore.listVersions()
+    } catch (error) {
+      console.error("Failed to list vector collections:", error.message)
+    }
+
+    return {
+      alias: vectorStore.collectionName,
+      collections,
+      runs: result.rows.map((row) => this.formatRun(row)),
+    }
+  }
+
+  formatRun(row) {
+    const total = row.total_articles || 0
+    return {
+      id: row.id,
+      collection: row.collection,
+      previousCollection: row.previous_collection,
+      status: row.status,
+      chunkStrategy: row.chunk_strategy,
+      embedding: {
+        provider: row.embedding_provider,
+        model: row.embedding_model,
+        dimensions: row.embedding_dimensions,
+      },
+      totalArticles: total,
+      processedArticles: row.processed_articles || 0,
+      failedArticles: row.failed_articles || 0,
+      progress: progressOf(row.status, row.processed_articles || 0, total),
+      lastArticleId: row.last_article_id,
+      errors: row.errors || [],
+      lastError: row.last_error,
+      startedAt: row.started_at,
+      updatedAt: row.updated_at,
+      switchedAt: row.switched_at,
+      finishedAt: row.finished_at,
+    }
+  }
+}
+
+const reindexService = new ReindexService()
+
+// Export functions for easier use
+export const reindexArticles = (options) => reindexService.run(options)
+export const validateReindexOptions = (options) => reindexService.validateOptions(options)
+export const getReindexStatus = (options) => reindexService.getStatus(options)
+
+export default reindexService
@@ -0,0 +1,193 @@
+import { getDatabase } from "../config/database.js"
+import config from "../config/environment.js"
+import { deleteArticlesChunks, countExpiredChunks, deleteExpiredChunks } from "./vectorStore.js"
+
+const RETENTION_MODES = ["archive", "delete"]
+
+const validationError = (message) => {
+  const error = new Error(message)
+  error.name = "ValidationError"
+  return error
+}
+
+// Articles past their source's retention window (or the global one), oldest
+// first. $1 is the global window in days. Uploaded documents never expire.
+const EXPIRED_ARTICLES = `
+  FROM news_articles a
+  LEFT JOIN feed_sources s ON s.id::text = a.metadata->>'feedSourceId'
+  WHERE a.archived_at IS NULL
+    AND COALESCE(a.metadata->>'sourceType', 'news') <> 'document'
+    AND COALESCE(s.retention_days, $1) > 0
+    AND COALESCE(a.pub_date, a.processed_at) < NOW() - make_interval(days => COALESCE(s.retention_days, $1))
+`
+
+class RetentionService {
+  constructor() {
+    this.retentionDays = config.RETENTION_DAYS
+    this.mode = config.RETENTION_MODE
+    this.batchSize = 200
+    this.sampleSize = 20
+  }
+
+  validateOptions({ mode = this.mode } = {}) {
+    if (!RETENTION_MODES.includes(mode)) {
+      throw validationError(`mode must be one of: ${RETENTION_MODES.join(", ")}`)
+    }
+  }
+
+  getPolicy() {
+    return { retentionDays: this.retentionDays, mode: this.mode }
+  }
+
+  // Without Postgres only the global window applies, by the points' pubDate
+  cutoff() {
+    return this.retentionDays > 0 ? new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString() : null
+  }
+
+  // Whether anything can expire: the global window or any feed's own window is set
+  async hasWindows() {
+    if (this.retentionDays > 0) return true
+
+    const db = getDatabase()
+    if (!db.isConnected) return false
+
+    const result = await db.query("SELECT EXISTS (SELECT 1 FROM feed_sources WHERE retention_days > 0) AS found")
+    return result.rows[0].found
+  }
+
+  /**
+   * Report what a purge would remove right now, without changing anything
+   */
+  async preview() {
+    const db = getDatabase()
+    if (!db.isConnected) {
+      const cutoff = this.cutoff()
+      return {
+        ...this.getPolicy(),
+        cutoff,
+        articles: null,
+        points: cutoff ? await countExpiredChunks(cutoff) : 0,
+        sources: [],
+        sample: [],
+      }
+    }
+
+    const totals = await db.query(
+      `SELECT COUNT(*) AS articles, COALESCE(SUM(a.chunk_count), 0) AS points ${EXPIRED_ARTICLES}`,
+      [this.retentionDays],
+    )
+
+    const sources = await db.query(
+      `
+      SELECT s.id, s.url, s.retention_days, COUNT(*) AS articles
+      ${EXPIRED_ARTICLES}
+      GROUP BY s.id, s.url, s.retention_days
+      ORDER BY articles DESC
+    `,
+      [this.retentionDays],
+    )
+
+    const sample = await db.query(
+      `
+      SELECT a.id, a.title, a.url, a.source, a.pub_date, a.processed_at
+      ${EXPIRED_ARTICLES}
+      ORDER BY COALESCE(a.pub_date, a.processed_at) ASC
+      LIMIT $2
+    `,
+      [this.retentionDays, this.sampleSize],
+    )
+
+    return {
+      ...this.getPolicy(),
+      cutoff: this.cutoff(),
+      articles: Number.parseInt(totals.rows[0].articles),
+      points: Number.parseInt(totals.rows[0].points),
+      sources: sources.rows.map((row) => ({
+        sourceId: row.id,
+        url: row.url,
+        // Articles added by URL or from a deleted source use the global window
+        retentionDays: row.retention_days ?? this.retentionDays,
+        articles: Number.parseInt(row.articles),
+      })),
+      sample: sample.rows.map((row) => ({
+        id: row.id,
+        title: row.title,
+        url: row.url,
+        source: row.source,
+        pubDate: row.pub_date || row.processed_at,
+      })),
+    }
+  }
+
+  /**
+   * Delete expired points from Qdrant, then archive (keep the row, drop its
+   * point ids) or delete the matching Postgres rows. Works in batches so a
+   * failure part-way leaves every batch before it fully purged.
+   */
+  async purge({ mode = this.mode } = {}) {
+    this.validateOptions({ mode })
+
+    const startedAt = new Date()
+    const db = getDatabase()
+    const result = { ...this.getPolicy(), mode, articles: 0, points: 0 }
+
+    if (!db.isConnected) {
+      const cutoff = this.cutoff()
+      result.cutoff = cutoff
+      result.articles = null
+      result.points = cutoff ? await deleteExpiredChunks(cutoff) : 0
+      return this.finish(result, startedAt)
+    }
+
+    while (true) {
+      const batch = await db.query(
+        `
+        SELECT a.id, a.chunk_count
+        ${EXPIRED_ARTICLES}
+        ORDER BY COALESCE(a.pub_date, a.processed_at) ASC
+        LIMIT $2
+      `,
+        [this.retentionDays, this.batchSize],
+      )
+      if (batch.rows.length === 0) break
+
+      const ids = batch.rows.map((row) => row.id)
+      // Vectors go first: a row that outlives its points is only unsearchable, never stale
+      await deleteArticlesChunks(ids)
+
+      if (mode === "delete") {
+        await db.query("DELETE FROM news_articles WHERE id = ANY($1)", [ids])
+      } else {
+        await db.query("UPDATE news_articles SET archived_at = NOW(), point_ids = '{}' WHERE id = ANY($1)", [ids])
+      }
+
+      result.articles += ids.length
+      result.points += batch.rows.reduce((sum, row) => sum + (row.chunk_count || 0), 0)
+
+      if (batch.rows.length < this.batchSize) break
+    }
+
+    return this.finish(result, startedAt)
+  }
+
+  finish(result, startedAt) {
+    const finishedAt = new Date()
+    return {
+      ...result,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+    }
+  }
+}
+
+const retentionService = new RetentionService()
+
+// Export functions for easier use
+export const getRetentionPolicy = () => retentionService.getPolicy()
+export const hasRetentionWindows = () => retentionService.hasWindows()
+export const previewRetention = () => retentionService.preview()
+export const purgeExpiredArticles = (options) => retentionService.purge(options)
+export const validateRetentionOptions = (options) => retentionService.validateOptions(options)
+
+export default retentionService
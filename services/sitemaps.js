@@ -0,0 +1,84 @@
+import zlib from "zlib"
+import { fetchUrl, decodeText } from "./fetcher.js"
+import { parseSitemap } from "./feedFormats.js"
+
+class SitemapService {
+  constructor() {
+    // Only the most recently modified children of an index are read
+    this.maxChildSitemaps = 5
+    // An index may point at further indexes, but not indefinitely
+    this.maxDepth = 2
+    this.maxBytes = 50 * 1024 * 1024
+  }
+
+  /**
+   * Fetch a sitemap or sitemap index and return its URLs as feed items, newest
+   * first. The root is always read in full, since an index often stays the
+   * same while the sitemaps it lists change; with `conditional`, child
+   * sitemaps unchanged since the last fetch are skipped.
+   */
+  async fetch(url, { conditional = false } = {}) {
+    const { sitemap } = await this.read(url)
+    return { format: sitemap.format, items: await this.expand(sitemap, { conditional }) }
+  }
+
+  async read(url, { conditional = false } = {}) {
+    const response = await fetchUrl(url, { conditional, responseType: "arraybuffer" })
+    if (response.notModified) return { notModified: true, sitemap: null }
+
+    const body = this.decode(response.data, response.headers?.["content-type"])
+    return { notModified: false, sitemap: await parseSitemap(body) }
+  }
+
+  // Sitemaps are often served as .xml.gz files rather than with Content-Encoding; the text is decoded by its charset
+  decode(data, contentType = "") {
+    const buffer = Buffer.from(data)
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      return decodeText(zlib.gunzipSync(buffer, { maxOutputLength: this.maxBytes }))
+    }
+    return decodeText(buffer, contentType)
+  }
+
+  /**
+   * Collect the items of a parsed sitemap, following an index into its most
+   * recently modified children. A child that fails is logged and skipped.
+   */
+  async expand(sitemap, { conditional = false, depth = 0 } = {}) {
+    const items = [...sitemap.items]
+
+    if (sitemap.format === "sitemapindex" && depth < this.maxDepth) {
+      const children = [...sitemap.sitemaps]
+        .sort((a, b) => (b.lastmod || "").localeCompare(a.lastmod || ""))
+        .slice(0, this.maxChildSitemaps)
+
+      for (const child of children) {
+        try {
+          const { notModified, sitemap: childSitemap } = await this.read(child.url, { conditional })
+          if (notModified) continue
+          items.push(...(await this.expand(childSitemap, { conditional, depth: depth + 1 })))
+        } catch (error) {
+          console.error(`Failed to read sitemap ${child.url}:`, error.message)
+        }
+      }
+    }
+
+    return this.newestFirst(items)
+  }
+
+  // Sitemaps are not ordered; undated URLs go last
+  newestFirst(items) {
+    const seen = new Set()
+    return items
+      .filter((item) => !seen.has(item.link) && seen.add(item.link))
+      .sort((a, b) => (b.pubDate || "").localeCompare(a.pubDate || ""))
+  }
+}
+
+const sitemapService = new SitemapService()
+
+// Export functions for easier use
+export const fetchSitemap = (url, options) => sitemapService.fetch(url, options)
+export const expandSitemap = (sitemap, options) => sitemapService.expand(sitemap, options)
+export const decodeSitemap = (data, contentType) => sitemapService.decode(data, contentType)
+
+export default sitemapService
@@ -0,0 +1,125 @@
+// Keyword-based topic classification over a fixed taxonomy. Each topic lists
+// keywords; a trailing "*" matches any word starting with the stem. Matches in
+// the title and feed categories weigh more than matches in the body.
+
+export const TOPIC_TAXONOMY = {
+  Politics: [
+    "election*", "elected", "electoral", "vote*", "voter*", "ballot*", "campaign*", "parliament*", "congress*",
+    "senat*", "lawmaker*", "legislat*", "government*", "minister*", "president*", "governor*", "mayor*", "policy",
+    "policies", "polit*", "democrat*", "republican*", "opposition", "coalition", "referendum*", "cabinet",
+    "prime minister", "white house",
+  ],
+  World: [
+    "diplomat*", "foreign", "embassy", "embassies", "ambassador*", "sanction*", "treaty", "treaties", "summit*",
+    "united nations", "nato", "ceasefire", "war", "wars", "invasion", "troops", "military", "refugee*", "border*",
+    "conflict*", "missile*", "airstrike*", "humanitarian",
+  ],
+  Business: [
+    "business*", "compan*", "market*", "stock*", "shares", "investor*", "earnings", "revenue*", "profit*", "economy",
+    "econom*", "inflation", "interest rate*", "central bank", "merger*", "acquisition*", "ipo", "startup*", "ceo",
+    "retail*", "trade", "tariff*", "gdp", "recession", "bank*", "financ*",
+  ],
+  Technology: [
+    "technolog*", "tech", "software", "hardware", "app", "apps", "smartphone*", "internet", "cyber*",
+    "hack*", "artificial intelligence", "ai", "machine learning", "chatbot*", "algorithm*", "robot*", "chip*",
+    "semiconductor*", "cloud computing", "computer*", "social media", "silicon valley", "data breach*",
+  ],
+  Science: [
+    "scien*", "research*", "study", "studies", "experiment*", "physic*", "chemist*", "biolog*", "astronom*", "space",
+    "nasa", "planet*", "telescope*", "genetic*", "gene", "genes", "fossil*", "species", "laboratory", "discover*",
+    "peer-reviewed",
+  ],
+  Health: [
+    "health*", "medic*", "hospital*", "doctor*", "nurse*", "patient*", "disease*", "virus*", "vaccin*", "pandemic*",
+    "covid*", "cancer*", "drug*", "treatment*", "clinic*", "mental health", "outbreak*", "infection*", "surgery",
+    "diet", "obesity",
+  ],
+  Environment: [
+    "climate", "environment*", "emission*", "carbon", "pollut*", "renewable*", "solar", "wind power", "fossil fuel*",
+    "deforestation", "wildlife", "biodiversity", "conservation", "wildfire*", "drought*", "flood*", "heatwave*",
+    "hurricane*", "storm*", "global warming", "greenhouse", "sustainab*", "recycl*",
+  ],
+  Sports: [
+    "sport*", "football", "soccer", "basketball", "baseball", "tennis", "cricket", "rugby", "golf", "olympic*",
+    "championship*", "tournament*", "league", "match", "matches", "coach*", "player*", "world cup", "medal*",
+    "athlete*", "stadium*",
+  ],
+  Entertainment: [
+    "film*", "movie*", "cinema", "actor*", "actress*", "music*", "album*", "song*", "singer*", "concert*", "celebrit*",
+    "television", "tv", "netflix", "streaming", "hollywood", "box office", "festival*", "award*", "oscar*", "grammy*",
+    "book", "books", "novel*", "art", "museum*",
+  ],
+  Crime: [
+    "crime*", "criminal*", "police", "arrest*", "murder*", "killing*", "shooting*", "court", "courts", "trial*",
+    "judge*", "jury", "prosecut*", "lawsuit*", "sentenc*", "prison*", "jail*", "fraud*", "investigat*", "suspect*",
+    "charged", "convict*", "guilty",
+  ],
+  Education: [
+    "educat*", "school*", "student*", "teacher*", "universit*", "college*", "campus*", "curricul*", "exam", "exams",
+    "tuition", "classroom*", "pupil*", "graduat*", "literacy",
+  ],
+}
+
+export const TOPICS = Object.keys(TOPIC_TAXONOMY)
+
+// Most labels given to one article
+const MAX_TOPICS = 3
+// Minimum score, in keyword hits per 100 words, for a label
+const MIN_SCORE = 1.5
+// Secondary labels need at least this share of the best topic's score
+const RELATIVE_THRESHOLD = 0.5
+const TITLE_WEIGHT = 3
+const CATEGORY_WEIGHT = 5
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// One alternation per topic; "interest rate*" matches "interest rates"
+const TOPIC_PATTERNS = Object.fromEntries(
+  Object.entries(TOPIC_TAXONOMY).map(([topic, keywords]) => {
+    const alternatives = keywords.map((keyword) =>
+      keyword.endsWith("*") ? `${escapeRegExp(keyword.slice(0, -1))}[\\p{L}-]*` : escapeRegExp(keyword),
+    )
+    return [topic, new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}])`, "giu")]
+  }),
+)
+
+const countMatches = (pattern, text) => (text ? text.match(pattern)?.length || 0 : 0)
+
+/**
+ * Label an article with up to three topics from the taxonomy. Returns topics
+ * ordered by score; empty when nothing scores high enough (for example
+ * non-English text, since the keywords are English).
+ */
+export function classifyTopics({ title = "", text = "", categories = [] }) {
+  const words = (text.match(/[\p{L}\p{N}]+/gu) || []).length
+  if (words === 0 && !title) return []
+  const categoryText = categories.join(" | ")
+
+  const scores = TOPICS.map((topic) => {
+    // A feed category naming the topic itself is the strongest signal
+    const named = categories.some((category) => category.toLowerCase() === topic.toLowerCase())
+    const hits =
+      countMatches(TOPIC_PATTERNS[topic], text) +
+      TITLE_WEIGHT * countMatches(TOPIC_PATTERNS[topic], title) +
+      CATEGORY_WEIGHT * (countMatches(TOPIC_PATTERNS[topic], categoryText) + (named ? 1 : 0))
+    return { topic, score: (hits / Math.max(words, 100)) * 100 }
+  })
+    .filter(({ score }) => score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+
+  if (scores.length === 0) return []
+  const best = scores[0].score
+  return scores
+    .filter(({ score }) => score >= best * RELATIVE_THRESHOLD)
+    .slice(0, MAX_TOPICS)
+    .map(({ topic }) => topic)
+}
+
+/**
+ * Merge topic labels into feed categories, skipping labels the feed already
+ * gave in any letter case
+ */
+export function mergeCategories(categories, topics) {
+  const seen = new Set(categories.map((category) => category.toLowerCase()))
+  return [...categories, ...topics.filter((topic) => !seen.has(topic.toLowerCase()))]
+}
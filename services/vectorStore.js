@@ -1,14 +1,34 @@
 import axios from "axios"
 import dotenv from "dotenv"
+import config from "../config/environment.js"
+import { entityKey } from "./entityExtractor.js"
 
 dotenv.config()
 
+const EMBEDDING_MISMATCH_MODES = ["refuse", "recreate"]
+
+const embeddingMismatchError = (message) => {
+  const error = new Error(message)
+  error.name = "EmbeddingMismatchError"
+  return error
+}
+
 class VectorStoreService {
   constructor() {
     this.baseUrl = process.env.QDRANT_URL || "http://localhost:6333"
     this.apiKey = process.env.QDRANT_API_KEY
+    // Name every read and write goes through: an alias of the current versioned
+    // collection (news_articles_v1, _v2, ...) so a reindex can switch it
+    // atomically. A plain collection of this name from before versioning is
+    // moved behind the alias at startup.
     this.collectionName = "news_articles"
-    this.vectorSize = 768 // Jina embeddings dimension
+    // Active embedding model { provider, model, dimensions }, set by initialize()
+    this.embedding = null
+    // Whether the collection was checked against a measured vector size, and what did not match
+    this.embeddingCheck = { verified: false, error: null }
+    // Wait before probing an unreachable embedding provider again, doubling up to the maximum
+    this.embeddingCheckDelay = 60 * 1000
+    this.maxEmbeddingCheckDelay = 15 * 60 * 1000
 
     this.client = axios.create({
       baseURL: this.baseUrl,
@@ -17,31 +37,351 @@ class VectorStoreService {
     })
   }
 
-  async initialize() {
+  /**
+   * Startup entry point: measure the embedding model with `probe` and
+   * initialize for it. When the provider cannot be reached (an outage, a rate
+   * limit), start with `requested` instead, whose size is EMBEDDING_DIMENSIONS
+   * or null, and probe again in the background until the collection can be
+   * checked, so a provider outage does not keep a healthy collection offline.
+   */
+  async start(probe, requested) {
+    let embedding
+    try {
+      embedding = await probe()
+    } catch (error) {
+      console.warn(`${error.message}. Starting without checking the vector size; probing again in the background.`)
+      await this.initialize(requested, { verified: false })
+      this.scheduleEmbeddingCheck(probe)
+      return
+    }
+    await this.initialize(embedding)
+  }
+
+  /**
+   * Make sure the collection exists and holds vectors of the active embedding
+   * model, moving a plain collection from before versioning behind the alias
+   * first. A collection of another vector size, or recorded as built by
+   * another model, is refused: its points cannot be compared with the new
+   * query vectors. With EMBEDDING_MISMATCH=recreate it is dropped and created
+   * again, empty, instead.
+   * Without a `verified` size, an existing collection is taken at its own
+   * size and only checked for the recorded model; a collection to create
+   * needs the size requested by EMBEDDING_DIMENSIONS.
+   */
+  async initialize(embedding, { verified = true } = {}) {
+    if (!EMBEDDING_MISMATCH_MODES.includes(config.EMBEDDING_MISMATCH)) {
+      throw new Error(`EMBEDDING_MISMATCH must be one of: ${EMBEDDING_MISMATCH_MODES.join(", ")}`)
+    }
+
     try {
-      // Check if collection exists
-      const response = await this.client.get("/collections")
-      const collections = response.data.result.collections
-      const collectionExists = collections.some((col) => col.name === this.collectionName)
+      this.embedding = embedding
+      this.embeddingCheck = { verified, error: null }
+      let name = await this.resolveCollection()
+      if (name === this.collectionName) {
+        name = await this.migratePlainCollection()
+      } else if (!name && (await this.getCollection(this.versionName(1)))) {
+        name = await this.adoptFirstVersion()
+      }
 
-      if (!collectionExists) {
-        await this.createCollection()
+      if (!name) {
+        name = this.versionName(1)
+        this.requireDimensions(name)
+        await this.createCollection(name)
+        await this.switchAlias(name)
+      } else {
+        const collection = await this.getCollection(name)
+        if (!verified) {
+          this.embedding = { ...embedding, dimensions: collection.config.params?.vectors?.size }
+        }
+        const mismatch = this.findMismatch(name, collection)
+        if (mismatch && config.EMBEDDING_MISMATCH === "recreate") {
+          console.warn(`${mismatch}. Recreating it; stored articles are not searchable until ingested again.`)
+          const previous = name
+          name = await this.nextCollectionName()
+          this.embedding = embedding
+          this.requireDimensions(name)
+          await this.createCollection(name)
+          await this.switchAlias(name)
+          await this.deleteCollection(previous)
+        } else if (mismatch) {
+          throw embeddingMismatchError(this.mismatchGuide(mismatch, collection))
+        } else if (verified && !collection.config.metadata?.embeddingModel) {
+          // Collection created before the model was recorded
+          await this.recordEmbedding(name)
+        }
       }
 
-      console.log(`Vector store initialized with collection: ${this.collectionName}`)
+      console.log(
+        `Vector store initialized with collection: ${name} ` +
+          `(${this.embedding.provider}/${this.embedding.model}, ${this.embedding.dimensions} dimensions` +
+          `${verified ? "" : ", not yet verified"})`,
+      )
     } catch (error) {
       console.error("Failed to initialize vector store:", error.message)
       throw error
     }
   }
 
-  async createCollection() {
+  requireDimensions(name) {
+    if (!this.embedding.dimensions) {
+      throw new Error(
+        `Cannot create collection ${name}: the vector size of ${this.embedding.model} could not be probed. ` +
+          "Set EMBEDDING_DIMENSIONS or start again once the embedding provider is reachable.",
+      )
+    }
+  }
+
+  // Probe again until the provider answers, then check the collection against the measured size
+  scheduleEmbeddingCheck(probe, delay = this.embeddingCheckDelay) {
+    const timer = setTimeout(async () => {
+      try {
+        await this.checkEmbedding(await probe())
+      } catch (error) {
+        const next = Math.min(delay * 2, this.maxEmbeddingCheckDelay)
+        console.warn(`Embedding check failed: ${error.message}. Retrying in ${next / 1000}s.`)
+        this.scheduleEmbeddingCheck(probe, next)
+      }
+    }, delay)
+    // Never keeps the process alive on its own
+    timer.unref()
+  }
+
+  /**
+   * Check the live collection against a measured embedding model. The server
+   * is already running, so a mismatch is logged and reported by the health
+   * check rather than thrown.
+   */
+  async checkEmbedding(embedding) {
+    this.embedding = embedding
+    const name = await this.resolveCollection()
+    const collection = await this.getCollection(name)
+    const mismatch = this.findMismatch(name, collection)
+
+    this.embeddingCheck = { verified: true, error: mismatch }
+    if (mismatch) {
+      console.error(`${mismatch}. New vectors cannot be stored or searched; restart the server for how to fix it.`)
+      return
+    }
+
+    if (!collection.config.metadata?.embeddingModel) await this.recordEmbedding(name)
+    console.log(
+      `Verified ${embedding.provider}/${embedding.model} (${embedding.dimensions} dimensions) against ${name}`,
+    )
+  }
+
+  /**
+   * Collection behind collectionName: the alias target, the plain collection
+   * of that name, or null when neither exists yet
+   */
+  async resolveCollection() {
+    const response = await this.client.get("/aliases")
+    const alias = response.data.result.aliases.find((entry) => entry.alias_name === this.collectionName)
+    if (alias) return alias.collection_name
+
+    return (await this.getCollection(this.collectionName)) ? this.collectionName : null
+  }
+
+  versionName(version) {
+    return `${this.collectionName}_v${version}`
+  }
+
+  // Versioned collections, oldest first, with the one collectionName currently points to marked
+  async listVersions() {
+    const response = await this.client.get("/collections")
+    const current = await this.resolveCollection()
+    const pattern = new RegExp(`^${this.collectionName}_v(\\d+)$`)
+
+    return response.data.result.collections
+      .map(({ name }) => ({ name, version: Number(pattern.exec(name)?.[1]) }))
+      .filter(({ version }) => version > 0)
+      .sort((a, b) => a.version - b.version)
+      .map(({ name, version }) => ({ name, version, current: name === current }))
+  }
+
+  // Next version after every existing one; v1 is always taken by the first collection
+  async nextCollectionName() {
+    const versions = await this.listVersions()
+    return this.versionName(Math.max(1, ...versions.map(({ version }) => version)) + 1)
+  }
+
+  /**
+   * One-time move of a plain collection from before versioning to
+   * news_articles_v1 behind the alias. Qdrant can neither rename a collection
+   * nor give an alias a name a collection holds, so the points are copied
+   * with their vectors, the copy is checked by count, and only then is the
+   * plain collection replaced by the alias. Runs at startup, before the
+   * server serves or ingests; a failure before the count check leaves the
+   * plain collection as it was, one after it is finished by adoptFirstVersion().
+   */
+  async migratePlainCollection() {
+    const plain = await this.getCollection(this.collectionName)
+    const name = this.versionName(1)
+
+    // Left over from an interrupted migration: copy again from the intact original
+    if (await this.getCollection(name)) await this.deleteCollection(name)
+
+    console.log(`Moving collection ${this.collectionName} to ${name} behind an alias`)
+    await this.createCollection(name, this.embedding, {
+      vectors: plain.config.params.vectors,
+      // Empty when the model was never recorded: initialize() records it only if it matches
+      metadata: plain.config.metadata || {},
+    })
+
+    let offset = null
+    do {
+      const response = await this.client.post(`/collections/${this.collectionName}/points/scroll`, {
+        limit: 256,
+        offset,
+        with_payload: true,
+        with_vector: true,
+      })
+      const { points, next_page_offset: next } = response.data.result
+      if (points.length > 0) {
+        await this.client.put(`/collections/${name}/points?wait=true`, {
+          points: points.map(({ id, vector, payload }) => ({ id, vector, payload })),
+        })
+      }
+      offset = next ?? null
+    } while (offset !== null)
+
+    const [expected, copied] = await Promise.all([this.countPoints(this.collectionName), this.countPoints(name)])
+    if (copied !== expected) {
+      throw new Error(
+        `Copied ${copied} of ${expected} points from ${this.collectionName} to ${name}; the original was kept`,
+      )
+    }
+
+    await this.deleteCollection(this.collectionName)
+    await this.client.post("/collections/aliases", {
+      actions: [{ create_alias: { collection_name: name, alias_name: this.collectionName } }],
+    })
+    console.log(`Moved ${copied} points to ${name}; ${this.collectionName} is now an alias of it`)
+    return name
+  }
+
+  /**
+   * A move stopped between deleting the plain collection and creating the
+   * alias leaves a complete, counted copy in news_articles_v1 and no alias:
+   * put the alias in front of it instead of creating v1 again
+   */
+  async adoptFirstVersion() {
+    const name = this.versionName(1)
+    console.warn(`Found ${name} without the ${this.collectionName} alias; pointing the alias at it`)
+    await this.switchAlias(name)
+    return name
+  }
+
+  async countPoints(name) {
+    const response = await this.client.post(`/collections/${name}/points/count`, { exact: true })
+    return response.data.result.count
+  }
+
+  // Reindexing needs the alias; a plain collection is only moved behind it by initialize()
+  async requireAlias() {
+    if ((await this.resolveCollection()) === this.collectionName) throw this.unversionedError()
+  }
+
+  unversionedError() {
+    return new Error(`${this.collectionName} is not versioned yet; start the server once to move it behind an alias`)
+  }
+
+  /**
+   * Point collectionName at `name` and resolve to the collection it pointed
+   * to before (null if none). Moving an existing alias is one atomic Qdrant
+   * request, so searches never see a missing collection.
+   */
+  async switchAlias(name) {
+    const previous = await this.resolveCollection()
+    if (previous === name) return previous
+    if (previous === this.collectionName) throw this.unversionedError()
+
+    const actions = [{ create_alias: { collection_name: name, alias_name: this.collectionName } }]
+    if (previous) {
+      actions.unshift({ delete_alias: { alias_name: this.collectionName } })
+    }
+
+    await this.client.post("/collections/aliases", { actions })
+    console.log(`Alias ${this.collectionName} now points to ${name}`)
+    return previous
+  }
+
+  // Raw collection description, or null when the collection does not exist
+  async getCollection(name) {
     try {
-      await this.client.put(`/collections/${this.collectionName}`, {
-        vectors: {
-          size: this.vectorSize,
+      const response = await this.client.get(`/collections/${name}`)
+      return response.data.result
+    } catch (error) {
+      if (error.response?.status === 404) return null
+      throw error
+    }
+  }
+
+  // Why the collection cannot store vectors of the active model, or null
+  findMismatch(name, collection) {
+    const size = collection.config.params?.vectors?.size
+    const recorded = collection.config.metadata || {}
+
+    if (size !== this.embedding.dimensions) {
+      return (
+        `Collection ${name} stores ${size}-dimensional vectors, ` +
+        `but ${this.embedding.model} produces ${this.embedding.dimensions}`
+      )
+    }
+    if (
+      recorded.embeddingModel &&
+      (recorded.embeddingModel !== this.embedding.model || recorded.embeddingProvider !== this.embedding.provider)
+    ) {
+      return (
+        `Collection ${name} was built with ${recorded.embeddingProvider}/${recorded.embeddingModel}, ` +
+        `not ${this.embedding.provider}/${this.embedding.model}`
+      )
+    }
+    return null
+  }
+
+  mismatchGuide(mismatch, collection) {
+    const size = collection.config.params?.vectors?.size
+    const recorded = collection.config.metadata || {}
+    const steps = [
+      recorded.embeddingModel
+        ? `set EMBEDDING_PROVIDER=${recorded.embeddingProvider} and EMBEDDING_MODEL=${recorded.embeddingModel} ` +
+          "to keep using the existing vectors"
+        : "switch EMBEDDING_PROVIDER and EMBEDDING_MODEL back to the model that built the collection",
+      "run `npm run reindex` with the new settings to rebuild the collection from PostgreSQL " +
+        "while the current one keeps serving, then start the server",
+      "set EMBEDDING_MISMATCH=recreate to drop the collection and create it for the new model, " +
+        "then ingest articles again",
+    ]
+    if (size !== this.embedding.dimensions) {
+      steps.splice(1, 0, `set EMBEDDING_DIMENSIONS=${size} if ${this.embedding.model} can produce vectors of that size`)
+    }
+    return `${mismatch}.\nTo start the server, either:\n${steps.map((step) => `  - ${step}`).join("\n")}`
+  }
+
+  embeddingMetadata(embedding = this.embedding) {
+    return {
+      embeddingProvider: embedding.provider,
+      embeddingModel: embedding.model,
+      embeddingDimensions: embedding.dimensions,
+      recordedAt: new Date().toISOString(),
+    }
+  }
+
+  async recordEmbedding(name) {
+    await this.client.patch(`/collections/${name}`, { metadata: this.embeddingMetadata() })
+    console.log(`Recorded ${this.embedding.model} as the embedding model of ${name}`)
+  }
+
+  // Create `name` for vectors of `embedding` (the active model by default), with payload indexes.
+  // A copied collection keeps the `vectors` parameters and `metadata` of its original.
+  async createCollection(name, embedding = this.embedding, { vectors = null, metadata = null } = {}) {
+    try {
+      await this.client.put(`/collections/${name}`, {
+        vectors: vectors || {
+          size: embedding.dimensions,
           distance: "Cosine",
         },
+        metadata: metadata || this.embeddingMetadata(embedding),
         optimizers_config: {
           default_segment_number: 2,
         },
@@ -49,24 +389,45 @@ class VectorStoreService {
       })
 
       // Create indexes for better search performance
-      await this.client.put(`/collections/${this.collectionName}/index`, {
+      await this.client.put(`/collections/${name}/index`, {
         field_name: "source",
         field_schema: "keyword",
       })
 
-      await this.client.put(`/collections/${this.collectionName}/index`, {
+      await this.client.put(`/collections/${name}/index`, {
         field_name: "pubDate",
         field_schema: "datetime",
       })
 
-      console.log(`Created collection: ${this.collectionName}`)
+      await this.client.put(`/collections/${name}/index`, {
+        field_name: "articleId",
+        field_schema: "keyword",
+      })
+
+      await this.client.put(`/collections/${name}/index`, {
+        field_name: "sourceType",
+        field_schema: "keyword",
+      })
+
+      await this.client.put(`/collections/${name}/index`, {
+        field_name: "language",
+        field_schema: "keyword",
+      })
+
+      await this.client.put(`/collections/${name}/index`, {
+        field_name: "entityKeys",
+        field_schema: "keyword",
+      })
+
+      console.log(`Created collection: ${name}`)
     } catch (error) {
       console.error("Failed to create collection:", error.message)
       throw error
     }
   }
 
-  async storeChunks(chunks) {
+  // Upsert chunk points; a reindex writes to the collection it is building
+  async storeChunks(chunks, collection = this.collectionName) {
     if (!Array.isArray(chunks) || chunks.length === 0) {
       throw new Error("Chunks must be a non-empty array")
     }
@@ -78,18 +439,23 @@ class VectorStoreService {
         payload: {
           text: chunk.text,
           articleId: chunk.articleId,
+          revision: chunk.revision,
           articleTitle: chunk.articleTitle,
           articleUrl: chunk.articleUrl,
           source: chunk.source,
+          sourceType: chunk.sourceType || "news",
+          language: chunk.language || "und",
+          chunkStrategy: chunk.chunkStrategy,
+          entities: chunk.entities || { people: [], organizations: [], places: [] },
+          entityKeys: chunk.entityKeys || [],
           pubDate: chunk.pubDate,
           chunkIndex: chunk.chunkIndex,
           metadata: chunk.metadata,
         },
       }))
 
-      await this.client.put(`/collections/${this.collectionName}`, {
+      await this.client.put(`/collections/${collection}/points?wait=true`, {
         points,
-        wait: true,
       })
 
       console.log(`Stored ${chunks.length} chunks in vector database`)
@@ -121,9 +487,16 @@ class VectorStoreService {
         id: result.id,
         score: result.score,
         text: result.payload.text,
+        articleId: result.payload.articleId,
+        revision: result.payload.revision,
         articleTitle: result.payload.articleTitle,
         articleUrl: result.payload.articleUrl,
         source: result.payload.source,
+        // Points stored before documents were supported are all news
+        sourceType: result.payload.sourceType || "news",
+        language: result.payload.language || "und",
+        chunkStrategy: result.payload.chunkStrategy,
+        entities: result.payload.entities || { people: [], organizations: [], places: [] },
         pubDate: result.payload.pubDate,
         metadata: result.payload.metadata,
       }))
@@ -143,6 +516,28 @@ class VectorStoreService {
       })
     }
 
+    if (filters.sourceType) {
+      conditions.push({
+        key: "sourceType",
+        match: { value: filters.sourceType },
+      })
+    }
+
+    if (filters.language) {
+      conditions.push({
+        key: "language",
+        match: { value: filters.language },
+      })
+    }
+
+    // Entities match by canonical name, so "U.S." finds chunks mentioning the United States
+    if (filters.entity) {
+      conditions.push({
+        key: "entityKeys",
+        match: { value: entityKey(filters.entity) },
+      })
+    }
+
     if (filters.dateFrom || filters.dateTo) {
       const dateRange = {}
       if (filters.dateFrom) dateRange.gte = filters.dateFrom
@@ -162,15 +557,123 @@ class VectorStoreService {
     }
   }
 
+  // Remove an article's points, optionally keeping the ids that were just upserted
+  async deleteArticleChunks(articleId, keepIds = [], collection = this.collectionName) {
+    try {
+      const filter = {
+        must: [{ key: "articleId", match: { value: articleId } }],
+      }
+      if (keepIds.length > 0) {
+        filter.must_not = [{ has_id: keepIds }]
+      }
+
+      await this.client.post(`/collections/${collection}/points/delete?wait=true`, { filter })
+      return true
+    } catch (error) {
+      console.error(`Failed to delete chunks for article ${articleId}:`, error.message)
+      throw error
+    }
+  }
+
+  // Point an article's chunks at a new article id, e.g. after the article was migrated to a derived id
+  async reassignArticleChunks(fromId, toId, collection = this.collectionName) {
+    try {
+      await this.client.post(`/collections/${collection}/points/payload?wait=true`, {
+        payload: { articleId: toId },
+        filter: { must: [{ key: "articleId", match: { value: fromId } }] },
+      })
+      return true
+    } catch (error) {
+      console.error(`Failed to reassign chunks of article ${fromId}:`, error.message)
+      throw error
+    }
+  }
+
+  // Remove every point of the given articles in one request
+  async deleteArticlesChunks(articleIds, collection = this.collectionName) {
+    if (articleIds.length === 0) return true
+
+    try {
+      await this.client.post(`/collections/${collection}/points/delete?wait=true`, {
+        filter: { must: [{ key: "articleId", match: { any: articleIds } }] },
+      })
+      return true
+    } catch (error) {
+      console.error(`Failed to delete chunks for ${articleIds.length} articles:`, error.message)
+      throw error
+    }
+  }
+
+  // Distinct article ids with points in a collection, read page by page without vectors
+  async listArticleIds(collection = this.collectionName) {
+    const ids = new Set()
+    let offset = null
+    do {
+      const response = await this.client.post(`/collections/${collection}/points/scroll`, {
+        limit: 1000,
+        offset,
+        with_payload: ["articleId"],
+        with_vector: false,
+      })
+      const { points, next_page_offset: next } = response.data.result
+      for (const point of points) {
+        if (point.payload?.articleId) ids.add(point.payload.articleId)
+      }
+      offset = next ?? null
+    } while (offset !== null)
+    return [...ids]
+  }
+
+  // Points published before the cutoff, excluding uploaded documents
+  expiredFilter(cutoff) {
+    return {
+      must: [{ key: "pubDate", range: { lt: cutoff } }],
+      must_not: [{ key: "sourceType", match: { value: "document" } }],
+    }
+  }
+
+  async countExpiredChunks(cutoff) {
+    try {
+      const response = await this.client.post(`/collections/${this.collectionName}/points/count`, {
+        filter: this.expiredFilter(cutoff),
+        exact: true,
+      })
+      return response.data.result.count
+    } catch (error) {
+      console.error("Failed to count expired chunks:", error.message)
+      throw error
+    }
+  }
+
+  async deleteExpiredChunks(cutoff) {
+    const count = await this.countExpiredChunks(cutoff)
+    if (count === 0) return 0
+
+    try {
+      await this.client.post(`/collections/${this.collectionName}/points/delete?wait=true`, {
+        filter: this.expiredFilter(cutoff),
+      })
+      return count
+    } catch (error) {
+      console.error("Failed to delete expired chunks:", error.message)
+      throw error
+    }
+  }
+
   async getCollectionInfo() {
     try {
-      const response = await this.client.get(`/collections/${this.collectionName}`)
+      const name = await this.resolveCollection()
+      const response = await this.client.get(`/collections/${name}`)
       const info = response.data.result
 
       return {
+        collection: name,
         pointsCount: info.points_count,
         vectorsCount: info.vectors_count,
         status: info.status,
+        vectorSize: info.config?.params?.vectors?.size,
+        embedding: info.config?.metadata || null,
+        embeddingCheck: this.embeddingCheck,
         config: info.config,
       }
     } catch (error) {
@@ -179,10 +682,11 @@ class VectorStoreService {
     }
   }
 
-  async deleteCollection() {
+  // Delete a collection by its own name; the alias cannot be deleted this way
+  async deleteCollection(name) {
     try {
-      await this.client.delete(`/collections/${this.collectionName}`)
-      console.log(`Deleted collection: ${this.collectionName}`)
+      await this.client.delete(`/collections/${name}`)
+      console.log(`Deleted collection: ${name}`)
     } catch (error) {
       console.error("Failed to delete collection:", error.message)
       throw error
@@ -198,7 +702,13 @@ export const searchInVectorDB = (queryEmbedding, limit, filters) =>
   vectorStore.searchSimilar(queryEmbedding, limit, filters)
 export const searchVectors = (queryEmbedding, limit, filters) =>
   vectorStore.searchSimilar(queryEmbedding, limit, filters)
-export const initializeVectorStore = () => vectorStore.initialize()
+export const deleteArticleChunks = (articleId, keepIds) => vectorStore.deleteArticleChunks(articleId, keepIds)
+export const deleteArticlesChunks = (articleIds) => vectorStore.deleteArticlesChunks(articleIds)
+export const reassignArticleChunks = (fromId, toId) => vectorStore.reassignArticleChunks(fromId, toId)
+export const countExpiredChunks = (cutoff) => vectorStore.countExpiredChunks(cutoff)
+export const deleteExpiredChunks = (cutoff) => vectorStore.deleteExpiredChunks(cutoff)
+export const initializeVectorStore = (embedding) => vectorStore.initialize(embedding)
+export const startVectorStore = (probe, requested) => vectorStore.start(probe, requested)
 export const getVectorStoreInfo = () => vectorStore.getCollectionInfo()
 
 export default vectorStore
@@ -0,0 +1,424 @@
+import crypto from "crypto"
+import { v4 as uuidv4 } from "uuid"
+import { getDatabase } from "../config/database.js"
+import config from "../config/environment.js"
+import { fetchUrl, postUrl } from "./fetcher.js"
+import { parseFeed } from "./feedFormats.js"
+import { getSource } from "./feedSources.js"
+
+// Algorithms a hub may sign notifications with (X-Hub-Signature: sha256=...)
+const SIGNATURE_ALGORITHMS = ["sha1", "sha256", "sha384", "sha512"]
+// Subscriptions still in use; notifications for anything else are refused
+const LIVE_STATUSES = ["pending", "active"]
+// States in which a subscribe verification answers a request we sent; a
+// request that timed out on our side may still have reached the hub
+const REQUESTED_STATUSES = [...LIVE_STATUSES, "failed"]
+
+const validationError = (message) => {
+  const error = new Error(message)
+  error.name = "ValidationError"
+  return error
+}
+
+/**
+ * Read rel="hub" and rel="self" targets from an HTTP Link header, e.g.
+ * <https://hub.example.com/>; rel="hub", <https://example.com/feed>; rel="self"
+ */
+function parseLinkHeader(header) {
+  const links = {}
+  for (const [, url, params] of String(header || "").matchAll(/<([^>]*)>((?:\s*;\s*[^;,]+)*)/g)) {
+    const rel = params.match(/rel\s*=\s*"?([^";]+)"?/i)?.[1]
+    for (const name of (rel || "").toLowerCase().split(/\s+/)) {
+      if (name && !links[name]) links[name] = url.trim()
+    }
+  }
+  return links
+}
+
+class WebSubService {
+  constructor() {
+    this.callbackBase = (config.WEBSUB_CALLBACK_URL || "").replace(/\/+$/, "")
+    this.leaseSeconds = config.WEBSUB_LEASE_SECONDS
+    this.requestTimeout = 15000
+    // A request the hub never verified is sent again after an hour
+    this.retryAfterSeconds = 60 * 60
+    // Leases are renewed a day before they run out, or halfway for short ones
+    this.renewBeforeSeconds = 24 * 60 * 60
+    // Last hub and topic recorded per source, to skip redundant upserts
+    this.knownHubs = new Map()
+  }
+
+  isEnabled() {
+    return Boolean(this.callbackBase) && getDatabase().isConnected
+  }
+
+  callbackUrl(subscription) {
+    return `${this.callbackBase}/${subscription.id}`
+  }
+
+  /**
+   * Find the hub and topic a feed advertises. The Link header wins over links
+   * inside the document; the topic defaults to the URL the feed was fetched
+   * from. Returns null for feeds without a hub.
+   */
+  discoverHub(feed, { headers = {}, url = null } = {}) {
+    const links = parseLinkHeader(headers.link)
+    const hub = links.hub || feed?.hub
+    if (!hub) return null
+
+    return { hub, topic: links.self || feed?.self || url }
+  }
+
+  /**
+   * Remember the hub of a polled feed so the renewal job subscribes to it.
+   * A changed hub or topic resets the subscription to "discovered".
+   */
+  async noteFeedHub(feedSource, feed, response) {
+    if (!feedSource.id || !this.isEnabled()) return
+
+    const found = this.discoverHub(feed, response)
+    if (!found?.topic) return
+
+    const known = `${found.hub} ${found.topic}`
+    if (this.knownHubs.get(feedSource.id) === known) return
+
+    await this.saveHub(feedSource.id, found)
+    this.knownHubs.set(feedSource.id, known)
+  }
+
+  async saveHub(sourceId, { hub, topic }) {
+    const result = await getDatabase().query(
+      `
+      INSERT INTO websub_subscriptions (id, source_id, hub_url, topic_url, secret, status)
+      VALUES ($1, $2, $3, $4, $5, 'discovered')
+      ON CONFLICT (source_id) DO UPDATE SET
+        hub_url = EXCLUDED.hub_url,
+        topic_url = EXCLUDED.topic_url,
+        status = 'discovered',
+        last_error = NULL,
+        updated_at = NOW()
+      WHERE websub_subscriptions.hub_url <> EXCLUDED.hub_url OR websub_subscriptions.topic_url <> EXCLUDED.topic_url
+      RETURNING *;
+    `,
+      [uuidv4(), sourceId, hub, topic, crypto.randomBytes(24).toString("hex")],
+    )
+
+    if (result.rows[0]) {
+      console.log(`Discovered WebSub hub ${hub} for ${topic}`)
+      return result.rows[0]
+    }
+    return this.getSubscriptionRow(sourceId)
+  }
+
+  async getSubscriptionRow(sourceId) {
+    const result = await getDatabase().query("SELECT * FROM websub_subscriptions WHERE source_id = $1", [sourceId])
+    return result.rows[0] || null
+  }
+
+  async getSubscription(sourceId) {
+    const row = await this.getSubscriptionRow(sourceId)
+    return row ? this.formatSubscription(row) : null
+  }
+
+  async listSubscriptions() {
+    if (!getDatabase().isConnected) return []
+
+    const result = await getDatabase().query("SELECT * FROM websub_subscriptions ORDER BY created_at ASC")
+    return result.rows.map((row) => this.formatSubscription(row))
+  }
+
+  /**
+   * Subscribe a feed source now, fetching the feed to discover its hub when
+   * none is known yet. Resolves to the subscription awaiting verification.
+   */
+  async subscribe(sourceId) {
+    if (!this.callbackBase) {
+      throw validationError("WebSub is disabled: set WEBSUB_CALLBACK_URL to a public callback URL")
+    }
+
+    const source = await getSource(sourceId)
+    if (!source) return null
+    if (!source.enabled) {
+      throw validationError("Feed source is disabled")
+    }
+    if (source.type !== "feed") {
+      throw validationError("Only feeds can be subscribed to through WebSub")
+    }
+
+    let subscription = await this.getSubscriptionRow(sourceId)
+    if (!subscription) {
+      const response = await fetchUrl(source.url, { responseType: "text" })
+      const found = this.discoverHub(await parseFeed(response.data), response)
+      if (!found) {
+        throw validationError("The feed does not advertise a WebSub hub")
+      }
+      subscription = await this.saveHub(sourceId, found)
+    }
+
+    return this.formatSubscription(await this.sendRequest(subscription, "subscribe"))
+  }
+
+  async unsubscribe(sourceId) {
+    const subscription = await this.getSubscriptionRow(sourceId)
+    if (!subscription) return null
+
+    return this.formatSubscription(await this.sendRequest(subscription, "unsubscribe"))
+  }
+
+  /**
+   * Ask the hub to (un)subscribe. The hub confirms asynchronously through
+   * verifyIntent, which may arrive before this request returns, so the
+   * pending state is saved first. A failed renewal keeps a lease that has not
+   * run out yet.
+   */
+  async sendRequest(subscription, mode) {
+    const db = getDatabase()
+    await db.query(
+      `
+      UPDATE websub_subscriptions
+      SET status = $2, requested_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `,
+      [subscription.id, mode === "subscribe" ? "pending" : "unsubscribing"],
+    )
+
+    const form = new URLSearchParams({
+      "hub.mode": mode,
+      "hub.topic": subscription.topic_url,
+      "hub.callback": this.callbackUrl(subscription),
+    })
+    if (mode === "subscribe") {
+      form.set("hub.lease_seconds", String(this.leaseSeconds))
+      form.set("hub.secret", subscription.secret)
+    }
+
+    let error = null
+    try {
+      // Hub URLs come from fetched feeds, so private and loopback hosts are refused like any fetch
+      await postUrl(subscription.hub_url, form.toString(), {
+        timeout: this.requestTimeout,
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          "User-Agent": config.FETCH_USER_AGENT,
+        },
+      })
+    } catch (requestError) {
+      const status = requestError.response?.status
+      error = status ? `Hub answered ${status}` : requestError.message
+      console.error(`WebSub ${mode} request to ${subscription.hub_url} failed:`, error)
+    }
+
+    const result = await db.query(
+      `
+      UPDATE websub_subscriptions
+      SET status = CASE
+            WHEN $2::text IS NULL THEN status
+            WHEN expires_at > NOW() THEN 'active'
+            ELSE 'failed'
+          END,
+          last_error = $2,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *;
+    `,
+      [subscription.id, error],
+    )
+    return result.rows[0]
+  }
+
+  /**
+   * Answer a hub's verification of intent (GET on the callback). Returns the
+   * challenge to echo back, or null when the request does not match a
+   * subscription we asked for. Denials are recorded and acknowledged.
+   */
+  async verifyIntent(id, query) {
+    const db = getDatabase()
+    if (!db.isConnected) return null
+
+    const result = await db.query(
+      `
+      SELECT w.*, s.enabled
+      FROM websub_subscriptions w
+      JOIN feed_sources s ON s.id = w.source_id
+      WHERE w.id = $1
+    `,
+      [id],
+    )
+    const subscription = result.rows[0]
+    const mode = query["hub.mode"]
+    if (!subscription || query["hub.topic"] !== subscription.topic_url) return null
+
+    if (mode === "denied") {
+      await db.query(
+        `
+        UPDATE websub_subscriptions
+        SET status = 'denied', expires_at = NULL, last_error = $2, updated_at = NOW()
+        WHERE id = $1
+      `,
+        [id, query["hub.reason"] || "Subscription denied by hub"],
+      )
+      console.warn(`WebSub hub denied subscription to ${subscription.topic_url}`)
+      return ""
+    }
+
+    const challenge = query["hub.challenge"]
+    if (!challenge) return null
+
+    if (mode === "subscribe" && subscription.enabled && REQUESTED_STATUSES.includes(subscription.status)) {
+      const leaseSeconds = Number.parseInt(query["hub.lease_seconds"]) || this.leaseSeconds
+      await db.query(
+        `
+        UPDATE websub_subscriptions
+        SET status = 'active',
+            lease_seconds = $2,
+            verified_at = NOW(),
+            expires_at = NOW() + make_interval(secs => $2),
+            last_error = NULL,
+            updated_at = NOW()
+        WHERE id = $1
+      `,
+        [id, leaseSeconds],
+      )
+      console.log(`WebSub subscription to ${subscription.topic_url} verified for ${leaseSeconds}s`)
+      return challenge
+    }
+
+    if (mode === "unsubscribe" && ["unsubscribing", "unsubscribed"].includes(subscription.status)) {
+      await db.query(
+        `
+        UPDATE websub_subscriptions
+        SET status = 'unsubscribed', expires_at = NULL, verified_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `,
+        [id],
+      )
+      return challenge
+    }
+
+    return null
+  }
+
+  /**
+   * Check a content notification (POST on the callback) against its
+   * subscription. Resolves to null for unknown or ended subscriptions,
+   * otherwise to { source, verified }, where verified is false when the
+   * X-Hub-Signature is missing or wrong and the content must be ignored.
+   */
+  async acceptNotification(id, body, signature) {
+    const db = getDatabase()
+    if (!db.isConnected) return null
+
+    const result = await db.query("SELECT * FROM websub_subscriptions WHERE id = $1", [id])
+    const subscription = result.rows[0]
+    if (!subscription || !LIVE_STATUSES.includes(subscription.status)) return null
+
+    const source = await getSource(subscription.source_id)
+    if (!source?.enabled) return null
+
+    const verified = this.verifySignature(subscription.secret, body, signature)
+    if (!verified) {
+      console.warn(`Ignoring WebSub notification for ${subscription.topic_url}: bad or missing signature`)
+      return { source, verified }
+    }
+
+    await db.query("UPDATE websub_subscriptions SET last_notified_at = NOW() WHERE id = $1", [id])
+    return { source, verified }
+  }
+
+  verifySignature(secret, body, header) {
+    const [algorithm, signature] = String(header || "").split("=")
+    if (!SIGNATURE_ALGORITHMS.includes(algorithm?.toLowerCase()) || !signature) return false
+
+    const expected = crypto.createHmac(algorithm.toLowerCase(), secret).update(body).digest()
+    const received = Buffer.from(signature.trim(), "hex")
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected)
+  }
+
+  /**
+   * Scheduled upkeep: subscribe newly discovered hubs, renew leases close to
+   * expiry, retry requests that failed or were never verified, and
+   * unsubscribe feeds that were disabled
+   */
+  async renewSubscriptions() {
+    const summary = { subscribed: 0, renewed: 0, unsubscribed: 0, failed: 0 }
+    if (!this.isEnabled()) return summary
+
+    const due = await getDatabase().query(
+      `
+      SELECT w.*, s.enabled
+      FROM websub_subscriptions w
+      JOIN feed_sources s ON s.id = w.source_id
+      WHERE (s.enabled AND (
+          w.status = 'discovered'
+          OR (w.status IN ('pending', 'failed') AND w.requested_at < NOW() - make_interval(secs => $1))
+          OR (w.status = 'active' AND w.expires_at < NOW() + make_interval(secs => LEAST($2, w.lease_seconds / 2)))
+        ))
+        OR (NOT s.enabled AND w.status IN ('pending', 'active'))
+      ORDER BY w.expires_at ASC NULLS FIRST
+    `,
+      [this.retryAfterSeconds, this.renewBeforeSeconds],
+    )
+
+    for (const subscription of due.rows) {
+      const mode = subscription.enabled ? "subscribe" : "unsubscribe"
+      const updated = await this.sendRequest(subscription, mode)
+
+      if (updated.last_error) {
+        summary.failed++
+      } else if (mode === "unsubscribe") {
+        summary.unsubscribed++
+      } else if (subscription.status === "active") {
+        summary.renewed++
+      } else {
+        summary.subscribed++
+      }
+    }
+
+    return summary
+  }
+
+  async getStats() {
+    if (!getDatabase().isConnected) return { enabled: false, subscriptions: {} }
+
+    const result = await getDatabase().query(
+      "SELECT status, COUNT(*) AS count FROM websub_subscriptions GROUP BY status",
+    )
+    return {
+      enabled: this.isEnabled(),
+      subscriptions: Object.fromEntries(result.rows.map((row) => [row.status, Number.parseInt(row.count)])),
+    }
+  }
+
+  // The secret never leaves the server
+  formatSubscription(row) {
+    return {
+      id: row.id,
+      sourceId: row.source_id,
+      hub: row.hub_url,
+      topic: row.topic_url,
+      callback: this.callbackBase ? this.callbackUrl(row) : null,
+      status: row.status,
+      leaseSeconds: row.lease_seconds,
+      requestedAt: row.requested_at || null,
+      verifiedAt: row.verified_at || null,
+      expiresAt: row.expires_at || null,
+      lastNotifiedAt: row.last_notified_at || null,
+      lastError: row.last_error || null,
+    }
+  }
+}
+
+const webSubService = new WebSubService()
+
+// Export functions for easier use
+export const noteFeedHub = (feedSource, feed, response) => webSubService.noteFeedHub(feedSource, feed, response)
+export const subscribeSource = (sourceId) => webSubService.subscribe(sourceId)
+export const unsubscribeSource = (sourceId) => webSubService.unsubscribe(sourceId)
+export const getSubscription = (sourceId) => webSubService.getSubscription(sourceId)
+export const listSubscriptions = () => webSubService.listSubscriptions()
+export const verifyIntent = (id, query) => webSubService.verifyIntent(id, query)
+export const acceptNotification = (id, body, signature) => webSubService.acceptNotification(id, body, signature)
+export const renewSubscriptions = () => webSubService.renewSubscriptions()
+export const getWebSubStats = () => webSubService.getStats()
+
+export default webSubService
@@ -0,0 +1,128 @@
+import { splitSentences, splitParagraphs, estimateTokens, getChunker, CHUNK_STRATEGIES } from "../services/chunkers.js"
+
+describe("splitSentences", () => {
+  it("splits on sentence terminators", () => {
+    expect(splitSentences("Rain is due. Is it? Yes!")).toEqual(["Rain is due.", "Is it?", "Yes!"])
+  })
+
+  it("does not split decimals", () => {
+    expect(splitSentences("Prices rose 3.5 percent. Rates held.")).toEqual(["Prices rose 3.5 percent.", "Rates held."])
+  })
+
+  it("does not split after common abbreviations", () => {
+    expect(splitSentences("Mr. Smith joined Acme Inc. on Jan. 4. He left.")).toEqual([
+      "Mr. Smith joined Acme Inc. on Jan. 4.",
+      "He left.",
+    ])
+  })
+
+  it("does not split after number abbreviations followed by a number", () => {
+    expect(splitSentences("It ranked No. 10 this year.")).toEqual(["It ranked No. 10 this year."])
+  })
+
+  it("splits after a number abbreviation that ends a sentence", () => {
+    expect(splitSentences("She said no. Then she left.")).toEqual(["She said no.", "Then she left."])
+  })
+
+  it("does not split after initials", () => {
+    expect(splitSentences("J. Smith wrote the report.")).toEqual(["J. Smith wrote the report."])
+  })
+
+  it("does not split dotted acronyms inside a sentence", () => {
+    expect(splitSentences("The U.S. Army and e.g. the navy agreed.")).toEqual([
+      "The U.S. Army and e.g. the navy agreed.",
+    ])
+  })
+
+  it("splits after a dotted acronym that ends a sentence", () => {
+    expect(splitSentences("He grew up in the U.S. He moved to Paris.")).toEqual([
+      "He grew up in the U.S.",
+      "He moved to Paris.",
+    ])
+  })
+
+  it("does not split before a lowercase word", () => {
+    expect(splitSentences("The plan, approx. two years old, was dropped.")).toEqual([
+      "The plan, approx. two years old, was dropped.",
+    ])
+  })
+
+  it("keeps closing quotes with their sentence", () => {
+    expect(splitSentences('He said "Stop." Then he left.')).toEqual(['He said "Stop."', "Then he left."])
+  })
+
+  it("splits on CJK full stops without spaces", () => {
+    expect(splitSentences("这是第一句。这是第二句。")).toEqual(["这是第一句。", "这是第二句。"])
+  })
+})
+
+describe("splitParagraphs", () => {
+  it("splits on blank lines and collapses whitespace inside paragraphs", () => {
+    expect(splitParagraphs("First  line\nsame paragraph.\n\n \nSecond.")).toEqual([
+      "First line same paragraph.",
+      "Second.",
+    ])
+  })
+})
+
+describe("estimateTokens", () => {
+  it("counts words by length, punctuation and CJK characters one each", () => {
+    expect(estimateTokens("a extraordinary, 新闻")).toBe(1 + 4 + 1 + 2)
+  })
+})
+
+describe("chunkers", () => {
+  const text = [
+    "The council met on Monday. It approved the budget. Spending rises next year.",
+    "Opposition members objected. They said taxes would rise too.",
+  ].join("\n\n")
+
+  it("offers the four strategies", () => {
+    expect(CHUNK_STRATEGIES).toEqual(["sentence", "paragraph", "recursive-character", "token-budget"])
+  })
+
+  it("rejects unknown strategies", () => {
+    expect(() => getChunker("words")).toThrow("Unknown chunking strategy: words")
+  })
+
+  it("sentence: packs whole sentences and carries the last one over", () => {
+    expect(getChunker("sentence").chunk(text, { maxChunkSize: 60, overlap: 30 })).toEqual([
+      "The council met on Monday. It approved the budget.",
+      "It approved the budget. Spending rises next year.",
+      "Spending rises next year. Opposition members objected.",
+      "Opposition members objected. They said taxes would rise too.",
+    ])
+  })
+
+  it("paragraph: keeps paragraphs that fit whole", () => {
+    expect(getChunker("paragraph").chunk(text, { maxChunkSize: 80, overlap: 0 })).toEqual([
+      "The council met on Monday. It approved the budget. Spending rises next year.",
+      "Opposition members objected. They said taxes would rise too.",
+    ])
+  })
+
+  it("paragraph: splits a paragraph too long for one chunk into sentences", () => {
+    expect(getChunker("paragraph").chunk(text, { maxChunkSize: 60, overlap: 0 })).toEqual([
+      "The council met on Monday. It approved the budget.",
+      "Spending rises next year.",
+      "Opposition members objected. They said taxes would rise too.",
+    ])
+  })
+
+  it("recursive-character: splits on paragraphs, then sentence punctuation", () => {
+    expect(getChunker("recursive-character").chunk(text, { maxChunkSize: 70, overlap: 0 })).toEqual([
+      "The council met on Monday. It approved the budget.",
+      "Spending rises next year.",
+      "Opposition members objected. They said taxes would rise too.",
+    ])
+  })
+
+  it("token-budget: packs sentences up to the estimated token budget", () => {
+    const chunks = getChunker("token-budget").chunk(text, { maxTokens: 16, tokenOverlap: 0 })
+    expect(chunks).toEqual([
+      "The council met on Monday. It approved the budget.",
+      "Spending rises next year. Opposition members objected.",
+      "They said taxes would rise too.",
+    ])
+  })
+})
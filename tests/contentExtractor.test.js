@@ -0,0 +1,102 @@
+import { readFileSync } from "fs"
+import contentExtractor, { extractContent } from "../services/contentExtractor.js"
+
+const page = (name) => readFileSync(new URL(`./fixtures/pages/${name}`, import.meta.url), "utf8")
+
+describe("extractContent", () => {
+  describe("per-domain rules", () => {
+    it("extracts BBC text blocks without captions, topics or related links", () => {
+      const result = extractContent(page("bbc.html"), "https://www.bbc.co.uk/news/uk-scotland-68100000")
+
+      expect(result.method).toBe("rules")
+      expect(result.content.split("\n\n")).toEqual([
+        "Thousands of homes across Scotland are without power after Storm Nadia brought gusts of up to 90mph overnight.",
+        "Scottish and Southern Electricity Networks said about 20,000 customers were affected, " +
+          "mostly in the Highlands, Moray and Aberdeenshire.",
+        "Engineers have been working since first light to reconnect supplies, " +
+          "but the company warned some rural properties could be without electricity until Wednesday.",
+        "ScotRail suspended several routes while Network Rail teams cleared debris from the lines.",
+      ])
+      expect(result).toMatchObject({
+        title: "Storm Nadia: Thousands without power as winds reach 90mph",
+        canonicalUrl: "https://www.bbc.co.uk/news/uk-scotland-68100000",
+        openGraph: {
+          image: "https://ichef.bbci.co.uk/news/1024/branded_news/storm-nadia.jpg",
+          description: "Engineers are working to restore supplies after the storm brought down power lines.",
+          publishedTime: "2024-01-30T07:12:45.000Z",
+        },
+      })
+    })
+
+    it("extracts the Guardian article body without rich links, tags or the reader appeal", () => {
+      const result = extractContent(page("guardian.html"), "https://www.theguardian.com/environment/2024/may/14/bees")
+
+      expect(result.method).toBe("rules")
+      expect(result.content.split("\n\n")).toHaveLength(4)
+      expect(result.content).toMatch(/^Wild bee numbers have tripled/)
+      expect(result.content).toMatch(/pollination of neighbouring crops improved\.$/)
+      expect(result.content).not.toMatch(/Insect numbers down|Photograph|supporting the Guardian|Register for free/)
+      expect(result.canonicalUrl).toBe(
+        "https://www.theguardian.com/environment/2024/may/14/bee-populations-rebound-rewilded-farmland-study",
+      )
+    })
+
+    it("extracts NPR story text without image captions, sponsors or share tools", () => {
+      const result = extractContent(page("npr.html"), "https://www.npr.org/2024/03/11/1237000000/library-remote-workers")
+
+      expect(result.method).toBe("rules")
+      expect(result.content.split("\n\n")).toHaveLength(4)
+      expect(result.content).toMatch(/^When the last coworking space in Millbrook closed/)
+      expect(result.content).not.toMatch(/Photo by|sponsors|Share this story|remote work$/)
+      expect(result.openGraph.publishedTime).toBe("2024-03-11T13:00:00.000Z")
+    })
+  })
+
+  describe("scoring fallback", () => {
+    it("finds the article body of a page without rules and leaves out the boilerplate", () => {
+      const result = extractContent(page("blog.html"), "https://greencity.example.org/2024/04/tiny-forests")
+
+      expect(result.method).toBe("score")
+      expect(result.content).toMatch(/^Why our city is planting tiny forests\n\nOver the past year/)
+      expect(result.content).toMatch(/council plans another eight next year\.$/)
+      expect(result.content).not.toMatch(/cookies|Popular posts|Share on|comments|Creative Commons/)
+      expect(result.canonicalUrl).toBe("https://greencity.example.org/2024/04/tiny-forests")
+      expect(result.openGraph.image).toBe("https://greencity.example.org/images/tiny-forest.jpg")
+      expect(result.title).toBe("Why our city is planting tiny forests")
+    })
+
+    it("scores the page when a domain's selectors match nothing", () => {
+      const result = extractContent(page("blog.html"), "https://www.bbc.co.uk/news/blogs/tiny-forests")
+
+      expect(result.method).toBe("score")
+      expect(result.content).toMatch(/Over the past year/)
+    })
+
+    it("still extracts a rules domain's article when served from another host", () => {
+      const result = extractContent(page("bbc.html"), "https://mirror.example.net/storm-nadia")
+
+      expect(result.method).toBe("score")
+      expect(result.content).toMatch(/^Thousands of homes across Scotland/)
+      expect(result.content).toMatch(/Engineers have been working since first light/)
+    })
+
+    it("returns no content for a page without article text", () => {
+      const html = "<html><body><nav><a href='/'>Home</a></nav><p>Short note.</p></body></html>"
+      expect(extractContent(html, "https://example.com/").content).toBeNull()
+    })
+  })
+
+  describe("getRulesFor", () => {
+    it("matches subdomains of a rules domain", () => {
+      expect(contentExtractor.getRulesFor("https://feeds.bbc.co.uk/news/story")).toBe(
+        contentExtractor.getRulesFor("https://www.bbc.co.uk/news/story"),
+      )
+      expect(contentExtractor.getRulesFor("https://www.npr.org/x").contentSelectors).toEqual(["#storytext"])
+    })
+
+    it("does not match other domains that end with the same text", () => {
+      expect(contentExtractor.getRulesFor("https://notbbc.co.uk/news")).toBeNull()
+      expect(contentExtractor.getRulesFor("not a url")).toBeNull()
+    })
+  })
+})
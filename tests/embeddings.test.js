@@ -0,0 +1,246 @@
+import http from "http"
+import { createEmbeddingProvider } from "../services/embeddingProviders.js"
+import { EmbeddingService } from "../services/embeddings.js"
+import embeddingCache from "../services/embeddingCache.js"
+
+const cosine = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0)
+
+// The hashing embedder, recording the texts of every provider request
+const recordingProvider = (dimensions = 64) => {
+  const provider = createEmbeddingProvider("hashing", { dimensions })
+  const embed = provider.embed.bind(provider)
+  provider.requests = []
+  provider.embed = async (texts) => {
+    provider.requests.push(texts)
+    return embed(texts)
+  }
+  return provider
+}
+
+// A provider answering with `respond(texts, call)`, recording the texts of every request
+const stubProvider = (respond) => {
+  const provider = {
+    name: "stub",
+    model: "stub-model",
+    dimensions: 2,
+    requests: [],
+    isConfigured: () => true,
+    embed: async (texts) => {
+      provider.requests.push(texts)
+      return respond(texts, provider.requests.length)
+    },
+  }
+  return provider
+}
+
+const httpError = (status) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } })
+
+const serviceFor = (provider) => {
+  const service = new EmbeddingService(provider)
+  service.retryDelay = 0
+  return service
+}
+
+beforeEach(() => {
+  // Without Redis the cache lives in memory, shared by every service
+  embeddingCache.memory.clear()
+})
+
+describe("HashingProvider", () => {
+  const provider = createEmbeddingProvider("hashing", { dimensions: 256 })
+
+  it("names its model after its size and defaults to 768 dimensions", () => {
+    expect(provider.model).toBe("hashing-256")
+    expect(createEmbeddingProvider("hashing").dimensions).toBe(768)
+  })
+
+  it("gives the same text the same unit vector", async () => {
+    const [first, second] = await provider.embed(["Storm hits the coast", "Storm hits the coast"])
+    expect(first).toHaveLength(256)
+    expect(first).toEqual(second)
+    expect(cosine(first, first)).toBeCloseTo(1)
+  })
+
+  it("scores texts sharing words above unrelated texts", async () => {
+    const [query, related, unrelated] = await provider.embed([
+      "central bank raises interest rates",
+      "the central bank raises interest rates again",
+      "football club signs new striker",
+    ])
+    expect(cosine(query, related)).toBeGreaterThan(cosine(query, unrelated))
+  })
+
+  it("returns a zero vector for text without words", async () => {
+    const [vector] = await provider.embed(["!!!"])
+    expect(vector.every((value) => value === 0)).toBe(true)
+  })
+})
+
+describe("LocalProvider", () => {
+  // Stands in for the transformers.js pipeline: one 4-dimensional vector per text
+  const withExtractor = (provider) => {
+    provider.extractor = async (texts) => ({ tolist: () => texts.map(() => [0.5, 0.5, 0.5, 0.5]) })
+    return provider
+  }
+
+  it("measures the model's size when none is requested", async () => {
+    const provider = withExtractor(createEmbeddingProvider("local"))
+    expect(provider.dimensions).toBeNull()
+    await provider.embed(["text"])
+    expect(provider.dimensions).toBe(4)
+  })
+
+  it("keeps the leading values of a requested size, at unit length", async () => {
+    const provider = withExtractor(createEmbeddingProvider("local", { dimensions: 2 }))
+    const [vector] = await provider.embed(["text"])
+    expect(vector).toHaveLength(2)
+    expect(vector[0]).toBeCloseTo(Math.SQRT1_2)
+    expect(cosine(vector, vector)).toBeCloseTo(1)
+  })
+
+  it("caches under the measured size when none is requested", async () => {
+    const provider = withExtractor(createEmbeddingProvider("local"))
+    const service = new EmbeddingService(provider)
+    expect(service.cacheModel).toBeNull()
+
+    await service.embedBatch(["text"])
+    const [result] = await service.embedBatch(["text"])
+
+    expect(service.cacheModel).toBe("local:Xenova/all-MiniLM-L6-v2@4")
+    expect(result.cached).toBe(true)
+  })
+
+  it("refuses a requested size larger than the model's", async () => {
+    const provider = withExtractor(createEmbeddingProvider("local", { dimensions: 8 }))
+    await expect(provider.embed(["text"])).rejects.toThrow("fewer than the 8 requested")
+  })
+})
+
+describe("EmbeddingService", () => {
+  it("embeds each distinct text once and answers in input order", async () => {
+    const provider = recordingProvider()
+    const service = new EmbeddingService(provider)
+
+    const results = await service.embedBatch(["alpha news", "beta  news", "alpha news", ""])
+
+    expect(provider.requests).toEqual([["alpha news", "beta news"]])
+    expect(results[0].embedding).toEqual(results[2].embedding)
+    expect(results[0].embedding).not.toEqual(results[1].embedding)
+    expect(results[3].error.message).toBe("Text cannot be empty")
+  })
+
+  it("serves repeated texts from the cache", async () => {
+    const provider = recordingProvider()
+    const service = new EmbeddingService(provider)
+
+    await service.embedBatch(["alpha news"])
+    const [result] = await service.embedBatch(["alpha news"])
+
+    expect(result.cached).toBe(true)
+    expect(provider.requests).toHaveLength(1)
+  })
+
+  it("splits requests by item count and token budget", () => {
+    const service = new EmbeddingService(recordingProvider())
+    service.batchSize = 2
+    expect(service.batchesOf(["a", "b", "c"])).toEqual([["a", "b"], ["c"]])
+
+    service.batchSize = 64
+    service.batchTokens = 10
+    const long = "word ".repeat(30).trim()
+    expect(service.batchesOf(["a", long, "b"])).toEqual([["a"], [long], ["b"]])
+  })
+
+  it("reports the probed size with the provider and model", async () => {
+    const service = new EmbeddingService(recordingProvider(32))
+    await expect(service.getModelInfo()).resolves.toEqual({ provider: "hashing", model: "hashing-32", dimensions: 32 })
+    expect(service.getRequestedModelInfo().dimensions).toBe(32)
+  })
+})
+
+describe("EmbeddingService partial failures", () => {
+  it("halves a rejected group until the refused input is isolated", async () => {
+    const provider = stubProvider((texts) => {
+      if (texts.includes("bad")) throw httpError(400)
+      return texts.map(() => [1, 0])
+    })
+
+    const results = await serviceFor(provider).embedBatch(["a", "bad", "c", "d"])
+
+    expect(provider.requests).toEqual([["a", "bad", "c", "d"], ["a", "bad"], ["a"], ["bad"], ["c", "d"]])
+    expect(results.map((result) => Boolean(result.embedding))).toEqual([true, false, true, true])
+    expect(results[1].error.message).toMatch(/^Embedding request rejected/)
+  })
+
+  it("sends again only the inputs that came back short or empty", async () => {
+    const provider = stubProvider((texts, call) =>
+      call === 1 ? [[1, 0], [], undefined].slice(0, texts.length) : texts.map(() => [0, 1]),
+    )
+
+    const results = await serviceFor(provider).embedBatch(["a", "b", "c"])
+
+    expect(provider.requests).toEqual([["a", "b", "c"], ["b", "c"]])
+    expect(results.map((result) => result.embedding)).toEqual([[1, 0], [0, 1], [0, 1]])
+  })
+
+  it("fails an input the provider never returns after the last attempt", async () => {
+    const provider = stubProvider((texts) => texts.map((text) => (text === "gone" ? [] : [1, 0])))
+
+    const results = await serviceFor(provider).embedBatch(["a", "gone"])
+
+    expect(provider.requests).toEqual([["a", "gone"], ["gone"], ["gone"]])
+    expect(results[0].embedding).toEqual([1, 0])
+    expect(results[1].error.message).toBe("Provider returned no embedding after 3 attempts")
+  })
+
+  it.each([429, 503])("retries the whole group after a %i", async (status) => {
+    const provider = stubProvider((texts, call) => {
+      if (call === 1) throw httpError(status)
+      return texts.map(() => [1, 0])
+    })
+
+    const results = await serviceFor(provider).embedBatch(["a", "b"])
+
+    expect(provider.requests).toEqual([["a", "b"], ["a", "b"]])
+    expect(results.every((result) => result.embedding)).toBe(true)
+  })
+
+  it("gives up on a group after the last retry", async () => {
+    const provider = stubProvider(() => {
+      throw httpError(503)
+    })
+
+    const results = await serviceFor(provider).embedBatch(["a", "b"])
+
+    expect(provider.requests).toHaveLength(3)
+    expect(results[0].error.message).toMatch(/^Failed to generate embedding after 3 attempts/)
+  })
+})
+
+describe("OpenAICompatibleProvider", () => {
+  let server
+  let url
+  beforeAll(async () => {
+    // Answers with vectors for all but the last input, out of order
+    server = http.createServer((req, res) => {
+      let body = ""
+      req.on("data", (data) => (body += data))
+      req.on("end", () => {
+        const { input } = JSON.parse(body)
+        const data = input.slice(0, -1).map((text, index) => ({ index, embedding: [index, 1] })).reverse()
+        res.writeHead(200, { "Content-Type": "application/json" })
+        res.end(JSON.stringify({ data }))
+      })
+    })
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+    url = `http://127.0.0.1:${server.address().port}/v1`
+  })
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)))
+
+  it("returns what a short response holds, in input order, leaving the rest to retry", async () => {
+    const provider = createEmbeddingProvider("openai", { apiUrl: url, model: "test" })
+    await expect(provider.embed(["a", "b", "c"])).resolves.toEqual([[0, 1], [1, 1], undefined])
+  })
+})
@@ -0,0 +1,236 @@
+import { readFileSync } from "fs"
+import { parseFeed, parseSitemap } from "../services/feedFormats.js"
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/feeds/${name}`, import.meta.url), "utf8")
+const sitemapFixture = (name) => readFileSync(new URL(`./fixtures/sitemaps/${name}`, import.meta.url), "utf8")
+
+describe("parseFeed", () => {
+  describe("RSS 2.0", () => {
+    let feed
+    beforeAll(async () => {
+      feed = await parseFeed(fixture("rss2.xml"))
+    })
+
+    it("reads the channel and its WebSub links", () => {
+      expect(feed).toMatchObject({
+        format: "rss",
+        title: "Example World News",
+        link: "https://news.example.com/world",
+        hub: "https://hub.example.com/",
+        self: "https://news.example.com/world/rss.xml",
+      })
+      expect(feed.items).toHaveLength(2)
+    })
+
+    it("normalizes items with content:encoded, Dublin Core and Media RSS", () => {
+      const [item] = feed.items
+      expect(item).toMatchObject({
+        title: "Talks resume & markets rally",
+        link: "https://news.example.com/world/talks-resume",
+        guid: "world-1001",
+        description: "Negotiators returned to the table.",
+        pubDate: "2024-06-03T08:30:00.000Z",
+        author: "Jane Reporter",
+        categories: ["World", "Markets"],
+        image: "https://cdn.example.com/talks-large.jpg",
+      })
+      expect(item.content).toContain("Negotiators returned to the table on Monday.")
+      expect(item.content).not.toContain("<p>")
+      expect(item.media.map((media) => media.role)).toEqual(["content", "thumbnail"])
+    })
+
+    it("takes the link from a permalink guid and keeps non-image enclosures", () => {
+      const item = feed.items[1]
+      expect(item).toMatchObject({
+        link: "https://news.example.com/podcasts/week-23",
+        guid: "https://news.example.com/podcasts/week-23",
+        pubDate: "2024-06-07T16:00:00.000Z",
+        author: "desk@example.com (News Desk)",
+        image: null,
+      })
+      expect(item.media).toEqual([expect.objectContaining({ type: "audio/mpeg", role: "enclosure" })])
+    })
+  })
+
+  describe("Atom 1.0", () => {
+    let feed
+    beforeAll(async () => {
+      feed = await parseFeed(fixture("atom.xml"))
+    })
+
+    it("reads the feed and its WebSub links", () => {
+      expect(feed).toMatchObject({
+        format: "atom",
+        title: "Example Science",
+        link: "https://science.example.org/",
+        hub: "https://hub.example.org/",
+        self: "https://science.example.org/atom.xml",
+      })
+      expect(feed.items).toHaveLength(3)
+    })
+
+    it("decodes type=html text constructs, including text without tags", () => {
+      const [entry] = feed.items
+      expect(entry).toMatchObject({
+        title: "Probes find <b>water</b> & ice",
+        link: "https://science.example.org/2024/06/water",
+        guid: "tag:science.example.org,2024:water",
+        description: "Signs of water ice near the pole.",
+        content: "Instruments detected water ice in shadowed craters.",
+        pubDate: "2024-06-04T07:15:00.000Z",
+        author: "Ada Scientist, Grace Editor",
+        categories: ["Space", "Planets"],
+        image: "https://science.example.org/media/water.png",
+      })
+    })
+
+    it("reads the text of type=xhtml text constructs in document order", () => {
+      const entry = feed.items[1]
+      expect(entry.title).toBe("A quiet sun")
+      expect(entry.content).toBe("Solar activity dropped sharply this month. Forecasters expect it to pick up again.")
+      expect(entry.description).toBe(entry.content)
+      expect(entry.link).toBe("https://science.example.org/2024/06/quiet-sun")
+    })
+
+    it("falls back to the id as link and to updated as date", () => {
+      expect(feed.items[2]).toMatchObject({
+        title: "Plain text title",
+        link: "https://science.example.org/2024/06/plain",
+        description: "Only a summary here.",
+        content: "",
+        pubDate: "2024-06-02T08:00:00.000Z",
+        author: "",
+      })
+    })
+  })
+
+  describe("RDF / RSS 1.0", () => {
+    let feed
+    beforeAll(async () => {
+      feed = await parseFeed(fixture("rdf.xml"))
+    })
+
+    it("reads the channel and the items beside it", () => {
+      expect(feed).toMatchObject({ format: "rdf", title: "Example Local", link: "https://local.example.net/" })
+      expect(feed.items).toHaveLength(2)
+    })
+
+    it("normalizes items with Dublin Core dates, creators and subjects", () => {
+      expect(feed.items[0]).toMatchObject({
+        title: "Council approves new budget",
+        link: "https://local.example.net/council-vote",
+        guid: "https://local.example.net/council-vote",
+        description: "The council voted 7 to 2 in favour.",
+        pubDate: "2024-06-05T23:45:00.000Z",
+        author: "Sam Local",
+        categories: ["Politics"],
+      })
+    })
+
+    it("takes the link from rdf:about when an item has none", () => {
+      expect(feed.items[1].link).toBe("https://local.example.net/library")
+    })
+  })
+
+  describe("JSON Feed", () => {
+    let feed
+    beforeAll(async () => {
+      feed = await parseFeed(fixture("jsonfeed.json"))
+    })
+
+    it("reads the feed and its WebSub hub", () => {
+      expect(feed).toMatchObject({
+        format: "json",
+        title: "Example Tech",
+        link: "https://tech.example.io/",
+        hub: "https://hub.example.io/",
+        self: "https://tech.example.io/feed.json",
+      })
+      expect(feed.items).toHaveLength(2)
+    })
+
+    it("normalizes items with HTML content, authors, tags and images", () => {
+      expect(feed.items[0]).toMatchObject({
+        title: "New chips ship early",
+        link: "https://tech.example.io/posts/chips",
+        guid: "tech-42",
+        description: "Chips arrive ahead of schedule.",
+        content: "The new chips are shipping a month early.",
+        pubDate: "2024-06-06T07:00:00.000Z",
+        author: "Lin Writer, Kim Analyst",
+        categories: ["Hardware", "Chips"],
+        image: "https://tech.example.io/img/chips.jpg",
+      })
+    })
+
+    it("handles external links, text content, a 1.0 author and attachments", () => {
+      const item = feed.items[1]
+      expect(item).toMatchObject({
+        link: "https://elsewhere.example.com/report",
+        description: "A report worth reading.",
+        content: "A report worth reading.",
+        pubDate: "2024-06-05T12:00:00.000Z",
+        author: "Lin Writer",
+        image: null,
+      })
+      expect(item.media).toEqual([expect.objectContaining({ type: "application/pdf", role: "enclosure" })])
+    })
+  })
+
+  it("rejects documents that are not feeds", async () => {
+    await expect(parseFeed("<html><body>Not a feed</body></html>")).rejects.toThrow("Unsupported feed format")
+  })
+})
+
+describe("parseSitemap", () => {
+  describe("Google News sitemap", () => {
+    let sitemap
+    beforeAll(async () => {
+      sitemap = await parseSitemap(sitemapFixture("news-sitemap.xml"))
+    })
+
+    it("is recognized by its news titles and skips invalid locations", () => {
+      expect(sitemap.format).toBe("news-sitemap")
+      expect(sitemap.items.map((item) => item.link)).toEqual([
+        "https://news.example.com/business/rates-hold",
+        "https://news.example.com/sport/final",
+      ])
+    })
+
+    it("normalizes news:news entries with keywords and images", () => {
+      expect(sitemap.items[0]).toMatchObject({
+        title: "Rates hold & markets wait",
+        guid: "https://news.example.com/business/rates-hold",
+        pubDate: "2024-06-05T08:00:00.000Z",
+        categories: ["Economy", "Interest rates"],
+        image: "https://cdn.example.com/rates.jpg",
+      })
+      expect(sitemap.items[1]).toMatchObject({ pubDate: "2024-06-06T00:00:00.000Z", categories: [], image: null })
+    })
+
+    it("reads the news namespace under any prefix", async () => {
+      const { items } = await parseSitemap(`
+        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+          xmlns:n="http://www.google.com/schemas/sitemap-news/0.9">
+          <url>
+            <loc>https://news.example.com/a</loc>
+            <n:news><n:title>Prefixed</n:title><n:publication_date>2024-06-01</n:publication_date></n:news>
+          </url>
+        </urlset>`)
+      expect(items[0]).toMatchObject({ title: "Prefixed", pubDate: "2024-06-01T00:00:00.000Z" })
+    })
+  })
+
+  it("reads the child sitemaps of an index", async () => {
+    const sitemap = await parseSitemap(sitemapFixture("sitemap-index.xml"))
+    expect(sitemap).toMatchObject({ format: "sitemapindex", items: [] })
+    expect(sitemap.sitemaps[1]).toEqual({
+      url: "https://news.example.com/sitemaps/news.xml",
+      lastmod: "2024-06-06T10:00:00.000Z",
+    })
+  })
+
+  it("rejects documents that are not sitemaps", async () => {
+    await expect(parseSitemap("<rss><channel/></rss>")).rejects.toThrow("Unsupported sitemap format")
+  })
+})
@@ -0,0 +1,143 @@
+import politeFetcher, { decodeText } from "../services/fetcher.js"
+
+describe("PoliteFetcher robots.txt", () => {
+  const parse = (text) => politeFetcher.parseRobots(text)
+
+  it("uses our product token", () => {
+    expect(politeFetcher.agentToken).toBe("newsbot")
+  })
+
+  it("applies the group naming our token, case-insensitively", () => {
+    const robots = parse(`
+User-agent: *
+Disallow: /
+
+User-agent: NewsBot
+Disallow: /private/
+Crawl-delay: 2
+`)
+    expect(robots).toEqual({ rules: [{ allow: false, path: "/private/" }], crawlDelay: 2 })
+  })
+
+  it("does not apply groups of agents whose name is only part of ours", () => {
+    const robots = parse(`
+User-agent: bot
+Disallow: /
+
+User-agent: *
+Disallow: /admin/
+`)
+    expect(robots.rules).toEqual([{ allow: false, path: "/admin/" }])
+    expect(politeFetcher.isAllowed(robots, "/news/story")).toBe(true)
+  })
+
+  it("does not apply groups of longer names that start with ours", () => {
+    const robots = parse(`
+User-agent: newsbot-images
+Disallow: /
+
+User-agent: *
+Allow: /
+`)
+    expect(politeFetcher.isAllowed(robots, "/news/story")).toBe(true)
+  })
+
+  it("does not apply groups naming a prefix of our token", () => {
+    const robots = parse(`
+User-agent: news
+Disallow: /
+
+User-agent: *
+Disallow: /admin/
+`)
+    expect(robots.rules).toEqual([{ allow: false, path: "/admin/" }])
+    expect(politeFetcher.isAllowed(parse("User-agent: News\nDisallow: /a/"), "/a/story")).toBe(true)
+  })
+
+  it("combines every group naming our token", () => {
+    const robots = parse(`
+User-agent: newsbot
+Disallow: /a/
+
+User-agent: otherbot
+User-agent: NEWSBOT
+Disallow: /b/
+`)
+    expect(robots.rules).toEqual([
+      { allow: false, path: "/a/" },
+      { allow: false, path: "/b/" },
+    ])
+  })
+
+  it("lets the longest matching rule win, and Allow win a tie", () => {
+    const robots = parse(`
+User-agent: *
+Disallow: /news/
+Allow: /news/public/
+Disallow: /*.pdf$
+`)
+    expect(politeFetcher.isAllowed(robots, "/news/secret")).toBe(false)
+    expect(politeFetcher.isAllowed(robots, "/news/public/story")).toBe(true)
+    expect(politeFetcher.isAllowed(robots, "/files/report.pdf")).toBe(false)
+    expect(politeFetcher.isAllowed(robots, "/files/report.pdf?x=1")).toBe(true)
+  })
+})
+
+describe("PoliteFetcher private addresses", () => {
+  it.each([
+    "http://127.0.0.1/admin",
+    "http://[::1]:8080/",
+    "http://[::ffff:10.0.0.1]/",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://192.168.1.1/",
+    "http://2130706433/",
+    "http://[64:ff9b::a00:1]/",
+    "http://[2002:a00:1::]/",
+  ])("refuses %s", async (url) => {
+    await expect(politeFetcher.fetch(url)).rejects.toMatchObject({ code: "PRIVATE_ADDRESS" })
+  })
+
+  it("refuses hostnames that resolve to a private address", async () => {
+    await expect(politeFetcher.fetch("http://localhost:6333/collections")).rejects.toMatchObject({
+      code: "PRIVATE_ADDRESS",
+    })
+    expect(politeFetcher.robotsCache.has("http://localhost:6333")).toBe(false)
+  })
+
+  it("refuses posts to private addresses, as sent to WebSub hubs", async () => {
+    await expect(politeFetcher.post("http://10.0.0.5/hub", "hub.mode=subscribe")).rejects.toMatchObject({
+      code: "PRIVATE_ADDRESS",
+    })
+    await expect(politeFetcher.post("http://localhost:6333/hub", "hub.mode=subscribe")).rejects.toMatchObject({
+      code: "PRIVATE_ADDRESS",
+    })
+  })
+
+  it("refuses other protocols", async () => {
+    await expect(politeFetcher.fetch("file:///etc/passwd")).rejects.toThrow("Unsupported protocol")
+  })
+})
+
+describe("decodeText", () => {
+  // "Café" in windows-1252
+  const latin = Buffer.from([0x43, 0x61, 0x66, 0xe9])
+
+  it("uses the charset of the Content-Type header", () => {
+    expect(decodeText(latin, "text/html; charset=windows-1252")).toBe("Café")
+  })
+
+  it("uses a <meta> charset when the header has none", () => {
+    const page = Buffer.concat([Buffer.from('<html><head><meta charset="iso-8859-1"></head><body>'), latin])
+    expect(decodeText(page, "text/html")).toMatch(/Café$/)
+  })
+
+  it("uses the encoding of an XML declaration", () => {
+    const feed = Buffer.concat([Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><title>'), latin])
+    expect(decodeText(feed)).toMatch(/Café$/)
+  })
+
+  it("defaults to UTF-8 and ignores unknown charsets", () => {
+    expect(decodeText(Buffer.from("Café"))).toBe("Café")
+    expect(decodeText(Buffer.from("Café"), "text/html; charset=x-unknown")).toBe("Café")
+  })
+})
@@ -0,0 +1,4 @@
+// Tests never reach the real services: a placeholder Gemini key and the offline embedder satisfy config validation
+process.env.NODE_ENV = "test"
+process.env.GEMINI_API_KEY ||= "test-gemini-key"
+process.env.EMBEDDING_PROVIDER = "hashing"
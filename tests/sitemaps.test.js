@@ -0,0 +1,68 @@
+import http from "http"
+import { readFileSync } from "fs"
+import politeFetcher from "../services/fetcher.js"
+import sitemapService from "../services/sitemaps.js"
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/sitemaps/${name}`, import.meta.url))
+
+describe("SitemapService", () => {
+  it("decodes gzipped bodies served without Content-Encoding", () => {
+    const body = sitemapService.decode(fixture("archive.xml.gz"))
+    expect(body).toMatch(/^<\?xml/)
+    expect(body).toContain("https://news.example.com/world/summit-ends")
+  })
+
+  it("decodes plain bodies as they are", () => {
+    expect(sitemapService.decode(fixture("sitemap-index.xml"))).toBe(fixture("sitemap-index.xml").toString("utf8"))
+  })
+
+  describe("fetching an index", () => {
+    let server
+    let origin
+    const settings = {}
+
+    beforeAll(async () => {
+      // Serves the fixtures under /sitemaps/, with the index pointing at this server
+      server = http.createServer((req, res) => {
+        const files = {
+          "/sitemap.xml": "sitemap-index.xml",
+          "/sitemaps/news.xml": "news-sitemap.xml",
+          "/sitemaps/archive.xml.gz": "archive.xml.gz",
+        }
+        if (!files[req.url]) {
+          res.writeHead(404)
+          return res.end()
+        }
+        const body = fixture(files[req.url])
+        res.writeHead(200)
+        if (req.url !== "/sitemap.xml") return res.end(body)
+        res.end(body.toString("utf8").replaceAll("https://news.example.com", origin))
+      })
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+      origin = `http://127.0.0.1:${server.address().port}`
+
+      settings.allowPrivateNetworks = politeFetcher.allowPrivateNetworks
+      settings.domainDelay = politeFetcher.domainDelay
+      politeFetcher.allowPrivateNetworks = true
+      politeFetcher.domainDelay = 0
+    })
+
+    afterAll(async () => {
+      Object.assign(politeFetcher, settings)
+      await new Promise((resolve) => server.close(resolve))
+    })
+
+    it("collects the items of its children, newest first and without duplicates", async () => {
+      const { format, items } = await sitemapService.fetch(`${origin}/sitemap.xml`)
+
+      expect(format).toBe("sitemapindex")
+      expect(items.map((item) => item.link)).toEqual([
+        "https://news.example.com/sport/final",
+        "https://news.example.com/business/rates-hold",
+        "https://news.example.com/world/summit-ends",
+        "https://news.example.com/about",
+      ])
+      expect(items[1].title).toBe("Rates hold & markets wait")
+    })
+  })
+})
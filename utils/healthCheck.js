@@ -1,6 +1,7 @@
 import { getDatabase } from "../config/database.js"
 import { getRedisClient } from "../config/redis.js"
 import { getVectorStoreInfo } from "../services/vectorStore.js"
+import { getEmbeddingProviderInfo } from "../services/embeddings.js"
 
 export async function performHealthCheck() {
   const health = {
@@ -45,7 +46,8 @@ export async function performHealthCheck() {
   try {
     const vectorInfo = await getVectorStoreInfo()
     health.services.vectorStore = {
-      status: vectorInfo ? "healthy" : "error",
+      // A collection that turned out not to fit the embedding model once it could be probed
+      status: vectorInfo && !vectorInfo.embeddingCheck?.error ? "healthy" : "error",
       info: vectorInfo,
     }
   } catch (error) {
@@ -64,6 +66,14 @@ export async function performHealthCheck() {
     status: process.env.JINA_API_KEY ? "configured" : "not_configured",
   }
 
+  const embeddings = getEmbeddingProviderInfo()
+  health.services.embeddings = {
+    status: embeddings.configured ? "configured" : "not_configured",
+    provider: embeddings.provider,
+    model: embeddings.model,
+    dimensions: embeddings.dimensions,
+  }
+
   // Overall health status
   const hasErrors = Object.values(health.services).some((service) => service.status === "error")
   const hasCriticalMissing = !health.services.redis.connected || !health.services.gemini.status === "configured"